@@ -0,0 +1,142 @@
+import { getAccessWindows, getPasses } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const startTimeMS = 1501039265000;
+
+const southernCalifornia = {
+	type: "Polygon",
+	coordinates: [[[-119, 33], [-116, 33], [-116, 36], [-119, 36], [-119, 33]]]
+};
+
+describe("getAccessWindows", () => {
+	test("matches passes over a point-like area", () => {
+		const lat = 34.243889;
+		const lng = -116.911389;
+		const size = 0.0005;
+		const polygon = {
+			type: "Polygon",
+			coordinates: [
+				[
+					[lng - size, lat - size],
+					[lng + size, lat - size],
+					[lng + size, lat + size],
+					[lng - size, lat + size],
+					[lng - size, lat - size]
+				]
+			]
+		};
+		const options = { tle: tleStr, startTimeMS: startTimeMS - 600000, minElevation: 10 };
+
+		const { windows } = getAccessWindows({ ...options, polygon });
+		const passes = getPasses({ ...options, observer: { lat, lng } });
+
+		expect(windows).toHaveLength(passes.length);
+		windows.forEach(({ startMS, endMS }, i) => {
+			expect(Math.abs(startMS - passes[i].aos.timeMS)).toBeLessThan(2000);
+			expect(Math.abs(endMS - passes[i].los.timeMS)).toBeLessThan(2000);
+		});
+	});
+
+	test("windows and revisit statistics", () => {
+		const { windows, meanGapMS, maxGapMS } = getAccessWindows({
+			tle: tleStr,
+			polygon: southernCalifornia,
+			startTimeMS
+		});
+
+		expect(windows).toHaveLength(9);
+		expect(windows[0]).toEqual({
+			startMS: startTimeMS,
+			endMS: 1501039615464,
+			durationMS: 350464,
+			isPartial: true
+		});
+		windows.slice(1).forEach(window => {
+			expect(window.isPartial).toBe(false);
+			expect(window.durationMS).toEqual(window.endMS - window.startMS);
+		});
+
+		const gapsMS = windows.slice(1).map((window, i) => window.startMS - windows[i].endMS);
+		expect(meanGapMS).toEqual(gapsMS.reduce((sum, gapMS) => sum + gapMS) / gapsMS.length);
+		expect(maxGapMS).toEqual(Math.max(...gapsMS));
+	});
+
+	test("sensorHalfAngle", () => {
+		const horizon = getAccessWindows({
+			tle: tleStr,
+			polygon: southernCalifornia,
+			startTimeMS
+		});
+		const sensor = getAccessWindows({
+			tle: tleStr,
+			polygon: southernCalifornia,
+			startTimeMS,
+			sensorHalfAngle: 45
+		});
+
+		expect(sensor.windows).toHaveLength(3);
+		expect(sensor.meanGapMS).toBeGreaterThan(horizon.meanGapMS);
+		sensor.windows.forEach(({ startMS, endMS }) => {
+			const horizonWindow = horizon.windows.find(
+				window => window.startMS <= startMS && window.endMS >= endMS
+			);
+			expect(horizonWindow).toBeDefined();
+		});
+	});
+
+	test("areas split at the antemeridian", () => {
+		const polygon = {
+			type: "Feature",
+			geometry: {
+				type: "MultiPolygon",
+				coordinates: [
+					[[[170, -10], [180, -10], [180, 10], [170, 10], [170, -10]]],
+					[[[-180, -10], [-170, -10], [-170, 10], [-180, 10], [-180, -10]]]
+				]
+			}
+		};
+		const { windows, meanGapMS, maxGapMS } = getAccessWindows({
+			tle: tleStr,
+			polygon,
+			startTimeMS,
+			sensorHalfAngle: 10
+		});
+
+		expect(windows).toHaveLength(4);
+		expect(meanGapMS).toBeCloseTo(15640167.67, 1);
+		expect(maxGapMS).toEqual(35685416);
+	});
+
+	test("no revisits", () => {
+		const { windows, meanGapMS, maxGapMS } = getAccessWindows({
+			tle: tleStr,
+			polygon: southernCalifornia,
+			startTimeMS,
+			endTimeMS: startTimeMS + 3600000
+		});
+
+		expect(windows).toHaveLength(1);
+		expect(meanGapMS).toBeNull();
+		expect(maxGapMS).toBeNull();
+	});
+
+	test("invalid input", () => {
+		const options = { tle: tleStr, polygon: southernCalifornia, startTimeMS };
+
+		expect(() =>
+			getAccessWindows({ ...options, minElevation: 10, sensorHalfAngle: 30 })
+		).toThrow("Use either minElevation or sensorHalfAngle, not both.");
+		expect(() => getAccessWindows({ ...options, sensorHalfAngle: 90 })).toThrow(
+			"sensorHalfAngle must be between 0 and 90 degrees, but got 90."
+		);
+		expect(() =>
+			getAccessWindows({ ...options, polygon: { type: "Point", coordinates: [0, 0] } })
+		).toThrow(
+			"polygon must be a GeoJSON Polygon or MultiPolygon (or a Feature with one), but got Point."
+		);
+		expect(() => getAccessWindows({ ...options, stepMS: 0 })).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,97 @@
+import { createTLE, getSatelliteInfo, getStateVector, propagateCatalog } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const geostationary = createTLE({
+	name: "GEO",
+	catalogNumber: 90004,
+	epoch: 1500956694771,
+	inclination: 0.05,
+	rightAscension: 208.9163,
+	eccentricity: 0.0002,
+	perigee: 0,
+	meanAnomaly: 0,
+	meanMotion: 1.0027,
+	bstarDrag: 0
+});
+
+const decayed = createTLE({
+	name: "DECAYED",
+	catalogNumber: 90005,
+	epoch: 1500956694771,
+	inclination: 51.64,
+	rightAscension: 208.9163,
+	eccentricity: 0.0006317,
+	perigee: 0,
+	meanAnomaly: 0,
+	meanMotion: 15.54225995,
+	bstarDrag: 0.5
+});
+
+const startTimeMS = 1501039265000;
+const timesMS = [startTimeMS, startTimeMS + 60000, startTimeMS + 120000];
+
+describe("propagateCatalog", () => {
+	test("matches single-satellite propagation", () => {
+		const tles = [tleStr, geostationary];
+		const { satelliteCount, timeCount, position, velocity, lngLatAlt, errorCodes } =
+			propagateCatalog(tles, timesMS);
+
+		expect(satelliteCount).toEqual(2);
+		expect(timeCount).toEqual(3);
+		expect(errorCodes).toEqual(new Int8Array(6));
+
+		timesMS.forEach((timeMS, timeIndex) => {
+			tles.forEach((tle, satIndex) => {
+				const offset = (timeIndex * satelliteCount + satIndex) * 3;
+				const stateVector = getStateVector(tle, timeMS);
+				const { lng, lat, height } = getSatelliteInfo(tle, timeMS);
+
+				expect(Array.from(position.subarray(offset, offset + 3))).toEqual([
+					stateVector.position.x,
+					stateVector.position.y,
+					stateVector.position.z
+				]);
+				expect(Array.from(velocity.subarray(offset, offset + 3))).toEqual([
+					stateVector.velocity.x,
+					stateVector.velocity.y,
+					stateVector.velocity.z
+				]);
+				expect(lngLatAlt[offset]).toBeCloseTo(lng, 9);
+				expect(lngLatAlt[offset + 1]).toBeCloseTo(lat, 9);
+				expect(lngLatAlt[offset + 2]).toBeCloseTo(height, 9);
+			});
+		});
+	});
+
+	test("fields", () => {
+		const output = propagateCatalog([tleStr], startTimeMS, { fields: ["lngLatAlt"] });
+
+		expect(output.position).toBeUndefined();
+		expect(output.velocity).toBeUndefined();
+		expect(output.timesMS).toEqual(Float64Array.from([startTimeMS]));
+		expect(output.lngLatAlt).toBeInstanceOf(Float64Array);
+		expect(output.lngLatAlt[2]).toBeCloseTo(402.908, 3);
+	});
+
+	test("satellites that can't be propagated", () => {
+		const yearLaterMS = startTimeMS + 365 * 86400000;
+		const { position, errorCodes } = propagateCatalog(
+			[tleStr, decayed, "not a TLE"],
+			[yearLaterMS]
+		);
+
+		// By then, drag has pushed the decayed satellite's eccentricity out of range.
+		expect(Array.from(errorCodes)).toEqual([0, 1, -1]);
+		expect(Number.isNaN(position[0])).toBe(false);
+		expect(Array.from(position.subarray(3)).every(Number.isNaN)).toBe(true);
+	});
+
+	test("unknown fields", () => {
+		expect(() => propagateCatalog([tleStr], timesMS, { fields: ["acceleration"] })).toThrow(
+			"fields must be some of position, velocity, lngLatAlt, but got acceleration."
+		);
+	});
+});
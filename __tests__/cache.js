@@ -0,0 +1,147 @@
+import {
+	clearCache,
+	clearTLEParseCache,
+	configureCache,
+	getCacheStats,
+	getSatelliteInfo,
+	parseTLE
+} from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const startTimeMS = 1501039265000;
+
+const getInfo = timeMS => getSatelliteInfo(tleStr, timeMS, 34.243889, -116.911389);
+
+describe("configureCache", () => {
+	beforeEach(() => {
+		clearCache();
+		clearTLEParseCache();
+	});
+
+	afterEach(() => {
+		configureCache({
+			maxEntries: Infinity,
+			maxBytes: Infinity,
+			ttlMS: Infinity,
+			caches: {
+				satrec: true,
+				satelliteInfo: true,
+				antemeridianCrossings: true,
+				orbitTracks: true,
+				failedSatellites: true,
+				geostationaryInfo: true,
+				tleParse: true
+			}
+		});
+	});
+
+	test("unbounded by default", () => {
+		for (let i = 0; i < 12000; i++) {
+			getInfo(startTimeMS + i * 1000);
+		}
+
+		const { size, evictions } = getCacheStats().satelliteInfo;
+		expect(size).toEqual(12000);
+		expect(evictions).toEqual(0);
+	});
+
+	test("hit and miss stats", () => {
+		const before = getCacheStats().satelliteInfo;
+		getInfo(startTimeMS);
+		getInfo(startTimeMS);
+		getInfo(startTimeMS);
+		const after = getCacheStats().satelliteInfo;
+
+		expect(after.enabled).toBe(true);
+		expect(after.size).toEqual(1);
+		expect(after.bytes).toBeGreaterThan(0);
+		expect(after.misses - before.misses).toEqual(1);
+		expect(after.hits - before.hits).toEqual(2);
+	});
+
+	test("evicts the least recently used entries", () => {
+		configureCache({ maxEntries: 2 });
+
+		const first = getInfo(startTimeMS);
+		getInfo(startTimeMS + 1000);
+		getInfo(startTimeMS);
+		getInfo(startTimeMS + 2000);
+
+		const { size, evictions } = getCacheStats().satelliteInfo;
+		expect(size).toEqual(2);
+		expect(evictions).toBeGreaterThan(0);
+
+		// The first entry was used more recently than the second, so it's still cached.
+		expect(getInfo(startTimeMS)).toBe(first);
+	});
+
+	test("maxBytes", () => {
+		getInfo(startTimeMS);
+		const entryBytes = getCacheStats().satelliteInfo.bytes;
+
+		configureCache({ caches: { satelliteInfo: { maxBytes: entryBytes * 3 } } });
+		[1, 2, 3, 4, 5].forEach(i => getInfo(startTimeMS + i * 1000));
+
+		const { size, bytes } = getCacheStats().satelliteInfo;
+		expect(bytes).toBeLessThanOrEqual(entryBytes * 3);
+		expect(size).toBeLessThanOrEqual(3);
+	});
+
+	test("lowering limits prunes right away", () => {
+		[0, 1, 2, 3].forEach(i => getInfo(startTimeMS + i * 1000));
+		expect(getCacheStats().satelliteInfo.size).toEqual(4);
+
+		configureCache({ maxEntries: 1 });
+		expect(getCacheStats().satelliteInfo.size).toEqual(1);
+	});
+
+	test("ttlMS", () => {
+		const realNow = Date.now;
+		let nowMS = realNow();
+		Date.now = () => nowMS;
+
+		try {
+			configureCache({ ttlMS: 1000 });
+			const first = getInfo(startTimeMS);
+
+			nowMS += 500;
+			expect(getInfo(startTimeMS)).toBe(first);
+
+			nowMS += 1000;
+			expect(getInfo(startTimeMS)).not.toBe(first);
+		} finally {
+			Date.now = realNow;
+		}
+	});
+
+	test("disabling a cache", () => {
+		getInfo(startTimeMS);
+		configureCache({ caches: { satelliteInfo: false } });
+
+		const first = getInfo(startTimeMS);
+		expect(getInfo(startTimeMS)).not.toBe(first);
+		expect(getCacheStats().satelliteInfo).toMatchObject({ enabled: false, size: 0 });
+
+		// Other caches are unaffected.
+		expect(getCacheStats().tleParse.enabled).toBe(true);
+	});
+
+	test("TLE parse cache", () => {
+		const parsed = parseTLE(tleStr);
+		expect(parseTLE(tleStr)).toBe(parsed);
+		expect(getCacheStats().tleParse.size).toEqual(1);
+
+		configureCache({ caches: { tleParse: false } });
+		expect(parseTLE(tleStr)).not.toBe(parsed);
+		expect(parseTLE(tleStr)).toEqual(parsed);
+	});
+
+	test("unknown caches", () => {
+		expect(() => configureCache({ caches: { groundTracks: false } })).toThrow(
+			"Unknown cache: groundTracks.  Use one of tleParse, satrec, satelliteInfo, antemeridianCrossings, orbitTracks, failedSatellites, geostationaryInfo."
+		);
+	});
+});
@@ -0,0 +1,195 @@
+import { createTLE, screenConjunctions } from "../src";
+
+const epochMS = 1500956694771;
+const hourMS = 3600000;
+
+// ISS-like orbit starting at its ascending node.
+const elements = {
+	name: "PRIMARY",
+	catalogNumber: 90001,
+	epoch: epochMS,
+	inclination: 51.64,
+	rightAscension: 208.9163,
+	eccentricity: 0.0006317,
+	perigee: 0,
+	meanAnomaly: 0,
+	meanMotion: 15.54225995,
+	bstarDrag: 0.000036771
+};
+
+const primary = createTLE(elements);
+
+// Both cross the primary's orbit at its nodes, at the same time as the primary.
+const retrograde = createTLE({
+	...elements,
+	name: "RETROGRADE",
+	catalogNumber: 90002,
+	inclination: 128.36
+});
+const steeper = createTLE({
+	...elements,
+	name: "STEEPER",
+	catalogNumber: 90003,
+	inclination: 60
+});
+
+const geostationary = createTLE({
+	...elements,
+	name: "GEO",
+	catalogNumber: 90004,
+	inclination: 0.05,
+	eccentricity: 0.0002,
+	meanMotion: 1.0027
+});
+
+const screeningWindow = {
+	startTimeMS: epochMS + 10 * 60000,
+	endTimeMS: epochMS + 2 * hourMS
+};
+
+describe("screenConjunctions", () => {
+	test("head-on encounters", () => {
+		const conjunctions = screenConjunctions({
+			primaries: [primary],
+			secondaries: [retrograde],
+			...screeningWindow,
+			thresholdKm: 1
+		});
+
+		// Once per node crossing, about every 46 minutes.
+		expect(conjunctions).toHaveLength(2);
+		expect(conjunctions[1].tcaMS - conjunctions[0].tcaMS).toBeCloseTo(46.4 * 60000, -4);
+
+		conjunctions.forEach(conjunction => {
+			expect(conjunction.primary).toEqual({ name: "PRIMARY", catalogNumber: 90001 });
+			expect(conjunction.secondary).toEqual({ name: "RETROGRADE", catalogNumber: 90002 });
+			expect(conjunction.missDistance).toBeLessThan(0.1);
+			expect(conjunction.relativeVelocity).toBeCloseTo(9.5, 1);
+
+			const { radial, inTrack, crossTrack, missDistance } = conjunction;
+			expect(Math.hypot(radial, inTrack, crossTrack)).toBeCloseTo(missDistance, 9);
+		});
+	});
+
+	test("threshold", () => {
+		const conjunctions = screenConjunctions({
+			primaries: [primary],
+			secondaries: [retrograde, steeper],
+			...screeningWindow,
+			thresholdKm: 10
+		});
+
+		expect(conjunctions.map(({ secondary }) => secondary.name)).toEqual([
+			"STEEPER",
+			"RETROGRADE",
+			"RETROGRADE"
+		]);
+
+		const [{ missDistance, relativeVelocity, inTrack }] = conjunctions;
+		expect(missDistance).toBeGreaterThan(1);
+		expect(missDistance).toBeLessThan(10);
+		expect(relativeVelocity).toBeCloseTo(1.12, 2);
+		expect(Math.abs(inTrack)).toBeGreaterThan(missDistance * 0.9);
+	});
+
+	test("sorted by time of closest approach", () => {
+		const conjunctions = screenConjunctions({
+			primaries: [primary],
+			secondaries: [retrograde, steeper],
+			startTimeMS: epochMS,
+			endTimeMS: epochMS + 12 * hourMS,
+			thresholdKm: 50
+		});
+
+		const tcas = conjunctions.map(({ tcaMS }) => tcaMS);
+		expect(tcas).toEqual([...tcas].sort((a, b) => a - b));
+	});
+
+	test("screens primaries against each other once", () => {
+		const conjunctions = screenConjunctions({
+			primaries: [primary, retrograde, geostationary],
+			...screeningWindow,
+			thresholdKm: 1
+		});
+
+		expect(conjunctions).toHaveLength(2);
+	});
+
+	test("orbits that never meet in altitude", () => {
+		expect(
+			screenConjunctions({
+				primaries: [primary],
+				secondaries: [geostationary],
+				...screeningWindow,
+				thresholdKm: 1000
+			})
+		).toEqual([]);
+	});
+
+	test("screens different TLEs with the same catalog number", () => {
+		// E.g. an analyst's TLE against a public one.  This one shares the primary's catalog number.
+		const analystTLE = createTLE({
+			...elements,
+			name: "ANALYST",
+			inclination: 128.36
+		});
+
+		expect(
+			screenConjunctions({
+				primaries: [primary],
+				secondaries: [analystTLE],
+				...screeningWindow,
+				thresholdKm: 1
+			})
+		).toHaveLength(2);
+		expect(
+			screenConjunctions({
+				primaries: [primary, analystTLE, primary],
+				...screeningWindow,
+				thresholdKm: 1
+			})
+		).toHaveLength(2);
+	});
+
+	test("skips TLEs that can't be read or propagated", () => {
+		// Mean motion of 99 revs per day puts the satellite below the Earth's surface.
+		const sunken = [
+			"1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993",
+			"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 99.54225995 67660"
+		];
+
+		expect(
+			screenConjunctions({
+				primaries: [primary, "not a TLE", sunken],
+				secondaries: [retrograde, sunken],
+				...screeningWindow,
+				thresholdKm: 1
+			})
+		).toHaveLength(2);
+	});
+
+	test("skips satellites that can't be propagated", () => {
+		const decayed = createTLE({
+			...elements,
+			name: "DECAYED",
+			catalogNumber: 90005,
+			inclination: 128.36,
+			bstarDrag: 0.5
+		});
+
+		expect(
+			screenConjunctions({
+				primaries: [primary],
+				secondaries: [decayed],
+				startTimeMS: epochMS + 365 * 24 * hourMS,
+				thresholdKm: 1000
+			})
+		).toEqual([]);
+	});
+
+	test("throws on steps that don't advance time", () => {
+		expect(() =>
+			screenConjunctions({ primaries: [primary], ...screeningWindow, stepMS: 0 })
+		).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,113 @@
+import { getEclipses, getEclipseState, getSunPosition } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const startTimeMS = 1501039265000;
+const dayMS = 86400000;
+
+describe("getSunPosition", () => {
+	test("March equinox", () => {
+		const { rightAscension, declination } = getSunPosition(Date.UTC(2020, 2, 20, 3, 50));
+		expect(declination).toBeCloseTo(0, 1);
+		expect(Math.min(rightAscension, 360 - rightAscension)).toBeLessThan(0.05);
+	});
+
+	test("June solstice", () => {
+		const { rightAscension, declination } = getSunPosition(Date.UTC(2020, 5, 20, 21, 44));
+		expect(declination).toBeCloseTo(23.44, 1);
+		expect(rightAscension).toBeCloseTo(90, 1);
+	});
+
+	test("aphelion distance", () => {
+		const { position, distance } = getSunPosition(Date.UTC(2020, 6, 4, 12));
+		expect(distance / 149597870.7).toBeCloseTo(1.0167, 3);
+		expect(Math.hypot(position.x, position.y, position.z)).toBeCloseTo(distance, 3);
+	});
+});
+
+describe("getEclipseState", () => {
+	test("sunlit", () => {
+		expect(getEclipseState(tleStr, startTimeMS)).toEqual({
+			state: "sunlit",
+			shadowFraction: 0
+		});
+	});
+
+	test("penumbra and umbra", () => {
+		const [eclipse] = getEclipses({ tle: tleStr, startTimeMS, endTimeMS: startTimeMS + dayMS });
+
+		const entering = getEclipseState(tleStr, eclipse.startMS + 10000);
+		const deeper = getEclipseState(tleStr, eclipse.startMS + 30000);
+		expect(entering.state).toBe("penumbra");
+		expect(deeper.state).toBe("penumbra");
+		expect(entering.shadowFraction).toBeGreaterThan(0);
+		expect(deeper.shadowFraction).toBeGreaterThan(entering.shadowFraction);
+		expect(deeper.shadowFraction).toBeLessThan(1);
+
+		const midEclipseMS = (eclipse.umbraStartMS + eclipse.umbraEndMS) / 2;
+		expect(getEclipseState(tleStr, midEclipseMS)).toEqual({
+			state: "umbra",
+			shadowFraction: 1
+		});
+	});
+});
+
+describe("getEclipses", () => {
+	const eclipses = getEclipses({
+		tle: tleStr,
+		startTimeMS,
+		endTimeMS: startTimeMS + dayMS
+	});
+
+	test("one eclipse per orbit", () => {
+		// The ISS makes 15.5 orbits per day.
+		expect(eclipses.length).toBe(16);
+		expect(eclipses[0]).toEqual({
+			startMS: 1501040036429,
+			umbraStartMS: 1501040089360,
+			umbraEndMS: 1501040743792,
+			endMS: 1501040796788,
+			durationMS: 760359,
+			umbraDurationMS: 654432,
+			isPartial: false
+		});
+	});
+
+	test("entry and exit times", () => {
+		eclipses
+			.filter(({ isPartial }) => !isPartial)
+			.forEach(({ startMS, umbraStartMS, umbraEndMS, endMS }) => {
+				expect(startMS).toBeLessThan(umbraStartMS);
+				expect(umbraEndMS).toBeLessThan(endMS);
+
+				expect(getEclipseState(tleStr, startMS - 5).state).toBe("sunlit");
+				expect(getEclipseState(tleStr, startMS + 5).state).toBe("penumbra");
+				expect(getEclipseState(tleStr, umbraStartMS - 5).state).toBe("penumbra");
+				expect(getEclipseState(tleStr, umbraStartMS + 5).state).toBe("umbra");
+				expect(getEclipseState(tleStr, umbraEndMS - 5).state).toBe("umbra");
+				expect(getEclipseState(tleStr, umbraEndMS + 5).state).toBe("penumbra");
+				expect(getEclipseState(tleStr, endMS + 5).state).toBe("sunlit");
+			});
+	});
+
+	test("clips eclipses to the window", () => {
+		const [first] = eclipses;
+		const midEclipseMS = Math.round((first.umbraStartMS + first.umbraEndMS) / 2);
+		const [clipped] = getEclipses({
+			tle: tleStr,
+			startTimeMS: midEclipseMS,
+			endTimeMS: midEclipseMS + 3600000
+		});
+
+		expect(clipped.isPartial).toBe(true);
+		expect(clipped.startMS).toBe(midEclipseMS);
+		expect(clipped.umbraStartMS).toBe(midEclipseMS);
+		expect(clipped.endMS).toBeCloseTo(first.endMS, -1);
+	});
+
+	test("throws on steps that don't advance time", () => {
+		expect(() => getEclipses({ tle: tleStr, startTimeMS, stepMS: 0 })).toThrow(RangeError);
+	});
+});
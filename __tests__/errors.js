@@ -0,0 +1,109 @@
+import {
+	createTLE,
+	getAccessWindows,
+	getGroundTracks,
+	getSatelliteInfo,
+	getStateVector,
+	getVisibleSatellites,
+	propagateCatalog,
+	TLEPropagationError,
+	withErrorResults
+} from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+// Drag this high decays the orbit within a day.
+const decayed = createTLE({
+	name: "DECAYED",
+	catalogNumber: 90005,
+	epoch: 1500956694771,
+	inclination: 51.64,
+	rightAscension: 208.9163,
+	eccentricity: 0.0006317,
+	perigee: 0,
+	meanAnomaly: 0,
+	meanMotion: 15.54225995,
+	bstarDrag: 0.5
+});
+
+const startTimeMS = 1501039265000;
+
+describe("TLEPropagationError", () => {
+	test("SGP4 errors", () => {
+		expect.assertions(5);
+		try {
+			getSatelliteInfo(decayed, startTimeMS);
+		} catch (e) {
+			expect(e).toBeInstanceOf(TLEPropagationError);
+			expect(e).toBeInstanceOf(Error);
+			expect(e.name).toEqual("TLEPropagationError");
+			expect(e.code).toEqual(6);
+			expect(e.tle).toEqual(decayed.tle);
+		}
+	});
+
+	test("unreadable TLEs", () => {
+		expect(() => getSatelliteInfo(["1 25544U", "2 25544"], startTimeMS)).toThrow(
+			TLEPropagationError
+		);
+		expect(() => getStateVector("not a TLE", startTimeMS)).toThrow("TLE can't be read.");
+	});
+
+	test("same codes as propagateCatalog()", () => {
+		const { errorCodes } = propagateCatalog([tleStr, decayed, "not a TLE"], [startTimeMS]);
+		expect(Array.from(errorCodes)).toEqual([0, 6, -1]);
+	});
+
+	test("getVisibleSatellites() skips satellites that can't be propagated", () => {
+		const visibleSats = getVisibleSatellites({
+			observerLat: 34.243889,
+			observerLng: -116.911389,
+			tles: [decayed, tleStr],
+			timestampMS: startTimeMS
+		});
+		expect(visibleSats.map(({ tleArr }) => tleArr)).toEqual([tleStr]);
+	});
+});
+
+describe("withErrorResults", () => {
+	const getSatelliteInfoResult = withErrorResults(getSatelliteInfo);
+
+	test("successful calls", () => {
+		expect(getSatelliteInfoResult(tleStr, startTimeMS)).toEqual({
+			ok: true,
+			value: getSatelliteInfo(tleStr, startTimeMS)
+		});
+	});
+
+	test("satellites that can't be propagated", () => {
+		expect(getSatelliteInfoResult(decayed, startTimeMS)).toEqual({
+			ok: false,
+			error: {
+				code: 6,
+				message: "Satellite has decayed",
+				tle: decayed.tle
+			}
+		});
+		expect(withErrorResults(getStateVector)("not a TLE").error.code).toEqual(-1);
+	});
+
+	test("other errors are thrown", () => {
+		const getAccessWindowsResult = withErrorResults(getAccessWindows);
+		expect(() =>
+			getAccessWindowsResult({ tle: tleStr, polygon: null, startTimeMS })
+		).toThrow("polygon must be a GeoJSON Polygon");
+	});
+
+	test("Promises", async () => {
+		const getGroundTracksResult = withErrorResults(getGroundTracks);
+
+		const { ok, value } = await getGroundTracksResult({ tle: tleStr, startTimeMS });
+		expect(ok).toBe(true);
+		expect(value.length).toEqual(3);
+
+		const { error } = await getGroundTracksResult({ tle: decayed, startTimeMS });
+		expect(error.code).toEqual(6);
+	});
+});
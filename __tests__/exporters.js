@@ -0,0 +1,97 @@
+import { getStateVector, toCZML, toKML } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const start = 1501039265000;
+const orbitMS = 5559037;
+
+describe("toCZML", () => {
+	const czml = toCZML([tleStr], { start, stepMS: 60000 });
+	const [documentPacket, satellitePacket] = czml;
+	const interval = "2017-07-26T03:21:05.000Z/2017-07-26T04:53:44.037Z";
+
+	test("document packet", () => {
+		expect(czml).toHaveLength(2);
+		expect(documentPacket.id).toEqual("document");
+		expect(documentPacket.version).toEqual("1.0");
+		expect(documentPacket.clock.interval).toEqual(interval);
+		expect(documentPacket.clock.currentTime).toEqual("2017-07-26T03:21:05.000Z");
+	});
+
+	test("satellite packet", () => {
+		expect(satellitePacket).toMatchObject({
+			id: "25544",
+			name: "ISS (ZARYA)",
+			description: "1998-067A",
+			availability: interval,
+			label: { text: "ISS (ZARYA)" },
+			path: { leadTime: 0, trailTime: orbitMS / 1000 }
+		});
+	});
+
+	test("sampled positions", () => {
+		const { position } = satellitePacket;
+		expect(position).toMatchObject({
+			epoch: "2017-07-26T03:21:05.000Z",
+			referenceFrame: "FIXED",
+			interpolationAlgorithm: "LAGRANGE",
+			interpolationDegree: 5
+		});
+
+		// Samples every minute, plus one at the end of the window.
+		const { cartesian } = position;
+		expect(cartesian).toHaveLength(4 * 94);
+		expect(cartesian.slice(4, 5)).toEqual([60]);
+		expect(cartesian[cartesian.length - 4]).toEqual(orbitMS / 1000);
+
+		// Meters, in the Earth-fixed frame.
+		const ecef = getStateVector(tleStr, start, { frame: "ECEF" }).position;
+		expect(cartesian.slice(0, 4)).toEqual([0, ecef.x * 1000, ecef.y * 1000, ecef.z * 1000]);
+	});
+});
+
+describe("toKML", () => {
+	const kml = toKML([tleStr], { start, end: start + 120000, stepMS: 60000 });
+
+	test("document", () => {
+		expect(kml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+		expect(kml).toContain("<name>ISS (ZARYA)</name>");
+		expect(kml).toContain("<description>1998-067A (25544)</description>");
+		expect(kml).toContain("<altitudeMode>absolute</altitudeMode>");
+	});
+
+	test("time-stamped track", () => {
+		expect(kml.match(/<when>[^<]+<\/when>/g)).toEqual([
+			"<when>2017-07-26T03:21:05.000Z</when>",
+			"<when>2017-07-26T03:22:05.000Z</when>",
+			"<when>2017-07-26T03:23:05.000Z</when>"
+		]);
+
+		const coords = kml
+			.match(/<gx:coord>([^<]+)<\/gx:coord>/g)
+			.map(coord => coord.replace(/<\/?gx:coord>/g, "").split(" ").map(Number));
+		expect(coords).toHaveLength(3);
+
+		const [lng, lat, altitude] = coords[0];
+		expect(lng).toBeCloseTo(-117.4618, 4);
+		expect(lat).toBeCloseTo(34.4511, 4);
+		expect(altitude).toBeGreaterThan(400000);
+		expect(altitude).toBeLessThan(410000);
+	});
+
+	test("escapes names", () => {
+		const tle = tleStr.replace("ISS (ZARYA)", "R&D <SAT>");
+		expect(toKML([tle], { start, end: start + 60000 })).toContain(
+			"<name>R&amp;D &lt;SAT&gt;</name>"
+		);
+	});
+});
+
+describe("stepMS", () => {
+	test("throws on steps that don't advance time", () => {
+		expect(() => toCZML([tleStr], { start, stepMS: 0 })).toThrow(RangeError);
+		expect(() => toKML([tleStr], { start, stepMS: -60000 })).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,110 @@
+import { createTLE, getFootprint, getLatLngObj } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const timeMS = 1501039265000;
+const earthRadiusKm = 6378.137;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance in km.
+const getDistance = ([lng1, lat1], [lng2, lat2]) => {
+	const a =
+		Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+		Math.cos(toRadians(lat1)) *
+			Math.cos(toRadians(lat2)) *
+			Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+	return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+};
+
+const getRingLngs = ring => ring.map(([lng]) => lng);
+
+describe("getFootprint", () => {
+	test("visibility circle", () => {
+		const { type, geometry, properties } = getFootprint(tleStr, timeMS, {
+			minElevation: 10
+		});
+		expect(type).toEqual("Feature");
+		expect(geometry.type).toEqual("Polygon");
+		expect(properties).toEqual({
+			radius: expect.any(Number),
+			lng: expect.any(Number),
+			lat: expect.any(Number),
+			height: expect.any(Number),
+			minElevation: 10,
+			timeMS
+		});
+		expect(properties.radius).toBeCloseTo(1350.95, 2);
+		expect(properties.height).toBeCloseTo(402.91, 2);
+
+		const [ring] = geometry.coordinates;
+		expect(ring).toHaveLength(91);
+		expect(ring[ring.length - 1]).toEqual(ring[0]);
+
+		const center = [properties.lng, properties.lat];
+		ring.forEach(point => {
+			expect(getDistance(center, point)).toBeCloseTo(properties.radius, 6);
+		});
+	});
+
+	test("lower minimum elevations see further", () => {
+		const horizon = getFootprint(tleStr, timeMS).properties.radius;
+		const tenDegrees = getFootprint(tleStr, timeMS, { minElevation: 10 }).properties.radius;
+		expect(horizon).toBeCloseTo(2209.7, 1);
+		expect(horizon).toBeGreaterThan(tenDegrees);
+	});
+
+	test("splits at the antemeridian", () => {
+		// Step forward until the ISS is right by the antemeridian.
+		let nearAntemeridianMS = timeMS;
+		while (Math.abs(getLatLngObj(tleStr, nearAntemeridianMS).lng) < 178) {
+			nearAntemeridianMS += 10000;
+		}
+
+		const { geometry } = getFootprint(tleStr, nearAntemeridianMS, { points: 60 });
+		expect(geometry.type).toEqual("MultiPolygon");
+		expect(geometry.coordinates).toHaveLength(2);
+
+		const [eastLngs, westLngs] = geometry.coordinates.map(([ring]) => getRingLngs(ring));
+		expect(Math.max(...eastLngs)).toEqual(180);
+		expect(Math.min(...eastLngs)).toBeGreaterThan(0);
+		expect(Math.min(...westLngs)).toEqual(-180);
+		expect(Math.max(...westLngs)).toBeLessThan(0);
+	});
+
+	test("covers a pole", () => {
+		// Polar orbit, right over the North Pole at its epoch.
+		const epochMS = 1500956694771;
+		const polarTLE = createTLE({
+			catalogNumber: 99999,
+			epoch: epochMS,
+			inclination: 90,
+			rightAscension: 0,
+			eccentricity: 0.001,
+			perigee: 90,
+			meanAnomaly: 0,
+			meanMotion: 14.5
+		});
+
+		const { geometry, properties } = getFootprint(polarTLE, epochMS);
+		expect(properties.lat).toBeCloseTo(90, 2);
+		expect(geometry.type).toEqual("Polygon");
+
+		const [ring] = geometry.coordinates;
+		expect(ring).toContainEqual([180, 90]);
+		expect(ring).toContainEqual([-180, 90]);
+		expect(Math.min(...getRingLngs(ring))).toEqual(-180);
+		expect(Math.max(...getRingLngs(ring))).toEqual(180);
+		ring.forEach(([, lat]) => {
+			expect(lat).toBeGreaterThan(60);
+		});
+	});
+
+	test("invalid minElevation", () => {
+		expect(() => getFootprint(tleStr, timeMS, { minElevation: 90 })).toThrow(
+			"minElevation must be between 0 and 90 degrees, but got 90."
+		);
+	});
+});
@@ -0,0 +1,224 @@
+import {
+	createTLE,
+	formatTLE,
+	getBstarDrag,
+	getCatalogNumber,
+	getCOSPAR,
+	getEccentricity,
+	getEpochTimestamp,
+	getFirstTimeDerivative,
+	getMeanMotion,
+	getSatelliteInfo,
+	getSecondTimeDerivative,
+	isValidTLE,
+	validateTLE
+} from "../src";
+
+const issTLE = [
+	"1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993",
+	"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660"
+];
+
+const issElements = {
+	name: "ISS (ZARYA)",
+	catalogNumber: 25544,
+	cospar: "1998-067A",
+	epoch: 1500956694771,
+	firstTimeDerivative: 0.00001961,
+	bstarDrag: 0.000036771,
+	inclination: 51.64,
+	rightAscension: 208.9163,
+	eccentricity: 0.0006317,
+	perigee: 69.9862,
+	meanAnomaly: 25.2906,
+	meanMotion: 15.54225995,
+	revNumberAtEpoch: 6766
+};
+
+describe("createTLE", () => {
+	test("recreates a known TLE", () => {
+		const result = createTLE(issElements);
+		expect(result.name).toBe("ISS (ZARYA)");
+		expect(result.tle).toEqual(issTLE);
+	});
+
+	test("accepts a Date epoch", () => {
+		const result = createTLE({ ...issElements, epoch: new Date(1500956694771) });
+		expect(result.tle).toEqual(issTLE);
+	});
+
+	test("accepts epoch year and day", () => {
+		const elements = { ...issElements, epochYear: 2017, epochDay: 206.18396726 };
+		delete elements.epoch;
+		const result = createTLE(elements);
+		expect(result.tle).toEqual(issTLE);
+	});
+
+	test("accepts international designator parts", () => {
+		const elements = { ...issElements };
+		delete elements.cospar;
+		const result = createTLE({
+			...elements,
+			intDesignatorYear: 1998,
+			intDesignatorLaunchNumber: 67,
+			intDesignatorPieceOfLaunch: "A"
+		});
+		expect(result.tle).toEqual(issTLE);
+	});
+
+	test("international designator without a piece of launch", () => {
+		const elements = { ...issElements };
+		delete elements.cospar;
+		const result = createTLE({
+			...elements,
+			intDesignatorYear: 1998,
+			intDesignatorLaunchNumber: 67
+		});
+		expect(result.tle[0].substr(9, 8)).toBe("98067   ");
+		expect(isValidTLE(result)).toBe(true);
+
+		delete elements.epoch;
+		expect(() =>
+			createTLE({ ...elements, epochYear: 2017, epochDay: 206, intDesignatorLaunchNumber: 67 })
+		).toThrow("Can't create TLE, missing required element(s): intDesignatorYear.");
+	});
+
+	test("carries epochs rounded up past the end of the year", () => {
+		// A fraction of a millisecond before 2021, day 366 of 2020 (a leap year) rounds up to 367.
+		const result = createTLE({ ...issElements, epoch: Date.UTC(2021, 0, 1) - 0.1 });
+		expect(result.tle[0].substr(18, 14)).toBe("21001.00000000");
+		expect(isValidTLE(result)).toBe(true);
+
+		const nonLeapResult = createTLE({ ...issElements, epoch: Date.UTC(2022, 0, 1) - 0.1 });
+		expect(nonLeapResult.tle[0].substr(18, 14)).toBe("22001.00000000");
+
+		const lastDay = createTLE({ ...issElements, epoch: Date.UTC(2021, 0, 1) - 3600000 });
+		expect(lastDay.tle[0].substr(18, 14)).toBe("20366.95833333");
+	});
+
+	test("negative derivatives and drag", () => {
+		const result = createTLE({
+			catalogNumber: 42684,
+			cospar: "2017-021A",
+			epochYear: 2017,
+			epochDay: 221.56595738,
+			firstTimeDerivative: -0.00000599,
+			bstarDrag: -0.0000029896,
+			inclination: 42.7845,
+			rightAscension: 37.8962,
+			eccentricity: 0.0002841,
+			perigee: 275.1472,
+			meanAnomaly: 140.9012,
+			meanMotion: 15.57909698,
+			revNumberAtEpoch: 1734
+		});
+
+		expect(result.tle).toEqual([
+			"1 42684U 17021A   17221.56595738 -.00000599  00000-0 -29896-5 0  9990",
+			"2 42684  42.7845  37.8962 0002841 275.1472 140.9012 15.57909698 17345"
+		]);
+	});
+
+	test("tiny and zero exponent values", () => {
+		// Exponents have a single digit, so values below 1e-10 round to zero.
+		const result = createTLE({
+			...issElements,
+			bstarDrag: 1e-12,
+			secondTimeDerivative: 1.3e-11
+		});
+		expect(result.tle[0].substr(44, 17)).toBe(" 00000-0  00000-0");
+		expect(validateTLE(result, { timeMS: issElements.epoch }).issues).toEqual([]);
+		expect(getSecondTimeDerivative(result)).toBe(0);
+		expect(getBstarDrag(result)).toBe(0);
+
+		const smallest = createTLE({ ...issElements, bstarDrag: -1.2345e-10 });
+		expect(smallest.tle[0].substr(53, 8)).toBe("-12345-9");
+		expect(getBstarDrag(smallest)).toBe(-1.2345e-10);
+		expect(isValidTLE(smallest)).toBe(true);
+
+		const zeroResult = createTLE({ ...issElements, bstarDrag: -0, secondTimeDerivative: 0 });
+		expect(zeroResult.tle[0].substr(44, 17)).toBe(" 00000-0  00000-0");
+		expect(isValidTLE(zeroResult)).toBe(true);
+	});
+
+	test("values round trip through the getters", () => {
+		const elements = {
+			...issElements,
+			firstTimeDerivative: -0.00012345,
+			secondTimeDerivative: 0.000012345,
+			bstarDrag: -0.00098765,
+			eccentricity: 0.7123456,
+			meanMotion: 2.00561234
+		};
+		const result = createTLE(elements);
+
+		expect(isValidTLE(result)).toBe(true);
+		expect(getFirstTimeDerivative(result)).toEqual(elements.firstTimeDerivative);
+		expect(getSecondTimeDerivative(result)).toEqual(elements.secondTimeDerivative);
+		expect(getBstarDrag(result)).toEqual(elements.bstarDrag);
+		expect(getEccentricity(result)).toEqual(elements.eccentricity);
+		expect(getMeanMotion(result)).toEqual(elements.meanMotion);
+		expect(getCOSPAR(result)).toEqual("1998-067A");
+		expect(getEpochTimestamp(result)).toEqual(elements.epoch);
+	});
+
+	test("rounds exponent notation that carries over", () => {
+		const result = createTLE({ ...issElements, bstarDrag: 0.0000999999 });
+		expect(result.tle[0].substr(53, 8)).toBe(" 10000-3");
+	});
+
+	test("Alpha-5 catalog numbers", () => {
+		const result = createTLE({ ...issElements, catalogNumber: 100001 });
+		expect(result.tle[0].substr(2, 5)).toBe("A0001");
+		expect(result.tle[1].substr(2, 5)).toBe("A0001");
+		expect(getCatalogNumber(result)).toBe(100001);
+		expect(isValidTLE(result)).toBe(true);
+	});
+
+	test("leaves the international designator blank when unknown", () => {
+		const elements = { ...issElements };
+		delete elements.cospar;
+		const result = createTLE(elements);
+		expect(result.tle[0].substr(9, 8)).toBe("        ");
+		expect(isValidTLE(result)).toBe(true);
+	});
+
+	test("propagates", () => {
+		const fromTLE = getSatelliteInfo(issTLE, 1501039265000, 34.243889, -116.911389);
+		const fromElements = getSatelliteInfo(
+			createTLE(issElements),
+			1501039265000,
+			34.243889,
+			-116.911389
+		);
+		expect(fromElements).toEqual(fromTLE);
+	});
+
+	test("throws on missing elements", () => {
+		const elements = { ...issElements };
+		delete elements.epoch;
+		delete elements.meanMotion;
+		expect(() => createTLE(elements)).toThrow(
+			"Can't create TLE, missing required element(s): meanMotion, epoch."
+		);
+	});
+
+	test("throws on out of range elements", () => {
+		expect(() => createTLE({ ...issElements, eccentricity: 1.2 })).toThrow(/eccentricity/);
+		expect(() => createTLE({ ...issElements, inclination: -1 })).toThrow(/inclination/);
+		expect(() => createTLE({ ...issElements, classification: "X" })).toThrow(/classification/);
+		expect(() => createTLE({ ...issElements, cospar: "ISS" })).toThrow(/cospar/);
+		expect(() => createTLE({ ...issElements, catalogNumber: 340000 })).toThrow(/340000/);
+	});
+});
+
+describe("formatTLE", () => {
+	test("3-line output", () => {
+		expect(formatTLE(createTLE(issElements))).toBe(["ISS (ZARYA)", ...issTLE].join("\n"));
+	});
+
+	test("2-line output", () => {
+		expect(formatTLE(createTLE(issElements), false)).toBe(issTLE.join("\n"));
+		expect(formatTLE(issTLE)).toBe(issTLE.join("\n"));
+	});
+});
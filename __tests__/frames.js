@@ -0,0 +1,96 @@
+import { getLatLngObj, getStateVector } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+// Test case from Vallado et al., "Revisiting Spacetrack Report #3" (2006).
+const valladoTLE = [
+	"1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753",
+	"2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667"
+];
+const valladoTimeMS = Date.UTC(2000, 5, 30, 18, 50, 19, 733.571);
+const valladoTEME = {
+	position: { x: -9060.47373569, y: 4658.70952502, z: 813.68673153 },
+	velocity: { x: -2.232832783, y: -4.11045349, z: -3.157345433 }
+};
+const valladoGCRF = {
+	position: { x: -9059.9413786, y: 4659.6972, z: 813.9588875 },
+	velocity: { x: -2.233348094, y: -4.110136162, z: -3.157394074 }
+};
+
+const timeMS = 1501039265000;
+
+const magnitude = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+
+const expectVectorCloseTo = (actual, expected, maxDiff) => {
+	expect(magnitude(subtract(actual, expected))).toBeLessThan(maxDiff);
+};
+
+describe("getStateVector", () => {
+	test("TEME by default", () => {
+		const { frame, position, velocity } = getStateVector(valladoTLE, valladoTimeMS);
+		expect(frame).toBe("TEME");
+		// satellite.js' SGP4 differs from the reference implementation by a few meters.
+		expectVectorCloseTo(position, valladoTEME.position, 0.02);
+		expectVectorCloseTo(velocity, valladoTEME.velocity, 1e-5);
+	});
+
+	test("GCRF", () => {
+		const teme = getStateVector(valladoTLE, valladoTimeMS);
+		const gcrf = getStateVector(valladoTLE, valladoTimeMS, { frame: "GCRF" });
+		expect(gcrf.frame).toBe("GCRF");
+
+		// The TEME to GCRF offset is within a few meters of the reference, which also applies
+		// Earth orientation corrections to the nutation.
+		expectVectorCloseTo(
+			subtract(gcrf.position, teme.position),
+			subtract(valladoGCRF.position, valladoTEME.position),
+			0.003
+		);
+		expectVectorCloseTo(
+			subtract(gcrf.velocity, teme.velocity),
+			subtract(valladoGCRF.velocity, valladoTEME.velocity),
+			1e-6
+		);
+	});
+
+	test("J2000 is an alias of GCRF", () => {
+		expect(getStateVector(tleStr, timeMS, { frame: "J2000" })).toEqual(
+			getStateVector(tleStr, timeMS, { frame: "GCRF" })
+		);
+	});
+
+	test("ECEF", () => {
+		const teme = getStateVector(tleStr, timeMS);
+		const { frame, position, velocity } = getStateVector(tleStr, timeMS, { frame: "ECEF" });
+		expect(frame).toBe("ECEF");
+		expect(magnitude(position)).toBeCloseTo(magnitude(teme.position), 6);
+		expect(position.z).toBeCloseTo(teme.position.z, 6);
+
+		const { lat, lng } = getLatLngObj(tleStr, timeMS);
+		const geocentricLng = (Math.atan2(position.y, position.x) * 180) / Math.PI;
+		expect(geocentricLng).toBeCloseTo(lng, 2);
+		expect(Math.sign(position.z)).toBe(Math.sign(lat));
+
+		// Velocity relative to the rotating Earth matches the change in ECEF position.
+		const before = getStateVector(tleStr, timeMS - 500, { frame: "ITRF" }).position;
+		const after = getStateVector(tleStr, timeMS + 500, { frame: "ITRF" }).position;
+		expectVectorCloseTo(velocity, subtract(after, before), 1e-4);
+	});
+
+	test("frame conversions preserve distances", () => {
+		const teme = getStateVector(tleStr, timeMS);
+		const gcrf = getStateVector(tleStr, timeMS, { frame: "GCRF" });
+		expect(magnitude(gcrf.position)).toBeCloseTo(magnitude(teme.position), 6);
+		expect(magnitude(gcrf.velocity)).toBeCloseTo(magnitude(teme.velocity), 9);
+	});
+
+	test("unknown frame", () => {
+		expect(() => getStateVector(tleStr, timeMS, { frame: "LVLH" })).toThrow(
+			"frame must be one of TEME, ECEF, GCRF, ITRF, J2000, EME2000, but got LVLH."
+		);
+	});
+});
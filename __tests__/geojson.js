@@ -0,0 +1,99 @@
+import { getGroundTrackGeoJSON } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const startTimeMS = 1501039265000;
+const orbitMS = 5559037;
+
+describe("getGroundTrackGeoJSON", () => {
+	const geoJSON = getGroundTrackGeoJSON({
+		tles: [tleStr],
+		startTimeMS,
+		stepMS: 10000
+	});
+	const [feature] = geoJSON.features;
+	const lines = feature.geometry.coordinates;
+	const { coordTimes } = feature.properties;
+
+	test("FeatureCollection of MultiLineStrings", () => {
+		expect(geoJSON.type).toEqual("FeatureCollection");
+		expect(geoJSON.features).toHaveLength(1);
+		expect(feature.type).toEqual("Feature");
+		expect(feature.geometry.type).toEqual("MultiLineString");
+	});
+
+	test("properties", () => {
+		expect(feature.properties).toEqual({
+			name: "ISS (ZARYA)",
+			catalogNumber: 25544,
+			cospar: "1998-067A",
+			epochTimestamp: 1500956694771,
+			startTimeMS,
+			endTimeMS: startTimeMS + orbitMS,
+			coordTimes: expect.any(Array)
+		});
+	});
+
+	test("splits at the antemeridian", () => {
+		expect(lines).toHaveLength(2);
+
+		const lastPoint = lines[0][lines[0].length - 1];
+		const firstPoint = lines[1][0];
+		expect(Math.abs(lastPoint[0])).toEqual(180);
+		expect(firstPoint[0]).toEqual(-lastPoint[0]);
+		expect(firstPoint[1]).toEqual(lastPoint[1]);
+
+		lines.forEach(line => {
+			line.slice(1).forEach(([lng], i) => {
+				expect(Math.abs(lng - line[i][0])).toBeLessThan(180);
+			});
+		});
+	});
+
+	test("timestamps per vertex", () => {
+		expect(coordTimes.map(times => times.length)).toEqual(
+			lines.map(line => line.length)
+		);
+		expect(coordTimes[0][0]).toEqual(startTimeMS);
+		expect(coordTimes[1][coordTimes[1].length - 1]).toEqual(startTimeMS + orbitMS);
+
+		// The crossing point is shared by both lines.
+		expect(coordTimes[1][0]).toEqual(coordTimes[0][coordTimes[0].length - 1]);
+
+		const allTimes = [].concat(...coordTimes);
+		allTimes.slice(1).forEach((timeMS, i) => {
+			expect(timeMS).toBeGreaterThanOrEqual(allTimes[i]);
+		});
+	});
+
+	test("endTimeMS", () => {
+		const { features } = getGroundTrackGeoJSON({
+			tles: [tleStr, tleStr],
+			startTimeMS,
+			endTimeMS: startTimeMS + 60000,
+			stepMS: 10000
+		});
+
+		expect(features).toHaveLength(2);
+		expect(features[0].geometry.coordinates).toEqual([
+			expect.any(Array)
+		]);
+		expect(features[0].properties.coordTimes[0]).toEqual([
+			startTimeMS,
+			startTimeMS + 10000,
+			startTimeMS + 20000,
+			startTimeMS + 30000,
+			startTimeMS + 40000,
+			startTimeMS + 50000,
+			startTimeMS + 60000
+		]);
+	});
+
+	test("throws on steps that don't advance time", () => {
+		expect(() =>
+			getGroundTrackGeoJSON({ tles: [tleStr], startTimeMS, stepMS: -1000 })
+		).toThrow(RangeError);
+	});
+});
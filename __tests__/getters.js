@@ -1,4 +1,7 @@
 import {
+	createTLE,
+	getApogeeAltitude,
+	getArgOfPerigeeDriftRate,
 	getAverageOrbitTimeMins,
 	getAverageOrbitTimeMS,
 	getAverageOrbitTimeS,
@@ -22,14 +25,25 @@ import {
 	getLineNumber2,
 	getMeanAnomaly,
 	getMeanMotion,
+	getNodalPrecessionRate,
 	getOrbitModel,
+	getOrbitRegime,
+	getPerigeeAltitude,
 	getPerigee,
 	getRevNumberAtEpoch,
 	getRightAscension,
 	getSatelliteName,
 	getSecondTimeDerivative,
+	getSemiMajorAxis,
+	getSpecificOrbitalEnergy,
 	getTleSetNumber,
 	getCOSPAR,
+	getRawCatalogNumber,
+	getRawCatalogNumber1,
+	getRawCatalogNumber2,
+	decodeAlpha5,
+	encodeAlpha5,
+	isValidTLE,
 } from "../src";
 
 describe("getters", () => {
@@ -254,6 +268,128 @@ describe("getters", () => {
 		});
 	});
 
+	describe("derived orbital parameters", () => {
+		const createOrbit = (inclination, eccentricity, meanMotion) =>
+			createTLE({
+				catalogNumber: 99999,
+				epoch: 1500956694771,
+				inclination,
+				rightAscension: 0,
+				eccentricity,
+				perigee: 0,
+				meanAnomaly: 0,
+				meanMotion
+			});
+
+		test("getSemiMajorAxis", () => {
+			// Slightly above the 6782.54 km the Kozai mean motion alone gives.
+			expect(getSemiMajorAxis(tleStr)).toBeCloseTo(6783.0455, 4);
+		});
+
+		test("getApogeeAltitude", () => {
+			expect(getApogeeAltitude(tleStr)).toBeCloseTo(409.1934, 4);
+		});
+
+		test("getPerigeeAltitude", () => {
+			expect(getPerigeeAltitude(tleStr)).toBeCloseTo(400.6237, 4);
+		});
+
+		test("getSpecificOrbitalEnergy", () => {
+			expect(getSpecificOrbitalEnergy(tleStr)).toBeCloseTo(-29.3821, 4);
+		});
+
+		test("getNodalPrecessionRate", () => {
+			expect(getNodalPrecessionRate(tleStr)).toBeCloseTo(-4.985, 3);
+			expect(getNodalPrecessionRate(createOrbit(90, 0.001, 14.5))).toBeCloseTo(0, 10);
+		});
+
+		test("getArgOfPerigeeDriftRate", () => {
+			expect(getArgOfPerigeeDriftRate(tleStr)).toBeCloseTo(3.718, 3);
+			expect(getArgOfPerigeeDriftRate(createOrbit(63.4349, 0.7, 2.006))).toBeCloseTo(0, 3);
+		});
+
+		test("getOrbitRegime", () => {
+			expect(getOrbitRegime(tleStr)).toEqual("LEO");
+			expect(getOrbitRegime(createOrbit(98.19, 0.001, 14.57))).toEqual("SSO");
+			expect(getOrbitRegime(createOrbit(55, 0.01, 2.0056))).toEqual("MEO");
+			expect(getOrbitRegime(createOrbit(0.05, 0.0002, 1.0027))).toEqual("GEO");
+			expect(getOrbitRegime(createOrbit(63.4, 0.74, 2.006))).toEqual("Molniya");
+			expect(getOrbitRegime(createOrbit(27, 0.73, 2.25))).toEqual("HEO");
+			expect(getOrbitRegime(createOrbit(0.05, 0.001, 0.95))).toEqual("GEO");
+			expect(getOrbitRegime(createOrbit(0.05, 0.001, 0.8))).toEqual("HEO");
+
+			// Inclined (like QZSS) and moderately eccentric geosynchronous orbits.
+			expect(getOrbitRegime(createOrbit(41, 0.075, 1.0027))).toEqual("GSO");
+			expect(getOrbitRegime(createOrbit(55, 0.001, 1.0027))).toEqual("GSO");
+			expect(getOrbitRegime(createOrbit(0.05, 0.1, 1.0027))).toEqual("GSO");
+			expect(getOrbitRegime(createOrbit(8, 0.0002, 1.0027))).toEqual("GEO");
+			expect(getOrbitRegime(createOrbit(43, 0.27, 1.0027))).toEqual("HEO");
+		});
+	});
+
+	describe("Alpha-5 catalog numbers", () => {
+		const alpha5Tle = [
+			"1 A0001U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9994",
+			"2 A0001  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67661",
+		];
+
+		const maxAlpha5Tle = [
+			"1 Z9999U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9999",
+			"2 Z9999  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67666",
+		];
+
+		test("getCatalogNumber1", () => {
+			expect(getCatalogNumber1(alpha5Tle)).toEqual(100001);
+			expect(getCatalogNumber1(maxAlpha5Tle)).toEqual(339999);
+		});
+
+		test("getCatalogNumber2", () => {
+			expect(getCatalogNumber2(alpha5Tle)).toEqual(100001);
+			expect(getCatalogNumber2(maxAlpha5Tle)).toEqual(339999);
+		});
+
+		test("getRawCatalogNumber", () => {
+			expect(getRawCatalogNumber(alpha5Tle)).toEqual("A0001");
+			expect(getRawCatalogNumber1(alpha5Tle)).toEqual("A0001");
+			expect(getRawCatalogNumber2(alpha5Tle)).toEqual("A0001");
+			expect(getRawCatalogNumber(tleStr)).toEqual("25544");
+		});
+
+		test("is a valid TLE", () => {
+			expect(isValidTLE(alpha5Tle)).toBe(true);
+		});
+
+		test("decodeAlpha5", () => {
+			expect(decodeAlpha5("00005")).toEqual(5);
+			expect(decodeAlpha5("99999")).toEqual(99999);
+			expect(decodeAlpha5("A0000")).toEqual(100000);
+			expect(decodeAlpha5("H9999")).toEqual(179999);
+			expect(decodeAlpha5("J0000")).toEqual(180000);
+			expect(decodeAlpha5("P0000")).toEqual(230000);
+			expect(decodeAlpha5("Z9999")).toEqual(339999);
+		});
+
+		test("encodeAlpha5", () => {
+			expect(encodeAlpha5(5)).toEqual("00005");
+			expect(encodeAlpha5(25544)).toEqual("25544");
+			expect(encodeAlpha5(100000)).toEqual("A0000");
+			expect(encodeAlpha5(180000)).toEqual("J0000");
+			expect(encodeAlpha5(339999)).toEqual("Z9999");
+		});
+
+		test("round trips", () => {
+			[0, 99999, 100001, 179999, 229999, 230000, 339999].forEach(num => {
+				expect(decodeAlpha5(encodeAlpha5(num))).toEqual(num);
+			});
+		});
+
+		test("encodeAlpha5 throws when out of range", () => {
+			expect(() => encodeAlpha5(340000)).toThrow();
+			expect(() => encodeAlpha5(270000000)).toThrow();
+			expect(() => encodeAlpha5(-1)).toThrow();
+		});
+	});
+
 	describe('issues', () => {
 		describe('issue 14: bad cache key (dupe sat names)', () => {
 			test("getCatalogNumber", () => {
@@ -0,0 +1,103 @@
+import { getPasses, getVisibleSatellites, parseHorizonMask } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const observer = { lat: 34.243889, lng: -116.911389, height: 0 };
+const startTimeMS = 1501038665000;
+const endTimeMS = 1501039865000;
+
+const mask = [
+	{ azimuth: 0, elevation: 5 },
+	{ azimuth: 90, elevation: 20 },
+	{ azimuth: 180, elevation: 5 },
+	{ azimuth: 270, elevation: 30 }
+];
+
+describe("parseHorizonMask", () => {
+	test("CSV", () => {
+		const csv = `# Big Bear
+azimuth,elevation
+90, 20
+0,5
+180;5
+270	30`;
+		expect(parseHorizonMask(csv)).toEqual(mask);
+	});
+
+	test("JSON and arrays", () => {
+		expect(parseHorizonMask("[[270, 30], [0, 5], [90, 20], [180, 5]]")).toEqual(mask);
+		expect(parseHorizonMask(JSON.stringify(mask))).toEqual(mask);
+		expect(parseHorizonMask([[360, 5], [90, 20], [180, 5], [270, 30]])).toEqual(mask);
+	});
+
+	test("invalid masks", () => {
+		expect(() => parseHorizonMask([])).toThrow("Horizon mask must have at least one point.");
+		expect(() => parseHorizonMask([[0, 5], [400, 5]])).toThrow(
+			"Horizon mask points need an azimuth (0 to 360) and elevation (-90 to 90), but got [400,5]."
+		);
+		expect(() => parseHorizonMask("0,5\n90,high")).toThrow("but got [90,null].");
+	});
+});
+
+describe("getPasses with a horizon mask", () => {
+	const [flatPass] = getPasses({ tle: tleStr, observer, startTimeMS, endTimeMS });
+
+	test("AOS and LOS are on the mask", () => {
+		const [pass] = getPasses({
+			tle: tleStr,
+			observer: { ...observer, horizonMask: mask },
+			startTimeMS,
+			endTimeMS
+		});
+
+		// The mask rises from 5 degrees at 180 to 30 degrees at 270, and from 5 to 20 at 0 to 90.
+		const { aos, tca, los } = pass;
+		expect(aos.elevation).toBeCloseTo(5 + (25 * (aos.azimuth - 180)) / 90, 3);
+		expect(los.elevation).toBeCloseTo(5 + (15 * los.azimuth) / 90, 3);
+		expect(aos.timeMS).toBeGreaterThan(flatPass.aos.timeMS);
+		expect(los.timeMS).toBeLessThan(flatPass.los.timeMS);
+
+		// Culmination is unchanged.
+		expect(tca).toEqual(flatPass.tca);
+	});
+
+	test("obstructions split passes", () => {
+		const wall = [[0, 0], [250, 0], [260, 85], [340, 85], [350, 0]];
+		const passes = getPasses({
+			tle: tleStr,
+			observer: { ...observer, horizonMask: wall },
+			startTimeMS,
+			endTimeMS
+		});
+
+		expect(passes.length).toEqual(2);
+		expect(passes[0].aos).toEqual(flatPass.aos);
+		expect(passes[1].los).toEqual(flatPass.los);
+		expect(passes[0].los.azimuth).toBeCloseTo(258.9, 1);
+		expect(passes[1].aos.azimuth).toBeCloseTo(340.4, 1);
+	});
+});
+
+describe("getVisibleSatellites with a horizon mask", () => {
+	const getVisible = horizonMask =>
+		getVisibleSatellites({
+			observerLat: observer.lat,
+			observerLng: observer.lng,
+			tles: [tleStr],
+			// The ISS is at 15.3 degrees of elevation and 229.3 degrees of azimuth, where the mask
+			// is at 18.7 degrees.
+			timestampMS: 1501039115000,
+			horizonMask
+		});
+
+	test("leaves out satellites behind the mask", () => {
+		const [{ info }] = getVisible();
+		expect(info.elevation).toBeCloseTo(15.3, 1);
+		expect(info.azimuth).toBeCloseTo(229.3, 1);
+
+		expect(getVisible(mask).length).toEqual(0);
+		expect(getVisible([[0, 10]]).length).toEqual(1);
+	});
+});
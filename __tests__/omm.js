@@ -0,0 +1,263 @@
+import {
+	clearTLEParseCache,
+	getCatalogNumber,
+	getCOSPAR,
+	getEpochTimestamp,
+	getSatelliteInfo,
+	getSatelliteName,
+	isOMM,
+	isValidTLE,
+	parseOMM,
+	parseTLE
+} from "../src";
+
+const tleArr = [
+	"1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993",
+	"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660"
+];
+
+const ommObj = {
+	OBJECT_NAME: "ISS (ZARYA)",
+	OBJECT_ID: "1998-067A",
+	EPOCH: "2017-07-25T04:24:54.771264",
+	MEAN_MOTION: 15.54225995,
+	ECCENTRICITY: 0.0006317,
+	INCLINATION: 51.64,
+	RA_OF_ASC_NODE: 208.9163,
+	ARG_OF_PERICENTER: 69.9862,
+	MEAN_ANOMALY: 25.2906,
+	EPHEMERIS_TYPE: 0,
+	CLASSIFICATION_TYPE: "U",
+	NORAD_CAT_ID: 25544,
+	ELEMENT_SET_NO: 999,
+	REV_AT_EPOCH: 6766,
+	BSTAR: 0.000036771,
+	MEAN_MOTION_DOT: 0.00001961,
+	MEAN_MOTION_DDOT: 0
+};
+
+const ommXML = `<?xml version="1.0" encoding="UTF-8"?>
+<ndm xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="https://sanaregistry.org/r/ndmxml_unqualified/ndmxml-2.0.0-master-2.0.xsd">
+<omm id="CCSDS_OMM_VERS" version="2.0">
+<header><CREATION_DATE/><ORIGINATOR/></header>
+<body><segment>
+<metadata>
+<OBJECT_NAME>ISS (ZARYA)</OBJECT_NAME>
+<OBJECT_ID>1998-067A</OBJECT_ID>
+<CENTER_NAME>EARTH</CENTER_NAME>
+<REF_FRAME>TEME</REF_FRAME>
+<TIME_SYSTEM>UTC</TIME_SYSTEM>
+<MEAN_ELEMENT_THEORY>SGP4</MEAN_ELEMENT_THEORY>
+</metadata>
+<data>
+<meanElements>
+<EPOCH>2017-07-25T04:24:54.771264</EPOCH>
+<MEAN_MOTION>15.54225995</MEAN_MOTION>
+<ECCENTRICITY>.0006317</ECCENTRICITY>
+<INCLINATION>51.6400</INCLINATION>
+<RA_OF_ASC_NODE>208.9163</RA_OF_ASC_NODE>
+<ARG_OF_PERICENTER>69.9862</ARG_OF_PERICENTER>
+<MEAN_ANOMALY>25.2906</MEAN_ANOMALY>
+</meanElements>
+<tleParameters>
+<EPHEMERIS_TYPE>0</EPHEMERIS_TYPE>
+<CLASSIFICATION_TYPE>U</CLASSIFICATION_TYPE>
+<NORAD_CAT_ID>25544</NORAD_CAT_ID>
+<ELEMENT_SET_NO>999</ELEMENT_SET_NO>
+<REV_AT_EPOCH>6766</REV_AT_EPOCH>
+<BSTAR>.36771E-4</BSTAR>
+<MEAN_MOTION_DOT>.1961E-4</MEAN_MOTION_DOT>
+<MEAN_MOTION_DDOT>0</MEAN_MOTION_DDOT>
+</tleParameters>
+</data>
+</segment></body>
+</omm>
+</ndm>`;
+
+const ommKVN = `CCSDS_OMM_VERS = 2.0
+COMMENT  GENERATED VIA SPACE-TRACK.ORG API
+CREATION_DATE = 2017-07-25T06:00:00
+ORIGINATOR = 18 SPCS
+OBJECT_NAME = ISS (ZARYA)
+OBJECT_ID = 1998-067A
+CENTER_NAME = EARTH
+REF_FRAME = TEME
+TIME_SYSTEM = UTC
+MEAN_ELEMENT_THEORY = SGP4
+EPOCH = 2017-07-25T04:24:54.771264
+MEAN_MOTION = 15.54225995 [rev/day]
+ECCENTRICITY = .0006317
+INCLINATION = 51.6400 [deg]
+RA_OF_ASC_NODE = 208.9163 [deg]
+ARG_OF_PERICENTER = 69.9862 [deg]
+MEAN_ANOMALY = 25.2906 [deg]
+EPHEMERIS_TYPE = 0
+CLASSIFICATION_TYPE = U
+NORAD_CAT_ID = 25544
+ELEMENT_SET_NO = 999
+REV_AT_EPOCH = 6766
+BSTAR = .36771E-4 [1/ER]
+MEAN_MOTION_DOT = .1961E-4 [rev/day**2]
+MEAN_MOTION_DDOT = 0 [rev/day**3]`;
+
+describe("parseOMM", () => {
+	beforeEach(clearTLEParseCache);
+
+	test("JSON object", () => {
+		const result = parseOMM(ommObj);
+		expect(result.name).toBe("ISS (ZARYA)");
+		expect(result.tle).toEqual(tleArr);
+	});
+
+	test("JSON string", () => {
+		expect(parseOMM(JSON.stringify(ommObj)).tle).toEqual(tleArr);
+	});
+
+	test("JSON array with a single record", () => {
+		expect(parseOMM(JSON.stringify([ommObj])).tle).toEqual(tleArr);
+	});
+
+	test("XML", () => {
+		const result = parseOMM(ommXML);
+		expect(result.name).toBe("ISS (ZARYA)");
+		expect(result.tle).toEqual(tleArr);
+	});
+
+	test("KVN", () => {
+		const result = parseOMM(ommKVN);
+		expect(result.name).toBe("ISS (ZARYA)");
+		expect(result.tle).toEqual(tleArr);
+	});
+
+	test("CRLF KVN", () => {
+		expect(parseOMM(ommKVN.replace(/\n/g, "\r\n")).tle).toEqual(tleArr);
+	});
+
+	test("multiple records", () => {
+		const tianzhou = {
+			...ommObj,
+			OBJECT_NAME: "TIANZHOU 1",
+			OBJECT_ID: "2017-021A",
+			NORAD_CAT_ID: 42684
+		};
+
+		expect(parseOMM([ommObj, tianzhou]).length).toBe(2);
+		expect(parseOMM(`${ommKVN}\n${ommKVN}`).length).toBe(2);
+
+		const ommBlock = ommXML.match(/<omm[\s\S]*<\/omm>/)[0];
+		const twoRecordXML = ommXML.replace("</omm>", `</omm>${ommBlock}`);
+		expect(parseOMM(twoRecordXML).length).toBe(2);
+	});
+
+	test("day of year epoch", () => {
+		expect(parseOMM({ ...ommObj, EPOCH: "2017-206T04:24:54.771264" }).tle).toEqual(tleArr);
+	});
+
+	test("negative and tiny values", () => {
+		const result = parseOMM({
+			...ommObj,
+			NORAD_CAT_ID: 42684,
+			MEAN_MOTION_DOT: -0.00000599,
+			BSTAR: -0.0000029896
+		});
+		expect(result.tle[0]).toBe(
+			"1 42684U 98067A   17206.18396726 -.00000599  00000-0 -29896-5 0  9996"
+		);
+		expect(isValidTLE(result)).toBe(true);
+	});
+
+	test("values too small for the exponent column", () => {
+		const result = parseOMM({ ...ommObj, MEAN_MOTION_DDOT: 1.3e-11, BSTAR: 1e-12 });
+		expect(result.tle[0]).toBe(
+			"1 25544U 98067A   17206.18396726  .00001961  00000-0  00000-0 0  9995"
+		);
+		expect(isValidTLE(result)).toBe(true);
+	});
+
+	test("defaults optional fields", () => {
+		const result = parseOMM({
+			EPOCH: ommObj.EPOCH,
+			MEAN_MOTION: ommObj.MEAN_MOTION,
+			ECCENTRICITY: ommObj.ECCENTRICITY,
+			INCLINATION: ommObj.INCLINATION,
+			RA_OF_ASC_NODE: ommObj.RA_OF_ASC_NODE,
+			ARG_OF_PERICENTER: ommObj.ARG_OF_PERICENTER,
+			MEAN_ANOMALY: ommObj.MEAN_ANOMALY,
+			NORAD_CAT_ID: ommObj.NORAD_CAT_ID
+		});
+
+		expect(result.name).toBeUndefined();
+		expect(isValidTLE(result)).toBe(true);
+		expect(getCatalogNumber(result)).toBe(25544);
+	});
+
+	test("Alpha-5 catalog numbers", () => {
+		const result = parseOMM({ ...ommObj, NORAD_CAT_ID: 100001 });
+		expect(result.tle[0].substr(2, 5)).toBe("A0001");
+		expect(getCatalogNumber(result)).toBe(100001);
+	});
+
+	test("throws for catalog numbers that don't fit in a TLE", () => {
+		expect(() => parseOMM({ ...ommObj, NORAD_CAT_ID: 270000001 })).toThrow(/270000001/);
+	});
+
+	test("throws on missing required fields", () => {
+		const incomplete = { ...ommObj };
+		delete incomplete.MEAN_MOTION;
+		delete incomplete.EPOCH;
+		expect(() => parseOMM(incomplete)).toThrow(
+			"OMM is missing required field(s): EPOCH, MEAN_MOTION."
+		);
+	});
+
+	test("throws on malformed fields", () => {
+		expect(() => parseOMM({ ...ommObj, INCLINATION: "abc" })).toThrow(/INCLINATION/);
+		expect(() => parseOMM({ ...ommObj, EPOCH: "yesterday" })).toThrow(/EPOCH/);
+		expect(() => parseOMM({ ...ommObj, MEAN_ELEMENT_THEORY: "SGP4-XP" })).toThrow(/SGP4/);
+	});
+
+	test("throws on unknown formats", () => {
+		expect(() => parseOMM("foo")).toThrow();
+	});
+});
+
+describe("isOMM", () => {
+	test("detects OMM formats", () => {
+		expect(isOMM(ommObj)).toBe(true);
+		expect(isOMM([ommObj])).toBe(true);
+		expect(isOMM(ommXML)).toBe(true);
+		expect(isOMM(ommKVN)).toBe(true);
+	});
+
+	test("ignores TLEs", () => {
+		expect(isOMM(tleArr)).toBe(false);
+		expect(isOMM(tleArr.join("\n"))).toBe(false);
+		expect(isOMM({ tle: tleArr })).toBe(false);
+	});
+});
+
+describe("parseTLE with OMM input", () => {
+	beforeEach(clearTLEParseCache);
+
+	test("auto-detects every format", () => {
+		[ommObj, JSON.stringify(ommObj), ommXML, ommKVN].forEach(omm => {
+			expect(parseTLE(omm).tle).toEqual(tleArr);
+		});
+	});
+
+	test("works with getters", () => {
+		expect(getSatelliteName(ommKVN)).toBe("ISS (ZARYA)");
+		expect(getCOSPAR(ommXML)).toBe("1998-067A");
+		expect(getEpochTimestamp(ommObj)).toBe(1500956694771);
+	});
+
+	test("works with getSatelliteInfo", () => {
+		const fromOMM = getSatelliteInfo(ommObj, 1501039265000, 34.243889, -116.911389);
+		const fromTLE = getSatelliteInfo(tleArr, 1501039265000, 34.243889, -116.911389);
+		expect(fromOMM).toEqual(fromTLE);
+	});
+
+	test("rejects multiple records", () => {
+		expect(() => parseTLE([ommObj, ommObj])).toThrow();
+	});
+});
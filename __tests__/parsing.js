@@ -1,4 +1,11 @@
-import { parseTLE, isValidTLE, computeChecksum, clearTLEParseCache } from "../src";
+import {
+	parseTLE,
+	isValidTLE,
+	computeChecksum,
+	clearTLEParseCache,
+	parseTLECatalog
+} from "../src";
+import fs from "fs";
 
 const tleStr = `ISS (ZARYA)                     
 1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
@@ -64,6 +71,14 @@ describe("parseTLE", () => {
 			expect(result.tle).toEqual(tleArrNoName);
 		});
 
+		test("doesn't mix up TLEs that share line 1", () => {
+			const line2 =
+				"2 25544  51.6401 208.9163 0006317  69.9862  25.2906 15.54225995 67661";
+			parseTLE(tleArr);
+			const result = parseTLE([tleArr[1], line2]);
+			expect(result.tle[1]).toBe(line2);
+		});
+
 		test("parses with extra spaces", () => {
 			const tleArrNoName = [
 				"     1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993    ",
@@ -193,3 +208,120 @@ describe("computeChecksum", () => {
 		expect(result).toEqual(expectedResult);
 	});
 });
+
+describe("parseTLECatalog", () => {
+	const line1 = tleArr[1].trim();
+	const line2 = tleArr[2].trim();
+	const tdrsLine1 =
+		"1 21639U 91054B   19285.11607213  .00000086  00000-0  00000+0 0  9999";
+	const tdrsLine2 =
+		"2 21639  14.4166  12.9467 0020126   2.6566 238.9448  1.00275784103242";
+
+	test("3-line file", () => {
+		const text = fs.readFileSync(`${__dirname}/tles.txt`, "utf8");
+		const { tles, errors } = parseTLECatalog(text);
+		expect(errors).toEqual([]);
+		expect(tles.length).toBe(8);
+		expect(tles[0]).toEqual({
+			name: "COSMOS 2492 [GLONASS-M]",
+			tle: [
+				"1 39620U 14012A   19285.51719791 -.00000065  00000-0  10000-3 0  9999",
+				"2 39620  65.6759  35.9755 0011670 324.9338 289.9534  2.13103291 43246"
+			]
+		});
+	});
+
+	test("mixed 2 and 3-line entries, blank lines, CRLF and 0 prefixes", () => {
+		const text = [
+			"0 ISS (ZARYA)",
+			line1,
+			line2,
+			"",
+			tdrsLine1,
+			tdrsLine2,
+			"   ",
+			"TDRS 5  ",
+			tdrsLine1,
+			tdrsLine2,
+			""
+		].join("\r\n");
+
+		expect(parseTLECatalog(text)).toEqual({
+			tles: [
+				{ name: "ISS (ZARYA)", tle: [line1, line2] },
+				{ tle: [tdrsLine1, tdrsLine2] },
+				{ name: "TDRS 5", tle: [tdrsLine1, tdrsLine2] }
+			],
+			errors: []
+		});
+	});
+
+	test("collects errors with line numbers", () => {
+		const badChecksumLine2 = `${line2.substr(0, 68)}9`;
+		const text = [
+			"ORPHAN NAME",
+			"ISS (ZARYA)",
+			line1,
+			badChecksumLine2,
+			"",
+			tdrsLine2,
+			"TDRS 5",
+			tdrsLine1,
+			"ISS (ZARYA)",
+			line1,
+			line2.substr(0, 60),
+			line1,
+			tdrsLine2,
+			"ISS (ZARYA)",
+			line1,
+			line2,
+			"TRAILING NAME"
+		].join("\n");
+
+		const { tles, errors } = parseTLECatalog(text);
+		expect(tles).toEqual([{ name: "ISS (ZARYA)", tle: [line1, line2] }]);
+		expect(errors).toEqual([
+			{
+				lineNumber: 1,
+				lines: ["ORPHAN NAME"],
+				message: "Satellite name isn't followed by TLE lines."
+			},
+			{
+				lineNumber: 2,
+				lines: ["ISS (ZARYA)", line1, badChecksumLine2],
+				message: "Line 2 has an invalid checksum."
+			},
+			{
+				lineNumber: 6,
+				lines: [tdrsLine2],
+				message: "Line 2 isn't preceded by line 1."
+			},
+			{
+				lineNumber: 7,
+				lines: ["TDRS 5", tdrsLine1],
+				message: "Line 1 isn't followed by line 2."
+			},
+			{
+				lineNumber: 9,
+				lines: ["ISS (ZARYA)", line1, line2.substr(0, 60)],
+				message: "Line 2 must be 69 characters long, but is 60."
+			},
+			{
+				lineNumber: 12,
+				lines: [line1, tdrsLine2],
+				message: "Catalog numbers don't match (line 1: 25544, line 2: 21639)."
+			},
+			{
+				lineNumber: 17,
+				lines: ["TRAILING NAME"],
+				message: "Satellite name isn't followed by TLE lines."
+			}
+		]);
+	});
+
+	test("throws on non-string input", () => {
+		expect(() => parseTLECatalog([line1, line2])).toThrow(
+			"TLE catalog must be a string, but got array."
+		);
+	});
+});
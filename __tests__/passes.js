@@ -0,0 +1,259 @@
+import { clearCache, getDopplerCurve, getPasses, getSatelliteInfo } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.51418347  .00001345  00000-0  27503-4 0  9993
+2 25544  51.6396 207.2711 0006223  72.3525  71.7719 15.54224686 67715`;
+
+const bigBear = {
+	lat: 34.243889,
+	lng: -116.911389,
+	height: 0
+};
+
+describe("getPasses", () => {
+	beforeEach(clearCache);
+
+	test("Big Bear flyover", () => {
+		const passes = getPasses({
+			tle: tleStr,
+			observer: bigBear,
+			startTimeMS: 1501038665000,
+			endTimeMS: 1501039865000
+		});
+
+		expect(passes.length).toBe(1);
+
+		const [pass] = passes;
+		expect(pass.isPartial).toBe(false);
+		expect(pass.aos.timeMS).toBeCloseTo(1501038950400, -2);
+		expect(pass.tca.timeMS).toBeCloseTo(1501039268313, -2);
+		expect(pass.los.timeMS).toBeCloseTo(1501039587811, -2);
+		expect(pass.maxElevation).toBeCloseTo(82.28, 2);
+		expect(pass.aos.elevation).toBeCloseTo(0, 3);
+		expect(pass.los.elevation).toBeCloseTo(0, 3);
+		expect(pass.durationMS).toBe(pass.los.timeMS - pass.aos.timeMS);
+	});
+
+	test("agrees with getSatelliteInfo", () => {
+		// getSatelliteInfo() treats a zero observer height as unset.
+		const observer = { ...bigBear, height: 1.5 };
+		const [pass] = getPasses({
+			tle: tleStr,
+			observer,
+			startTimeMS: 1501038665000,
+			endTimeMS: 1501039865000
+		});
+
+		const info = getSatelliteInfo(
+			tleStr,
+			pass.tca.timeMS,
+			observer.lat,
+			observer.lng,
+			observer.height
+		);
+		expect(info.elevation).toBeCloseTo(pass.tca.elevation, 4);
+		expect(info.azimuth).toBeCloseTo(pass.tca.azimuth, 4);
+		expect(info.range).toBeCloseTo(pass.tca.range, 4);
+	});
+
+	test("finds every pass in a day", () => {
+		const passes = getPasses({
+			tle: tleStr,
+			observer: bigBear,
+			startTimeMS: 1501039265000
+		});
+
+		// Cross-checked against a one second brute force scan.
+		expect(passes.length).toBe(8);
+		expect(passes[0].isPartial).toBe(true);
+		expect(passes[0].aos.timeMS).toBe(1501039265000);
+
+		// Short, low pass that falls between coarse samples.
+		expect(passes[6].maxElevation).toBeCloseTo(0.58, 2);
+		expect(passes[6].durationMS).toBeLessThan(3 * 60 * 1000);
+	});
+
+	test("respects minElevation", () => {
+		const passes = getPasses({
+			tle: tleStr,
+			observer: bigBear,
+			startTimeMS: 1501039265000,
+			minElevation: 10
+		});
+
+		expect(passes.length).toBe(5);
+		passes.forEach(pass => {
+			expect(pass.maxElevation).toBeGreaterThanOrEqual(10);
+			expect(pass.los.elevation).toBeCloseTo(10, 3);
+		});
+	});
+
+	describe("optical", () => {
+		// July 25-27 2017 (evening of the 24th to the 26th in California).
+		const startTimeMS = 1500940800000;
+		const endTimeMS = startTimeMS + 2 * 86400000;
+		const opticalPasses = getPasses({
+			tle: tleStr,
+			observer: bigBear,
+			startTimeMS,
+			endTimeMS,
+			optical: true
+		});
+
+		test("only adds visible segments in optical mode", () => {
+			const passes = getPasses({ tle: tleStr, observer: bigBear, startTimeMS, endTimeMS });
+			passes.forEach(pass => expect(pass.visibleSegments).toBeUndefined());
+
+			expect(opticalPasses.length).toBe(passes.length);
+			opticalPasses.forEach(pass => expect(pass.visibleSegments).toBeInstanceOf(Array));
+		});
+
+		test("no visible segments in daylight", () => {
+			// 7:32 PM local time, before sunset.
+			const [duskPass] = opticalPasses;
+			expect(new Date(duskPass.aos.timeMS).getUTCHours()).toBe(2);
+			expect(duskPass.visibleSegments).toEqual([]);
+		});
+
+		test("visible segments are within their passes", () => {
+			const segments = opticalPasses.reduce(
+				(all, pass) => all.concat(pass.visibleSegments.map(segment => ({ pass, segment }))),
+				[]
+			);
+			expect(segments.length).toBeGreaterThan(5);
+
+			segments.forEach(({ pass, segment }) => {
+				expect(segment.start.timeMS).toBeGreaterThanOrEqual(pass.aos.timeMS);
+				expect(segment.end.timeMS).toBeLessThanOrEqual(pass.los.timeMS);
+				expect(segment.durationMS).toBe(segment.end.timeMS - segment.start.timeMS);
+				expect(segment.maxElevation).toBeLessThanOrEqual(pass.maxElevation);
+			});
+		});
+
+		test("segment starts when the sky gets dark", () => {
+			// The ISS culminates at 82 degrees during civil twilight, and becomes visible while setting.
+			const twilightPass = opticalPasses.find(pass => pass.maxElevation > 80);
+			const [segment] = twilightPass.visibleSegments;
+			expect(twilightPass.visibleSegments.length).toBe(1);
+			expect(segment.start.timeMS).toBeGreaterThan(twilightPass.tca.timeMS);
+			expect(segment.end.timeMS).toBe(twilightPass.los.timeMS);
+			expect(segment.maxElevation).toBe(segment.start.elevation);
+
+			// Darker twilight requirements start later.
+			const [nauticalPass] = getPasses({
+				tle: tleStr,
+				observer: bigBear,
+				startTimeMS: twilightPass.aos.timeMS - 60000,
+				endTimeMS: twilightPass.los.timeMS + 60000,
+				optical: true,
+				twilight: "nautical"
+			});
+			expect(nauticalPass.visibleSegments).toEqual([]);
+
+			const [customPass] = getPasses({
+				tle: tleStr,
+				observer: bigBear,
+				startTimeMS: twilightPass.aos.timeMS - 60000,
+				endTimeMS: twilightPass.los.timeMS + 60000,
+				optical: true,
+				twilight: -6
+			});
+			expect(customPass.visibleSegments).toEqual(twilightPass.visibleSegments);
+		});
+
+		test("segment starts when the satellite leaves the Earth's shadow", () => {
+			// Pre-dawn pass, where the ISS rises in shadow.
+			const dawnPass = opticalPasses[opticalPasses.length - 1];
+			const [segment] = dawnPass.visibleSegments;
+			expect(new Date(dawnPass.aos.timeMS).getUTCHours()).toBe(11);
+			expect(segment.start.timeMS).toBeGreaterThan(dawnPass.aos.timeMS);
+			expect(segment.start.elevation).toBeGreaterThan(5);
+		});
+
+		test("throws on unknown twilight", () => {
+			expect(() =>
+				getPasses({
+					tle: tleStr,
+					observer: bigBear,
+					startTimeMS,
+					optical: true,
+					twilight: "dusk"
+				})
+			).toThrow(
+				"twilight must be one of civil, nautical, astronomical or a Sun elevation in degrees, but got dusk."
+			);
+		});
+	});
+
+	test("throws on steps that don't advance time", () => {
+		[0, -60000].forEach(stepMS => {
+			expect(() =>
+				getPasses({ tle: tleStr, observer: bigBear, startTimeMS: 1501038665000, stepMS })
+			).toThrow(new RangeError(`stepMS must be greater than 0, but got ${stepMS}.`));
+		});
+	});
+});
+
+describe("getDopplerCurve", () => {
+	const [pass] = getPasses({
+		tle: tleStr,
+		observer: bigBear,
+		startTimeMS: 1501038665000,
+		endTimeMS: 1501039865000
+	});
+
+	test("covers a pass", () => {
+		const curve = getDopplerCurve({ tle: tleStr, observer: bigBear, pass });
+
+		expect(curve[0].timeMS).toBe(pass.aos.timeMS);
+		expect(curve[curve.length - 1].timeMS).toBe(pass.los.timeMS);
+		expect(curve[1].timeMS - curve[0].timeMS).toBe(1000);
+		expect(curve[0].elevation).toBeCloseTo(0, 3);
+
+		// Approaching until culmination, then receding.
+		const tcaIndex = Math.round((pass.tca.timeMS - pass.aos.timeMS) / 1000);
+		expect(curve[tcaIndex].rangeRate).toBeCloseTo(0, 1);
+		expect(curve[0].rangeRate).toBeLessThan(-6);
+		expect(curve[curve.length - 1].rangeRate).toBeGreaterThan(6);
+		curve.forEach((point, i) => {
+			if (i < tcaIndex - 1) expect(point.dopplerFactor).toBeGreaterThan(1);
+			if (i > tcaIndex + 1) expect(point.dopplerFactor).toBeLessThan(1);
+		});
+	});
+
+	test("matches getSatelliteInfo", () => {
+		const curve = getDopplerCurve({
+			tle: tleStr,
+			observer: { ...bigBear, height: 1.5 },
+			startTimeMS: 1501039265000,
+			endTimeMS: 1501039325000,
+			stepMS: 30000,
+			frequencyHz: 145800000
+		});
+
+		expect(curve.length).toBe(3);
+		curve.forEach(point => {
+			const info = getSatelliteInfo(
+				tleStr,
+				point.timeMS,
+				bigBear.lat,
+				bigBear.lng,
+				1.5,
+				145800000
+			);
+			expect(point.range).toBeCloseTo(info.range, 6);
+			expect(point.rangeRate).toBeCloseTo(info.rangeRate, 9);
+			expect(point.downlinkFrequencyHz).toBeCloseTo(info.downlinkFrequencyHz, 3);
+			expect(point.uplinkFrequencyHz).toBeCloseTo(info.uplinkFrequencyHz, 3);
+		});
+	});
+
+	test("needs a time window", () => {
+		expect(() => getDopplerCurve({ tle: tleStr, observer: bigBear })).toThrow(
+			"getDopplerCurve() needs a pass, or startTimeMS and endTimeMS."
+		);
+		expect(() => getDopplerCurve({ tle: tleStr, observer: bigBear, pass, stepMS: 0 })).toThrow(
+			RangeError
+		);
+	});
+});
@@ -0,0 +1,108 @@
+import {
+	getApparentElevation,
+	getGeometricElevation,
+	getPasses,
+	getSatelliteInfo,
+	getVisibleSatellites
+} from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const observer = { lat: 34.243889, lng: -116.911389, height: 0 };
+const startTimeMS = 1501038665000;
+const endTimeMS = 1501039865000;
+
+describe("getApparentElevation and getGeometricElevation", () => {
+	test("standard conditions", () => {
+		// About 29 arcminutes at the horizon, 5 at 10 degrees and none overhead.
+		expect(getApparentElevation(0)).toBeCloseTo(0.483, 3);
+		expect(getApparentElevation(10)).toBeCloseTo(10.09, 3);
+		expect(getApparentElevation(90)).toBe(90);
+		expect(getGeometricElevation(0)).toBeCloseTo(-0.575, 3);
+	});
+
+	test("pressure and temperature", () => {
+		expect(getApparentElevation(10, { pressureHPa: 850, temperatureC: -5 })).toBeCloseTo(
+			10.08,
+			3
+		);
+		expect(getApparentElevation(0, { pressureHPa: 0 })).toBe(0);
+	});
+
+	test("are inverses of each other", () => {
+		[0, 1, 5, 10, 30, 60].forEach(elevation => {
+			expect(getGeometricElevation(getApparentElevation(elevation))).toBeCloseTo(elevation, 2);
+		});
+	});
+
+	test("well below the horizon", () => {
+		expect(getApparentElevation(-5)).toBeCloseTo(-5 + getApparentElevation(-1) + 1, 10);
+	});
+});
+
+describe("refraction option", () => {
+	test("getSatelliteInfo", () => {
+		const info = getSatelliteInfo(tleStr, 1501039265000, 34.243889, -116.911389, 0);
+		expect(info.apparentElevation).toBeUndefined();
+
+		const refractedInfo = getSatelliteInfo(
+			tleStr,
+			1501039265000,
+			34.243889,
+			-116.911389,
+			0,
+			undefined,
+			true
+		);
+		expect(refractedInfo.elevation).toBe(info.elevation);
+		expect(refractedInfo.apparentElevation).toBeCloseTo(81.6415, 4);
+	});
+
+	test("getPasses", () => {
+		const [pass] = getPasses({ tle: tleStr, observer, startTimeMS, endTimeMS });
+		const [refractedPass] = getPasses({
+			tle: tleStr,
+			observer,
+			startTimeMS,
+			endTimeMS,
+			refraction: true
+		});
+
+		// Rises earlier and sets later, half a degree below the geometric horizon.
+		expect(refractedPass.aos.timeMS).toBe(1501038940871);
+		expect(refractedPass.los.timeMS).toBe(1501039596879);
+		expect(refractedPass.aos.elevation).toBeCloseTo(-0.574, 3);
+		expect(refractedPass.aos.apparentElevation).toBeCloseTo(0, 3);
+		expect(refractedPass.los.apparentElevation).toBeCloseTo(0, 3);
+		expect(refractedPass.tca.timeMS).toBe(pass.tca.timeMS);
+		expect(refractedPass.maxElevation).toBe(pass.maxElevation);
+		expect(pass.aos.apparentElevation).toBeUndefined();
+
+		const [thinAirPass] = getPasses({
+			tle: tleStr,
+			observer,
+			startTimeMS,
+			endTimeMS,
+			refraction: { pressureHPa: 700, temperatureC: 30 }
+		});
+		expect(thinAirPass.aos.elevation).toBeCloseTo(-0.347, 3);
+	});
+
+	test("getVisibleSatellites", () => {
+		const options = {
+			observerLat: 34.243889,
+			observerLng: -116.911389,
+			tles: [tleStr],
+			elevationThreshold: 81.64,
+			timestampMS: 1501039265000
+		};
+
+		expect(getVisibleSatellites(options)).toHaveLength(0);
+
+		const [visible] = getVisibleSatellites({ ...options, refraction: true });
+		expect(visible.info.apparentElevation).toBeGreaterThan(81.64);
+		expect(visible.info.elevation).toBeLessThan(81.64);
+	});
+});
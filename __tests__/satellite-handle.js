@@ -0,0 +1,84 @@
+import {
+	clearCache,
+	createSatellite,
+	getCacheStats,
+	getCOSPAR,
+	getInclination,
+	getOrbitRegime,
+	getOrbitTrackSync,
+	getSatelliteInfo,
+	getSatelliteName,
+	getStateVector
+} from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const startTimeMS = 1501039265000;
+const observer = { lat: 34.243889, lng: -116.911389, height: 1.5 };
+
+describe("createSatellite", () => {
+	const satellite = createSatellite(tleStr);
+
+	test("propagate", () => {
+		const { position, velocity, lng, lat, height } = satellite.propagate(startTimeMS);
+		const stateVector = getStateVector(tleStr, startTimeMS);
+		const info = getSatelliteInfo(tleStr, startTimeMS, observer.lat, observer.lng, observer.height);
+
+		expect(position).toEqual(stateVector.position);
+		expect(velocity).toEqual(stateVector.velocity);
+		expect(lng).toEqual(info.lng);
+		expect(lat).toEqual(info.lat);
+		expect(height).toEqual(info.height);
+	});
+
+	test("lookAngles", () => {
+		const { azimuth, elevation, range } = satellite.lookAngles(observer, startTimeMS);
+		const info = getSatelliteInfo(tleStr, startTimeMS, observer.lat, observer.lng, observer.height);
+
+		expect(azimuth).toBeCloseTo(info.azimuth, 9);
+		expect(elevation).toBeCloseTo(info.elevation, 9);
+		expect(range).toBeCloseTo(info.range, 9);
+	});
+
+	test("getters", () => {
+		expect(satellite.getInclination()).toEqual(getInclination(tleStr));
+		expect(satellite.getSatelliteName()).toEqual(getSatelliteName(tleStr));
+		expect(satellite.getCatalogNumber()).toEqual(25544);
+		expect(satellite.getCOSPAR()).toEqual(getCOSPAR(tleStr));
+		expect(satellite.getSatelliteName(true)).toEqual("ISS (ZARYA)");
+		expect(satellite.getOrbitRegime()).toEqual(getOrbitRegime(tleStr));
+	});
+
+	test("TLEs SGP4 can't use", () => {
+		// Mean motion of 99 revs per day puts the satellite below the Earth's surface.
+		const badTLE = [
+			"1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993",
+			"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 99.54225995 67660"
+		];
+		expect(() => createSatellite(badTLE)).toThrow();
+	});
+});
+
+describe("satrec cache", () => {
+	beforeEach(clearCache);
+
+	test("SGP4 is initialized once per TLE", () => {
+		const { misses } = getCacheStats().satrec;
+		createSatellite(tleStr);
+		getSatelliteInfo(tleStr, startTimeMS + 1000);
+		getSatelliteInfo(tleStr, startTimeMS + 2000);
+
+		expect(createSatellite(tleStr).satrec).toBe(createSatellite(tleStr).satrec);
+		expect(getCacheStats().satrec.misses - misses).toEqual(1);
+	});
+
+	test("orbit tracks reuse the satellite record", () => {
+		const { hits, misses } = getCacheStats().satrec;
+		const coords = getOrbitTrackSync({ tle: tleStr, startTimeMS, stepMS: 60000 });
+
+		expect(coords.length).toBeGreaterThan(10);
+		expect(getCacheStats().satrec.hits + getCacheStats().satrec.misses - hits - misses).toEqual(1);
+	});
+});
@@ -1,5 +1,7 @@
 import {
+	createTLE,
 	getCacheSizes,
+	getCacheStats,
 	clearCache,
 	clearTLEParseCache,
 	getGroundTracks,
@@ -9,7 +11,8 @@ import {
 	getOrbitTrackSync,
 	getSatelliteInfo,
 	getVisibleSatellites,
-	getLastAntemeridianCrossingTimeMS
+	getLastAntemeridianCrossingTimeMS,
+	getPasses
 } from "../src";
 import fs from "fs";
 import R from "ramda";
@@ -57,6 +60,9 @@ describe("getSatelliteInfo", () => {
 		expect(result.range).toBeCloseTo(406.80066121261547, 4);
 		expect(result.height).toBeCloseTo(403.01331234690133, 4);
 		expect(result.velocity).toBeCloseTo(7.675512139515791, 4);
+		expect(result.rangeRate).toBeCloseTo(-0.4103998015305582, 4);
+		expect(result.dopplerFactor).toBeCloseTo(1.0000013689463847, 10);
+		expect(result.downlinkFrequencyHz).toBeUndefined();
 	});
 
 	describe("memoization", () => {
@@ -123,9 +129,57 @@ describe('clearCache', () => {
 			bigBearLatLng.lat,
 			bigBearLatLng.lng
 		);
-		expect(getCacheSizes()).toEqual([3,0,0,0]);
+		const { size } = getCacheStats().satelliteInfo;
+		expect(size).toBeGreaterThan(0);
+		expect(getCacheSizes()).toEqual([size,0,0]);
 		clearCache();
-		expect(getCacheSizes()).toEqual([0,0,0,0]);
+		expect(getCacheSizes()).toEqual([0,0,0]);
+
+		// Cached values are really gone, not just hidden from getCacheSizes().
+		const { misses } = getCacheStats().satelliteInfo;
+		getSatelliteInfo(
+			tleStr,
+			timestamp,
+			bigBearLatLng.lat,
+			bigBearLatLng.lng
+		);
+		expect(getCacheStats().satelliteInfo.misses).toEqual(misses + 1);
+	});
+});
+
+describe("getSatelliteInfo Doppler", () => {
+	test("range-rate matches the change in range", () => {
+		const timestamp = 1501039265000;
+		const getInfo = timeMS =>
+			getSatelliteInfo(tleStr, timeMS, 34.243889, -116.911389, 1.5);
+
+		const rangeChange = getInfo(timestamp + 500).range - getInfo(timestamp - 500).range;
+		expect(getInfo(timestamp).rangeRate).toBeCloseTo(rangeChange, 3);
+
+		// Receding after culmination, so received frequencies are lower.
+		const receding = getInfo(timestamp + 60000);
+		expect(receding.rangeRate).toBeGreaterThan(0);
+		expect(receding.dopplerFactor).toBeLessThan(1);
+	});
+
+	test("Doppler-corrected frequencies", () => {
+		const frequencyHz = 437800000;
+		const result = getSatelliteInfo(
+			tleStr,
+			1501038950400,
+			34.243889,
+			-116.911389,
+			1.5,
+			frequencyHz
+		);
+
+		// Approaching at about 7 km/s near the horizon: ~10 kHz shift at 437.8 MHz.
+		expect(result.rangeRate).toBeCloseTo(-6.93, 1);
+		expect(result.downlinkFrequencyHz).toBeCloseTo(frequencyHz * result.dopplerFactor, 3);
+		expect(result.uplinkFrequencyHz).toBeCloseTo(frequencyHz / result.dopplerFactor, 3);
+		expect(result.dopplerShiftHz).toBeCloseTo(result.downlinkFrequencyHz - frequencyHz, 3);
+		expect(result.dopplerShiftHz).toBeGreaterThan(10000);
+		expect(result.dopplerShiftHz).toBeLessThan(10200);
 	});
 });
 
@@ -318,6 +372,15 @@ describe("problematic TLES (geosync, decayed)", () => {
 		expect((timestamp - result) / 1000 / 60).toBeCloseTo(8.976);
 	});
 
+	test("getLastAntemeridianCrossingTimeMS caches crossings", () => {
+		const timestamp = 1620581856788;
+		const result = getLastAntemeridianCrossingTimeMS(proxima2, timestamp);
+		const { hits } = getCacheStats().antemeridianCrossings;
+
+		expect(getLastAntemeridianCrossingTimeMS(proxima2, timestamp + 60000)).toEqual(result);
+		expect(getCacheStats().antemeridianCrossings.hits).toEqual(hits + 1);
+	});
+
 	test("getOrbitTrack", async () => {
 		const timestamp = 1501039265000;
 		const result = await getOrbitTrack({
@@ -502,4 +565,146 @@ describe("getVisibleSatellites", () => {
 
 		expect(allVisible.length).toEqual(1);
 	});
+
+	describe("optical", () => {
+		const bigBear = { lat: 34.243889, lng: -116.911389, height: 0 };
+		const getVisible = (timestampMS, options = {}) =>
+			getVisibleSatellites({
+				observerLat: bigBear.lat,
+				observerLng: bigBear.lng,
+				observerHeight: bigBear.height,
+				tles: [tleArr],
+				elevationThreshold: 0,
+				timestampMS,
+				...options
+			});
+
+		// Pre-dawn pass, where the ISS rises in the Earth's shadow.
+		const passes = getPasses({
+			tle: tleStr,
+			observer: bigBear,
+			startTimeMS: 1501066800000,
+			endTimeMS: 1501070400000,
+			optical: true
+		});
+		const [{ aos, visibleSegments }] = passes;
+		const [segment] = visibleSegments;
+
+		test("requires the satellite to be sunlit", () => {
+			const inShadowMS = segment.start.timeMS - 60000;
+			expect(inShadowMS).toBeGreaterThan(aos.timeMS);
+			expect(getVisible(inShadowMS).length).toBe(1);
+			expect(getVisible(inShadowMS, { optical: true }).length).toBe(0);
+
+			const sunlitMS = segment.start.timeMS + 10000;
+			expect(getVisible(sunlitMS, { optical: true }).length).toBe(1);
+		});
+
+		test("requires the observer to be in darkness", () => {
+			// 12:20 PM local time.
+			const noonMS = 1501010400000;
+			expect(getVisible(noonMS, { elevationThreshold: -90 }).length).toBe(1);
+			expect(
+				getVisible(noonMS, { elevationThreshold: -90, optical: true }).length
+			).toBe(0);
+
+			// 5:15 AM local time, in civil twilight.
+			const twilightMS = 1501071300000;
+			const options = { elevationThreshold: -90, optical: true };
+			expect(getVisible(twilightMS, { ...options, twilight: "civil" }).length).toBe(1);
+			expect(getVisible(twilightMS, { ...options, twilight: "nautical" }).length).toBe(0);
+		});
+	});
+
+	describe("skipped and geostationary satellites", () => {
+		const epochMS = 1500956694771;
+		const startTimeMS = 1501039265000;
+
+		// Drag this high decays the orbit within a day.
+		const decayed = createTLE({
+			name: "DECAYED",
+			catalogNumber: 90005,
+			epoch: epochMS,
+			inclination: 51.64,
+			rightAscension: 208.9163,
+			eccentricity: 0.0006317,
+			perigee: 0,
+			meanAnomaly: 0,
+			meanMotion: 15.54225995,
+			bstarDrag: 0.5
+		});
+
+		const geostationary = createTLE({
+			name: "GEO",
+			catalogNumber: 90004,
+			epoch: epochMS,
+			inclination: 0.05,
+			rightAscension: 208.9163,
+			eccentricity: 0.0002,
+			perigee: 0,
+			meanAnomaly: 0,
+			meanMotion: 1.0027,
+			bstarDrag: 0
+		});
+
+		const getVisible = (tles, timestampMS) =>
+			getVisibleSatellites({
+				observerLat: 34.243889,
+				observerLng: -116.911389,
+				tles,
+				timestampMS,
+				includeSkipped: true
+			});
+
+		test("reports skipped satellites", () => {
+			const { visible, skipped } = getVisible(
+				[tleStr, decayed, "not a TLE"],
+				startTimeMS
+			);
+
+			expect(visible.map(({ tleArr }) => tleArr)).toEqual([tleStr]);
+			expect(skipped).toEqual([
+				{ tleArr: decayed, code: 6, reason: "Satellite has decayed" },
+				{ tleArr: "not a TLE", code: -1, reason: "TLE can't be read." }
+			]);
+		});
+
+		test("remembers failed satellites", () => {
+			getVisible([decayed, "not a TLE"], startTimeMS);
+			const { hits } = getCacheStats().failedSatellites;
+
+			const { skipped } = getVisible([decayed, "not a TLE"], startTimeMS + 60000);
+			expect(skipped.map(({ code }) => code)).toEqual([6, -1]);
+			expect(getCacheStats().failedSatellites.hits - hits).toEqual(2);
+
+			// The satellite hadn't decayed yet at its epoch.
+			expect(getVisible([decayed], epochMS).skipped).toEqual([]);
+		});
+
+		test("remembers failures by both TLE lines", () => {
+			// Mean motion of 99 revs per day puts the satellite below the Earth's surface.
+			const sunken = [
+				"1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993",
+				"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 99.54225995 67660"
+			];
+			expect(getVisible([sunken], startTimeMS).skipped).toHaveLength(1);
+
+			// Same line 1, with line 2 corrected.
+			const corrected = [
+				sunken[0],
+				"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660"
+			];
+			expect(getVisible([corrected], startTimeMS).skipped).toEqual([]);
+		});
+
+		test("computes geostationary satellites once", () => {
+			const [geo] = getVisible([geostationary], startTimeMS).visible;
+			const [laterGeo] = getVisible([geostationary], startTimeMS + 3600000).visible;
+			expect(geo.isGeostationary).toBe(true);
+			expect(laterGeo.info).toBe(geo.info);
+
+			const [iss] = getVisible([tleStr], startTimeMS).visible;
+			expect(iss.isGeostationary).toBe(false);
+		});
+	});
 });
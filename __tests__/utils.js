@@ -0,0 +1,24 @@
+import { _crossesAntemeridian } from "../src/utils";
+
+describe("_crossesAntemeridian", () => {
+	test("crossings", () => {
+		expect(_crossesAntemeridian(179.5, -179.5)).toBe(true);
+		expect(_crossesAntemeridian(-179.5, 179.5)).toBe(true);
+		expect(_crossesAntemeridian(10, 20)).toBe(false);
+	});
+
+	test("prime meridian", () => {
+		expect(_crossesAntemeridian(0.5, -0.5)).toBe(false);
+		expect(_crossesAntemeridian(0, -0.5)).toBe(false);
+	});
+
+	test("longitude 0 isn't treated as missing", () => {
+		expect(_crossesAntemeridian(0, 10)).toBe(false);
+		expect(_crossesAntemeridian(179, -179)).toBe(true);
+	});
+
+	test("missing longitudes", () => {
+		expect(_crossesAntemeridian(undefined, -179.5)).toBe(false);
+		expect(_crossesAntemeridian(179.5, undefined)).toBe(false);
+	});
+});
@@ -0,0 +1,214 @@
+import { validateTLE } from "../src";
+
+const line1 =
+	"1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993";
+const line2 =
+	"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660";
+const epochTimeMS = 1500956694771;
+
+// Replaces characters in a TLE line and fixes its checksum, so only the intended issue remains.
+const withChars = (line, start, chars, fixChecksum = true) => {
+	const edited = `${line.substr(0, start)}${chars}${line.substr(start + chars.length)}`;
+	if (!fixChecksum) return edited;
+
+	const checksum =
+		edited
+			.substr(0, 68)
+			.split("")
+			.reduce((sum, char) => {
+				if (char === "-") return sum + 1;
+				return /\d/.test(char) ? sum + parseInt(char, 10) : sum;
+			}, 0) % 10;
+	return `${edited.substr(0, 68)}${checksum}`;
+};
+
+const getCodes = ({ issues }) => issues.map(({ code }) => code);
+
+describe("validateTLE", () => {
+	test("valid TLE", () => {
+		expect(validateTLE(["ISS (ZARYA)", line1, line2], { timeMS: epochTimeMS })).toEqual({
+			isValid: true,
+			issues: []
+		});
+	});
+
+	test("checksum and catalog number mismatch", () => {
+		const result = validateTLE([line1, withChars(line2, 2, "25545", false)], {
+			timeMS: epochTimeMS
+		});
+
+		expect(result).toEqual({
+			isValid: false,
+			issues: [
+				{
+					code: "CHECKSUM",
+					severity: "error",
+					line: 2,
+					field: "checksum2",
+					columns: [69, 69],
+					expected: "1",
+					actual: "0",
+					message: "Line 2 checksum should be 1, but is 0."
+				},
+				{
+					code: "CATALOG_NUMBER_MISMATCH",
+					severity: "error",
+					line: 2,
+					field: "catalogNumber2",
+					columns: [3, 7],
+					expected: 25544,
+					actual: 25545,
+					message: "Catalog number on line 2 (25545) doesn't match line 1 (25544)."
+				}
+			]
+		});
+	});
+
+	test("line length", () => {
+		const result = validateTLE([line1, line2.substr(0, 66)], { timeMS: epochTimeMS });
+		expect(result.isValid).toBe(false);
+		expect(result.issues).toEqual([
+			expect.objectContaining({
+				code: "LINE_LENGTH",
+				line: 2,
+				expected: 69,
+				actual: 66
+			})
+		]);
+	});
+
+	test("line number", () => {
+		const result = validateTLE([line1, withChars(line2, 0, "3")], { timeMS: epochTimeMS });
+		expect(result.issues).toEqual([
+			expect.objectContaining({
+				code: "LINE_NUMBER",
+				line: 2,
+				field: "lineNumber2",
+				columns: [1, 1],
+				expected: "2",
+				actual: "3"
+			})
+		]);
+	});
+
+	test("illegal characters", () => {
+		const result = validateTLE(
+			[withChars(withChars(line1, 7, "X"), 33, " .0000196a"), withChars(line2, 33, "x")],
+			{ timeMS: epochTimeMS }
+		);
+
+		expect(result.isValid).toBe(false);
+		expect(result.issues).toEqual([
+			expect.objectContaining({
+				code: "ILLEGAL_CHARACTER",
+				line: 2,
+				field: null,
+				columns: [34, 34],
+				expected: " ",
+				actual: "x"
+			}),
+			expect.objectContaining({
+				code: "ILLEGAL_CHARACTER",
+				line: 1,
+				field: "classification",
+				columns: [8, 8],
+				expected: "U, C or S",
+				actual: "X",
+				message: 'classification (line 1, column 8) must be U, C or S, but is "X".'
+			}),
+			expect.objectContaining({
+				code: "ILLEGAL_CHARACTER",
+				line: 1,
+				field: "firstTimeDerivative",
+				columns: [34, 44],
+				actual: " .0000196a "
+			})
+		]);
+	});
+
+	test("out of range elements", () => {
+		const result = validateTLE([line1, withChars(line2, 8, "191.6400")], {
+			timeMS: epochTimeMS
+		});
+		expect(result.issues).toEqual([
+			expect.objectContaining({
+				code: "OUT_OF_RANGE",
+				severity: "error",
+				line: 2,
+				field: "inclination",
+				columns: [9, 16],
+				expected: "0 to 180",
+				actual: 191.64
+			})
+		]);
+	});
+
+	test("epoch day out of range for the year", () => {
+		const result = validateTLE([withChars(line1, 20, "366.18396726"), line2], {
+			timeMS: epochTimeMS
+		});
+		expect(result.issues).toEqual([
+			expect.objectContaining({
+				code: "OUT_OF_RANGE",
+				field: "epochDay",
+				expected: "1 to 365.99999999",
+				actual: 366.18396726
+			})
+		]);
+
+		// 2016 is a leap year.
+		const leapYearTLE = [withChars(line1, 18, "16366.18396726"), line2];
+		expect(
+			validateTLE(leapYearTLE, { timeMS: Date.UTC(2016, 11, 31) }).issues
+		).toEqual([]);
+	});
+
+	test("epoch sanity", () => {
+		const tle = [line1, line2];
+
+		const stale = validateTLE(tle, { timeMS: epochTimeMS + 31 * 86400000 });
+		expect(stale.isValid).toBe(true);
+		expect(stale.issues).toEqual([
+			expect.objectContaining({
+				code: "EPOCH",
+				severity: "warning",
+				field: "epochDay",
+				columns: [19, 32],
+				expected: "within 30 days",
+				actual: "2017-07-25T04:24:54.771Z"
+			})
+		]);
+		expect(
+			validateTLE(tle, { timeMS: epochTimeMS + 31 * 86400000, maxEpochAgeDays: 60 }).issues
+		).toEqual([]);
+
+		const future = validateTLE(tle, { timeMS: epochTimeMS - 2 * 86400000 });
+		expect(future.isValid).toBe(true);
+		expect(getCodes(future)).toEqual(["EPOCH"]);
+		expect(future.issues[0].message).toBe("Epoch (2017-07-25T04:24:54.771Z) is in the future.");
+
+		const beforeSputnik = validateTLE([withChars(line1, 18, "57001.00000000"), line2], {
+			timeMS: epochTimeMS
+		});
+		expect(beforeSputnik.isValid).toBe(false);
+		expect(beforeSputnik.issues).toEqual([
+			expect.objectContaining({
+				code: "EPOCH",
+				severity: "error",
+				expected: "after 1957-10-04"
+			})
+		]);
+	});
+
+	test("line count", () => {
+		const result = validateTLE([line1], { timeMS: epochTimeMS });
+		expect(result.isValid).toBe(false);
+		expect(getCodes(result)).toEqual(["LINE_COUNT"]);
+	});
+
+	test("unparseable input", () => {
+		const result = validateTLE(12345);
+		expect(result.isValid).toBe(false);
+		expect(getCodes(result)).toEqual(["PARSE"]);
+	});
+});
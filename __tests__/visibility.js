@@ -0,0 +1,126 @@
+import fs from "fs";
+import R from "ramda";
+import { createTLE, getPasses, getVisibleSatellitesBetween } from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const catalog = R.splitEvery(3, fs.readFileSync(`${__dirname}/tles.txt`, "utf8").split("\n"))
+	.filter(tle => tle.length === 3);
+
+const observer = { lat: 34.243889, lng: -116.911389, height: 0 };
+const startTimeMS = 1501038665000;
+
+describe("getVisibleSatellitesBetween", () => {
+	test("reuses pass detection", () => {
+		const catalogStartMS = 1570911182419;
+		const catalogEndMS = catalogStartMS + 6 * 3600000;
+		const visible = getVisibleSatellitesBetween({
+			observer,
+			tles: catalog,
+			startTimeMS: catalogStartMS,
+			endTimeMS: catalogEndMS,
+			minElevation: 10
+		});
+
+		expect(visible.length).toBeGreaterThan(0);
+		visible.forEach(({ tleArr, passes }) => {
+			expect(passes).toEqual(
+				getPasses({
+					tle: tleArr,
+					observer,
+					startTimeMS: catalogStartMS,
+					endTimeMS: catalogEndMS,
+					minElevation: 10
+				})
+			);
+		});
+
+		// Satellites without passes are left out.
+		const visibleTLEs = visible.map(({ tleArr }) => tleArr);
+		catalog
+			.filter(tle => !visibleTLEs.includes(tle))
+			.forEach(tle => {
+				expect(
+					getPasses({
+						tle,
+						observer,
+						startTimeMS: catalogStartMS,
+						endTimeMS: catalogEndMS,
+						minElevation: 10
+					})
+				).toEqual([]);
+			});
+	});
+
+	test("chronological order", () => {
+		const visible = getVisibleSatellitesBetween({
+			observer,
+			tles: [...catalog, tleStr],
+			startTimeMS,
+			endTimeMS: startTimeMS + 6 * 3600000
+		});
+		const firstAOSTimes = visible.map(({ passes }) => passes[0].aos.timeMS);
+		expect(firstAOSTimes).toEqual([...firstAOSTimes].sort((a, b) => a - b));
+
+		const iss = visible.find(({ tleArr }) => tleArr === tleStr);
+		expect(iss.passes.length).toEqual(4);
+		expect(iss.passes[0].maxElevation).toBeCloseTo(82.27, 2);
+
+		const timeline = visible
+			.flatMap(({ tleArr, passes }) => passes.map(pass => ({ tleArr, ...pass })))
+			.sort((a, b) => a.aos.timeMS - b.aos.timeMS);
+		expect(timeline.length).toEqual(
+			visible.reduce((count, { passes }) => count + passes.length, 0)
+		);
+	});
+
+	test("observers out of reach", () => {
+		const southPole = { lat: -89, lng: 0, height: 0 };
+		expect(
+			getVisibleSatellitesBetween({ observer: southPole, tles: [tleStr], startTimeMS })
+		).toEqual([]);
+		expect(getPasses({ tle: tleStr, observer: southPole, startTimeMS })).toEqual([]);
+	});
+
+	test("optical", () => {
+		const [iss] = getVisibleSatellitesBetween({
+			observer,
+			tles: [tleStr],
+			startTimeMS,
+			optical: true
+		});
+		expect(iss.passes.length).toBeGreaterThan(0);
+		iss.passes.forEach(({ visibleSegments }) => {
+			expect(visibleSegments.length).toBeGreaterThan(0);
+		});
+	});
+
+	test("skipped satellites", () => {
+		const decayed = createTLE({
+			name: "DECAYED",
+			catalogNumber: 90005,
+			epoch: 1500956694771,
+			inclination: 51.64,
+			rightAscension: 208.9163,
+			eccentricity: 0.0006317,
+			perigee: 0,
+			meanAnomaly: 0,
+			meanMotion: 15.54225995,
+			bstarDrag: 0.5
+		});
+
+		const { visible, skipped } = getVisibleSatellitesBetween({
+			observer,
+			tles: [decayed, "not a TLE", tleStr],
+			startTimeMS,
+			includeSkipped: true
+		});
+		expect(visible.map(({ tleArr }) => tleArr)).toEqual([tleStr]);
+		expect(skipped).toEqual([
+			{ tleArr: decayed, code: 6, reason: "Satellite has decayed" },
+			{ tleArr: "not a TLE", code: -1, reason: "TLE can't be read." }
+		]);
+	});
+});
@@ -0,0 +1,171 @@
+import { MessageChannel } from "worker_threads";
+import {
+	createTLE,
+	createWorkerPool,
+	exposeWorker,
+	getGroundTrackGeoJSON,
+	getPasses,
+	propagateCatalog,
+	TLEPropagationError
+} from "../src";
+
+const tleStr = `ISS (ZARYA)
+1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`;
+
+const startTimeMS = 1501039265000;
+
+const tles = [0, 30, 60, 90, 120].map((rightAscension, i) =>
+	createTLE({
+		name: `SAT ${i}`,
+		catalogNumber: 90001 + i,
+		epoch: 1500956694771,
+		inclination: 51.64,
+		rightAscension,
+		eccentricity: 0.0006317,
+		perigee: 0,
+		meanAnomaly: 0,
+		meanMotion: 15.54225995,
+		bstarDrag: 0.000036771
+	})
+);
+
+// Stands in for a real worker: a MessagePort whose other end runs exposeWorker() in this thread.
+const createWorker = () => {
+	const { port1, port2 } = new MessageChannel();
+	exposeWorker(port2);
+	port1.terminate = () => port1.close();
+	return port1;
+};
+
+describe("createWorkerPool", () => {
+	const pool = createWorkerPool({ createWorker, size: 2 });
+
+	afterAll(() => pool.terminate());
+
+	test("size", () => {
+		expect(pool.size).toEqual(2);
+	});
+
+	test("propagateCatalog", async () => {
+		const timesMS = [startTimeMS, startTimeMS + 60000, startTimeMS + 120000];
+		const catalog = await pool.propagateCatalog([...tles, "not a TLE"], timesMS);
+
+		expect(catalog).toEqual(propagateCatalog([...tles, "not a TLE"], timesMS));
+	});
+
+	test("propagateCatalog fields", async () => {
+		const catalog = await pool.propagateCatalog(tles, [startTimeMS], {
+			fields: ["lngLatAlt"]
+		});
+
+		expect(catalog.position).toBeUndefined();
+		expect(catalog.lngLatAlt).toEqual(
+			propagateCatalog(tles, [startTimeMS], { fields: ["lngLatAlt"] }).lngLatAlt
+		);
+	});
+
+	test("fewer TLEs than workers", async () => {
+		expect(await pool.propagateCatalog([tleStr], startTimeMS)).toEqual(
+			propagateCatalog([tleStr], startTimeMS)
+		);
+		expect(await pool.propagateCatalog([], startTimeMS)).toEqual(
+			propagateCatalog([], startTimeMS)
+		);
+	});
+
+	test("getGroundTrackGeoJSON", async () => {
+		const options = { startTimeMS, endTimeMS: startTimeMS + 600000, stepMS: 60000 };
+		expect(await pool.getGroundTrackGeoJSON({ tles, ...options })).toEqual(
+			getGroundTrackGeoJSON({ tles, ...options })
+		);
+	});
+
+	test("getPasses", async () => {
+		const options = {
+			observer: { lat: 34.243889, lng: -116.911389 },
+			startTimeMS,
+			endTimeMS: startTimeMS + 6 * 3600000
+		};
+		expect(await pool.getPasses({ tles, ...options })).toEqual(
+			tles.map(tle => getPasses({ tle, ...options }))
+		);
+	});
+
+	test("errors", async () => {
+		await expect(
+			pool.propagateCatalog(tles, [startTimeMS], { fields: ["acceleration"] })
+		).rejects.toThrow(
+			"fields must be some of position, velocity, lngLatAlt, but got acceleration."
+		);
+		expect(() => createWorkerPool({})).toThrow(
+			"createWorkerPool() needs a createWorker function."
+		);
+	});
+
+	test("propagation errors", async () => {
+		// Mean motion of 99 revs per day puts the satellite below the Earth's surface.
+		const sunken = [
+			"1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993",
+			"2 25544  51.6400 208.9163 0006317  69.9862  25.2906 99.54225995 67660"
+		];
+		const error = await pool
+			.getPasses({
+				tles: [sunken],
+				observer: { lat: 34.243889, lng: -116.911389 },
+				startTimeMS,
+				endTimeMS: startTimeMS + 3600000
+			})
+			.catch(e => e);
+
+		expect(error).toBeInstanceOf(TLEPropagationError);
+		expect(error.message).toEqual("Satellite has decayed");
+		expect(error.code).toEqual(6);
+		expect(error.tle).toEqual(sunken);
+	});
+});
+
+describe("createWorkerPool failures", () => {
+	const options = {
+		observer: { lat: 34.243889, lng: -116.911389 },
+		startTimeMS,
+		endTimeMS: startTimeMS + 3600000
+	};
+
+	test("replaces crashed workers", async () => {
+		const createdWorkers = [];
+		const pool = createWorkerPool({
+			size: 1,
+			createWorker: () => {
+				const worker = createWorker();
+				createdWorkers.push(worker);
+				return worker;
+			}
+		});
+
+		const job = pool.getPasses({ tles, ...options });
+		createdWorkers[0].emit("exit", 1);
+		await expect(job).rejects.toThrow("Worker stopped with exit code 1.");
+
+		// Late answers for rejected jobs are ignored.
+		expect(() => createdWorkers[0].emit("message", { id: 1, result: [] })).not.toThrow();
+
+		expect(await pool.getPasses({ tles, ...options })).toEqual(
+			tles.map(tle => getPasses({ tle, ...options }))
+		);
+		expect(createdWorkers).toHaveLength(2);
+
+		pool.terminate();
+	});
+
+	test("rejects jobs once terminated", async () => {
+		const pool = createWorkerPool({ createWorker, size: 1 });
+		const job = pool.getPasses({ tles, ...options });
+		pool.terminate();
+
+		await expect(job).rejects.toThrow("The worker pool was terminated.");
+		await expect(pool.getPasses({ tles, ...options })).rejects.toThrow(
+			"The worker pool was terminated."
+		);
+	});
+});
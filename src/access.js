@@ -0,0 +1,265 @@
+import { degreesLat, degreesLong, eciToGeodetic, gstime } from "satellite.js";
+import { _MS_IN_A_DAY } from "./constants";
+import { _getFootprintAngle, _getSensorFootprintAngle } from "./footprint";
+import { parseTLE } from "./parsing";
+import { _findPositiveIntervals, _getSampleStepMS } from "./passes";
+import { _getSatrec, _propagateToECI } from "./sgp4";
+import { _degreesToRadians, _radiansToDegrees } from "./utils";
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const cross = (a, b) => [
+	a[1] * b[2] - a[2] * b[1],
+	a[2] * b[0] - a[0] * b[2],
+	a[0] * b[1] - a[1] * b[0]
+];
+
+const norm = a => Math.sqrt(dot(a, a));
+
+/**
+ * Converts a [lng, lat] pair (degrees) to a unit vector.
+ */
+function toUnitVector([lng, lat]) {
+	const lngRad = _degreesToRadians(lng);
+	const latRad = _degreesToRadians(lat);
+	return [
+		Math.cos(latRad) * Math.cos(lngRad),
+		Math.cos(latRad) * Math.sin(lngRad),
+		Math.sin(latRad)
+	];
+}
+
+const angleBetween = (a, b) => Math.atan2(norm(cross(a, b)), dot(a, b));
+
+/**
+ * Determines the angular distance (radians) from a point to a great circle arc, all given as unit
+ * vectors.
+ */
+function getDistanceToArc(point, arcStart, arcEnd) {
+	const normal = cross(arcStart, arcEnd);
+	const normalLength = norm(normal);
+	if (normalLength === 0) {
+		return angleBetween(point, arcStart);
+	}
+	const unitNormal = normal.map(component => component / normalLength);
+
+	// The point's projection onto the arc's great circle is only the closest point if it lies
+	// between the arc's ends.
+	const offset = dot(point, unitNormal);
+	const projection = point.map((component, i) => component - offset * unitNormal[i]);
+	const isWithinArc =
+		dot(cross(arcStart, projection), unitNormal) >= 0 &&
+		dot(cross(projection, arcEnd), unitNormal) >= 0;
+
+	if (isWithinArc) {
+		return Math.asin(Math.min(1, Math.abs(offset)));
+	}
+	return Math.min(angleBetween(point, arcStart), angleBetween(point, arcEnd));
+}
+
+/**
+ * Determines if a [lng, lat] point is inside a linear ring (ray casting).
+ */
+function isInsideRing([lng, lat], ring) {
+	let isInside = false;
+	for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+		const [lng1, lat1] = ring[i];
+		const [lng2, lat2] = ring[j];
+		if (
+			lat1 > lat !== lat2 > lat &&
+			lng < ((lng2 - lng1) * (lat - lat1)) / (lat2 - lat1) + lng1
+		) {
+			isInside = !isInside;
+		}
+	}
+	return isInside;
+}
+
+/**
+ * Extracts the polygons (each a list of rings, the first one being the exterior) from a GeoJSON
+ * Polygon or MultiPolygon, or a Feature with one.
+ */
+function getPolygons(area) {
+	const geometry = area && area.type === "Feature" ? area.geometry : area;
+	const type = geometry && geometry.type;
+
+	if (type === "Polygon") {
+		return [geometry.coordinates];
+	}
+	if (type === "MultiPolygon") {
+		return geometry.coordinates;
+	}
+	throw new Error(
+		`polygon must be a GeoJSON Polygon or MultiPolygon (or a Feature with one), but got ${type}.`
+	);
+}
+
+/**
+ * Prepares an area for repeated distance checks.  Returns a function that determines the
+ * angular distance (radians) from a [lng, lat] point to the area, which is 0 inside it.
+ */
+function getAreaDistanceFn(area) {
+	const polygons = getPolygons(area);
+	const arcs = [];
+	polygons.forEach(rings => {
+		rings.forEach(ring => {
+			const vectors = ring.map(toUnitVector);
+			for (let i = 1; i < vectors.length; i++) {
+				arcs.push([vectors[i - 1], vectors[i]]);
+			}
+		});
+	});
+
+	return lngLat => {
+		const isInside = polygons.some(
+			([exterior, ...holes]) =>
+				isInsideRing(lngLat, exterior) &&
+				!holes.some(hole => isInsideRing(lngLat, hole))
+		);
+		if (isInside) return 0;
+
+		const point = toUnitVector(lngLat);
+		return arcs.reduce(
+			(minDistance, [arcStart, arcEnd]) =>
+				Math.min(minDistance, getDistanceToArc(point, arcStart, arcEnd)),
+			Infinity
+		);
+	};
+}
+
+/**
+ * Finds the time windows when a satellite can see any part of an area on the ground, e.g. to plan
+ * when an Earth-observation satellite can image a region.  Window start and end times are found by
+ * root-finding on the distance between the satellite's footprint and the area.
+ *
+ * The area is seen when some point of it has the satellite at least `minElevation` above the
+ * horizon or, with `sensorHalfAngle`, when it is within the field of view of a nadir-pointing
+ * sensor (or one that can be pointed up to that angle off nadir).  Areas crossing the antemeridian
+ * should be split into a MultiPolygon, as RFC 7946 recommends.
+ *
+ * Windows already in progress at `startTimeMS` or still in progress at `endTimeMS` are clipped to
+ * the window and flagged with `isPartial`.  The revisit statistics describe the gaps between
+ * consecutive windows, and are null with fewer than two windows.
+ *
+ * Example:
+ * getAccessWindows({
+ *   tle: tleStr,
+ *   polygon: {
+ *     type: "Polygon",
+ *     coordinates: [[[-119, 33], [-116, 33], [-116, 36], [-119, 36], [-119, 33]]]
+ *   },
+ *   startTimeMS: 1501039265000
+ * });
+ * ->
+ * {
+ *   windows: [
+ *     {
+ *       startMS: 1501039265000,
+ *       endMS: 1501039615464,
+ *       durationMS: 350464,
+ *       isPartial: true
+ *     },
+ *     {
+ *       startMS: 1501044785610,
+ *       endMS: 1501045383775,
+ *       durationMS: 598165,
+ *       isPartial: false
+ *     },
+ *     ...
+ *   ],
+ *   meanGapMS: 9905086,
+ *   maxGapMS: 42333383
+ * }
+ *
+ * @param {Array|String} options.tle
+ * @param {Object} options.polygon GeoJSON Polygon or MultiPolygon, or a Feature with one.
+ * @param {Number} options.startTimeMS Unix timestamp in milliseconds.
+ * @param {Number} options.endTimeMS Unix timestamp in milliseconds.  Defaults to one day after
+ * startTimeMS.
+ * @param {Number} options.minElevation Elevation (degrees) above which the satellite sees the
+ * ground.  Defaults to 0.
+ * @param {Number} options.sensorHalfAngle Sensor half angle, or maximum off-nadir angle (degrees).
+ * Used instead of minElevation.
+ * @param {Number} options.stepMS Coarse sampling resolution.  Defaults to 1/90th of an orbit, capped
+ * at one minute.
+ */
+export function getAccessWindows({
+	tle,
+	polygon,
+	startTimeMS = Date.now(),
+	endTimeMS,
+	minElevation,
+	sensorHalfAngle,
+	stepMS
+}) {
+	if (minElevation !== undefined && sensorHalfAngle !== undefined) {
+		throw new Error("Use either minElevation or sensorHalfAngle, not both.");
+	}
+	if (sensorHalfAngle !== undefined && !(sensorHalfAngle > 0 && sensorHalfAngle < 90)) {
+		throw new Error(
+			`sensorHalfAngle must be between 0 and 90 degrees, but got ${sensorHalfAngle}.`
+		);
+	}
+	if (minElevation !== undefined && !(minElevation >= 0 && minElevation < 90)) {
+		throw new Error(
+			`minElevation must be between 0 and 90 degrees, but got ${minElevation}.`
+		);
+	}
+
+	const parsedTLE = parseTLE(tle);
+	const satrec = _getSatrec(parsedTLE.tle);
+	const getDistanceToArea = getAreaDistanceFn(polygon);
+
+	const windowEndMS = endTimeMS || startTimeMS + _MS_IN_A_DAY;
+	const sampleStepMS =
+		stepMS === undefined ? _getSampleStepMS(parsedTLE) : stepMS;
+
+	const getCoverageAngle = height =>
+		sensorHalfAngle === undefined
+			? _getFootprintAngle(height, minElevation || 0)
+			: _getSensorFootprintAngle(height, sensorHalfAngle);
+
+	// Positive when the footprint reaches into the area.
+	const coverageMargin = timeMS => {
+		const { position } = _propagateToECI(satrec, timeMS);
+		const { longitude, latitude, height } = eciToGeodetic(
+			position,
+			gstime(new Date(timeMS))
+		);
+		const distance = getDistanceToArea([
+			degreesLong(longitude),
+			degreesLat(latitude)
+		]);
+		return _radiansToDegrees(getCoverageAngle(height) - distance);
+	};
+
+	const windows = _findPositiveIntervals(
+		coverageMargin,
+		startTimeMS,
+		windowEndMS,
+		sampleStepMS
+	).map(({ startMS, endMS, isPartial }) => {
+		const roundedStartMS = Math.round(startMS);
+		const roundedEndMS = Math.round(endMS);
+		return {
+			startMS: roundedStartMS,
+			endMS: roundedEndMS,
+			durationMS: roundedEndMS - roundedStartMS,
+			isPartial
+		};
+	});
+
+	const gapsMS = windows
+		.slice(1)
+		.map((window, i) => window.startMS - windows[i].endMS);
+
+	return {
+		windows,
+		meanGapMS: gapsMS.length
+			? gapsMS.reduce((sum, gapMS) => sum + gapMS, 0) / gapsMS.length
+			: null,
+		maxGapMS: gapsMS.length
+			? gapsMS.reduce((max, gapMS) => Math.max(max, gapMS), 0)
+			: null
+	};
+}
@@ -0,0 +1,139 @@
+import { degreesLat, degreesLong, eciToGeodetic, gstime, jday, sgp4 } from "satellite.js";
+import { _UNREADABLE_TLE_ERROR_CODE } from "./constants";
+import { TLEPropagationError } from "./errors";
+import { parseTLE } from "./parsing";
+import { _getSatrec } from "./sgp4";
+import { getType } from "./utils";
+
+// Fields propagateCatalog() can output, each with 3 components per satellite and time.
+const _CATALOG_FIELDS = ["position", "velocity", "lngLatAlt"];
+
+/**
+ * Converts timestamps (an array, a typed array or a single timestamp) to a Float64Array.
+ */
+export const _toTimesArray = timesMS =>
+	Float64Array.from(getType(timesMS) === "number" ? [timesMS] : timesMS);
+
+/**
+ * Initializes an SGP4 satellite record, without throwing.  Returns the record, or the error code
+ * when it can't be used.
+ */
+function initSatrec(tle) {
+	try {
+		const { tle: tleArr, error } = parseTLE(tle);
+		if (error) {
+			return { errorCode: _UNREADABLE_TLE_ERROR_CODE };
+		}
+
+		return { satrec: _getSatrec(tleArr) };
+	} catch (e) {
+		return {
+			errorCode: e instanceof TLEPropagationError ? e.code : _UNREADABLE_TLE_ERROR_CODE
+		};
+	}
+}
+
+/**
+ * Propagates many satellites to many times at once, writing the results into typed arrays.
+ * Satellite records are initialized once per satellite and time conversions are done once per
+ * time, which makes this much faster than calling getSatelliteInfo() in a loop, e.g. to animate a
+ * whole catalog.
+ *
+ * Each field is a Float64Array with 3 components per satellite and time, ordered by time, then
+ * satellite: the values for satellite `s` at time `t` start at `(t * satelliteCount + s) * 3`, so
+ * each time's values are contiguous (see `subarray()`).
+ *
+ * - `position`: ECI (TEME) position in km.
+ * - `velocity`: ECI (TEME) velocity in km/s.
+ * - `lngLatAlt`: longitude and latitude in degrees and altitude in km.
+ *
+ * Satellites that can't be propagated are NaN, with the reason in `errorCodes` (one per satellite
+ * and time, in the same order): 0 when propagation succeeded, the SGP4 error code (1-6, see
+ * satellite.js) when it failed, and -1 when the TLE can't be read.
+ *
+ * Example:
+ * propagateCatalog([tleStr], [1501039265000, 1501039325000], { fields: ["lngLatAlt"] });
+ * ->
+ * {
+ *   satelliteCount: 1,
+ *   timeCount: 2,
+ *   timesMS: Float64Array [ 1501039265000, 1501039325000 ],
+ *   lngLatAlt: Float64Array [
+ *     -117.46176597710807, 34.45112876592785, 402.9082788620108,
+ *     -114.05875259095946, 36.9741209664408, 403.2714529934792
+ *   ],
+ *   errorCodes: Int8Array [ 0, 0 ]
+ * }
+ *
+ * @param {Array} tles
+ * @param {Array|Number} timesMS Unix timestamps in milliseconds (an array or a typed array), or a
+ * single timestamp.
+ * @param {Array} options.fields Fields to output.  Defaults to all of them.
+ */
+export function propagateCatalog(tles, timesMS, { fields = _CATALOG_FIELDS } = {}) {
+	const unknownField = fields.find(field => !_CATALOG_FIELDS.includes(field));
+	if (unknownField !== undefined) {
+		throw new Error(
+			`fields must be some of ${_CATALOG_FIELDS.join(", ")}, but got ${unknownField}.`
+		);
+	}
+
+	const times = _toTimesArray(timesMS);
+	const satelliteCount = tles.length;
+	const timeCount = times.length;
+
+	const output = { satelliteCount, timeCount, timesMS: times };
+	fields.forEach(field => {
+		output[field] = new Float64Array(satelliteCount * timeCount * 3).fill(NaN);
+	});
+	const errorCodes = new Int8Array(satelliteCount * timeCount);
+	const { position: positions, velocity: velocities, lngLatAlt } = output;
+
+	// Time conversions are shared by every satellite.
+	const julianDates = times.map(timeMS => jday(new Date(timeMS)));
+	const gmsts = lngLatAlt ? times.map(timeMS => gstime(new Date(timeMS))) : null;
+
+	tles.forEach((tle, satIndex) => {
+		const { satrec, errorCode } = initSatrec(tle);
+
+		for (let timeIndex = 0; timeIndex < timeCount; timeIndex++) {
+			const index = timeIndex * satelliteCount + satIndex;
+			if (!satrec) {
+				errorCodes[index] = errorCode;
+				continue;
+			}
+
+			const minutesSinceEpoch = (julianDates[timeIndex] - satrec.jdsatepoch) * 1440;
+			const { position, velocity } = sgp4(satrec, minutesSinceEpoch);
+			if (!position) {
+				errorCodes[index] = satrec.error || _UNREADABLE_TLE_ERROR_CODE;
+				continue;
+			}
+
+			const offset = index * 3;
+			if (positions) {
+				positions[offset] = position.x;
+				positions[offset + 1] = position.y;
+				positions[offset + 2] = position.z;
+			}
+			if (velocities) {
+				velocities[offset] = velocity.x;
+				velocities[offset + 1] = velocity.y;
+				velocities[offset + 2] = velocity.z;
+			}
+			if (lngLatAlt) {
+				const { longitude, latitude, height } = eciToGeodetic(
+					position,
+					gmsts[timeIndex]
+				);
+				lngLatAlt[offset] = degreesLong(longitude);
+				lngLatAlt[offset + 1] = degreesLat(latitude);
+				lngLatAlt[offset + 2] = height;
+			}
+		}
+	});
+
+	output.errorCodes = errorCodes;
+
+	return output;
+}
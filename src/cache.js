@@ -0,0 +1,215 @@
+// Memoization caches, by name.
+const _caches = {};
+
+// Limits shared by every cache.  Caches are unbounded and entries never expire by default, so large
+// catalogs don't evict entries before they're reused.
+const _DEFAULT_CACHE_OPTIONS = {
+	maxEntries: Infinity,
+	maxBytes: Infinity,
+	ttlMS: Infinity
+};
+
+let cacheOptions = { ..._DEFAULT_CACHE_OPTIONS };
+
+// Per-cache settings: false to disable a cache, or an object overriding the shared limits.
+let cacheOverrides = {};
+
+/**
+ * Roughly estimates the memory used by a value, in bytes: 8 per number, 2 per string character,
+ * plus the keys of objects.
+ */
+function estimateBytes(value) {
+	let bytes = 0;
+	const stack = [value];
+	while (stack.length) {
+		const item = stack.pop();
+		if (typeof item === "number") {
+			bytes += 8;
+		} else if (typeof item === "string") {
+			bytes += item.length * 2;
+		} else if (typeof item === "boolean") {
+			bytes += 4;
+		} else if (ArrayBuffer.isView(item)) {
+			bytes += item.byteLength;
+		} else if (Array.isArray(item)) {
+			item.forEach(child => stack.push(child));
+		} else if (item && typeof item === "object") {
+			Object.keys(item).forEach(key => {
+				bytes += key.length * 2;
+				stack.push(item[key]);
+			});
+		}
+	}
+	return bytes;
+}
+
+const isEnabled = name => cacheOverrides[name] !== false;
+
+const getOptions = name => ({ ...cacheOptions, ...cacheOverrides[name] });
+
+/**
+ * Creates a named LRU cache that follows the settings of `configureCache()`.  Entries are evicted
+ * least recently used first once the cache has too many entries or uses too much memory, and
+ * expire `ttlMS` after being set.
+ *
+ * @param {String} name
+ */
+export function _createCache(name) {
+	const entries = new Map();
+	let bytes = 0;
+	let hits = 0;
+	let misses = 0;
+	let evictions = 0;
+
+	const remove = key => {
+		const entry = entries.get(key);
+		if (entry) {
+			bytes -= entry.bytes;
+			entries.delete(key);
+		}
+	};
+
+	const cache = {
+		get(key) {
+			if (!isEnabled(name)) return undefined;
+
+			const entry = entries.get(key);
+			const isExpired = entry && entry.expiresMS <= Date.now();
+			if (!entry || isExpired) {
+				if (isExpired) remove(key);
+				misses++;
+				return undefined;
+			}
+
+			// Move the entry to the end, where the most recently used entries are.
+			entries.delete(key);
+			entries.set(key, entry);
+			hits++;
+			return entry.value;
+		},
+
+		/**
+		 * Stores a value and returns it.
+		 */
+		set(key, value) {
+			if (!isEnabled(name)) return value;
+
+			const { ttlMS } = getOptions(name);
+			const entryBytes = estimateBytes(value);
+			remove(key);
+			entries.set(key, {
+				value,
+				bytes: entryBytes,
+				expiresMS: Date.now() + ttlMS
+			});
+			bytes += entryBytes;
+			cache.prune();
+
+			return value;
+		},
+
+		/**
+		 * Evicts the least recently used entries until the cache is within its limits.
+		 */
+		prune() {
+			const { maxEntries, maxBytes } = getOptions(name);
+			while (entries.size > maxEntries || bytes > maxBytes) {
+				remove(entries.keys().next().value);
+				evictions++;
+			}
+		},
+
+		clear() {
+			entries.clear();
+			bytes = 0;
+		},
+
+		getStats() {
+			return {
+				enabled: isEnabled(name),
+				size: entries.size,
+				bytes,
+				hits,
+				misses,
+				evictions
+			};
+		}
+	};
+
+	_caches[name] = cache;
+
+	return cache;
+}
+
+/**
+ * Configures the memoization caches, e.g. to bound memory use in long-running apps.  Caches are
+ * unbounded by default; with limits, they evict their least recently used entries once they hold
+ * more than `maxEntries` entries or (roughly) `maxBytes` bytes, and entries expire `ttlMS` after
+ * being cached.  Settings are merged into the current ones, and apply to every cache unless
+ * overridden in `caches`, where a cache can also be disabled with `false` (and enabled again with
+ * `true`).
+ *
+ * Caches: "tleParse" (parseTLE()), "satrec" (SGP4 satellite records), "satelliteInfo"
+ * (getSatelliteInfo() and the position getters), "antemeridianCrossings", "orbitTracks",
+ * "failedSatellites" and "geostationaryInfo" (getVisibleSatellites()).
+ *
+ * Example:
+ * configureCache({
+ *   maxEntries: 5000,
+ *   maxBytes: 50 * 1024 * 1024,
+ *   ttlMS: 60 * 60 * 1000,
+ *   caches: {
+ *     orbitTracks: false,
+ *     tleParse: { maxEntries: 30000 }
+ *   }
+ * });
+ *
+ * @param {Number} options.maxEntries Maximum entries per cache.  Defaults to Infinity.
+ * @param {Number} options.maxBytes Maximum estimated memory use per cache.  Defaults to Infinity.
+ * @param {Number} options.ttlMS Time in milliseconds entries stay cached.  Defaults to Infinity.
+ * @param {Object} options.caches Per-cache settings: false to disable a cache, true to enable it, or
+ * an object with its own maxEntries, maxBytes and ttlMS.
+ */
+export function configureCache({ caches = {}, ...options } = {}) {
+	const unknownName = Object.keys(caches).find(name => !_caches[name]);
+	if (unknownName !== undefined) {
+		throw new Error(
+			`Unknown cache: ${unknownName}.  Use one of ${Object.keys(_caches).join(", ")}.`
+		);
+	}
+
+	cacheOptions = { ...cacheOptions, ...options };
+	cacheOverrides = { ...cacheOverrides, ...caches };
+
+	Object.keys(_caches).forEach(name => {
+		if (isEnabled(name)) {
+			_caches[name].prune();
+		} else {
+			_caches[name].clear();
+		}
+	});
+}
+
+/**
+ * Returns whether each cache is enabled, along with its size, estimated memory use (bytes) and
+ * hit/miss/eviction counts.
+ *
+ * Example:
+ * getCacheStats();
+ * ->
+ * {
+ *   tleParse: { enabled: true, size: 1, bytes: 312, hits: 4, misses: 1, evictions: 0 },
+ *   satrec: { enabled: true, size: 1, bytes: 1678, hits: 0, misses: 1, evictions: 0 },
+ *   satelliteInfo: { enabled: true, size: 1, bytes: 198, hits: 4, misses: 1, evictions: 0 },
+ *   antemeridianCrossings: { enabled: true, size: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 },
+ *   orbitTracks: { enabled: true, size: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 },
+ *   failedSatellites: { enabled: true, size: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 },
+ *   geostationaryInfo: { enabled: true, size: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 }
+ * }
+ */
+export function getCacheStats() {
+	return Object.keys(_caches).reduce((stats, name) => {
+		stats[name] = _caches[name].getStats();
+		return stats;
+	}, {});
+}
@@ -0,0 +1,285 @@
+import { _MS_IN_A_DAY, _MS_IN_A_SECOND } from "./constants";
+import { TLEPropagationError } from "./errors";
+import { _getSampleStepMS } from "./passes";
+import { _getSatrec, _parseTLEToPropagate, _propagateToECI } from "./sgp4";
+import {
+	getApogeeAltitude,
+	getPerigeeAltitude,
+	getSatelliteName
+} from "./sugar-getters";
+import { getCatalogNumber1 } from "./line-1-getters";
+import { _bisect, _validateStepMS } from "./utils";
+
+/**
+ * Margin (km) added to the apogee/perigee prefilter.  TLE apogees and perigees are mean values,
+ * and the osculating orbit SGP4 produces wanders around them by a few tens of km.
+ */
+const _ALTITUDE_PREFILTER_MARGIN_KM = 50;
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+const cross = (a, b) => ({
+	x: a.y * b.z - a.z * b.y,
+	y: a.z * b.x - a.x * b.z,
+	z: a.x * b.y - a.y * b.x
+});
+
+const magnitude = vector => Math.sqrt(dot(vector, vector));
+
+const normalize = vector => {
+	const length = magnitude(vector);
+	return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+};
+
+/**
+ * Prepares a satellite for screening, with the radial band (km from the Earth's center, in mean
+ * altitudes) its orbit spans.  Returns `null` for TLEs that can't be read or propagated, which are
+ * left out of the screening.
+ */
+function toScreeningObject(tle) {
+	let parsedTLE;
+	let satrec;
+	try {
+		parsedTLE = _parseTLEToPropagate(tle);
+		satrec = _getSatrec(parsedTLE.tle);
+	} catch (e) {
+		if (e instanceof TLEPropagationError) {
+			return null;
+		}
+		throw e;
+	}
+
+	return {
+		parsedTLE,
+		satrec,
+		// Identifies the element set, as different TLEs can share a catalog number.
+		key: parsedTLE.tle.join("\n"),
+		name: getSatelliteName(parsedTLE),
+		catalogNumber: getCatalogNumber1(parsedTLE),
+		perigeeAltitude: getPerigeeAltitude(parsedTLE),
+		apogeeAltitude: getApogeeAltitude(parsedTLE),
+		states: null
+	};
+}
+
+/**
+ * Propagates a satellite at every sample time, once per screening.  Returns `null` for satellites
+ * that can't be propagated (e.g. decayed), which are left out of the screening.
+ */
+function getSampledStates(obj, sampleTimesMS) {
+	if (obj.states === null) {
+		try {
+			obj.states = sampleTimesMS.map(timeMS => _propagateToECI(obj.satrec, timeMS));
+		} catch (e) {
+			obj.states = false;
+		}
+	}
+
+	return obj.states || null;
+}
+
+/**
+ * Expresses the relative position of `secondary` in the radial, in-track and cross-track (RIC)
+ * frame of `primary`.
+ */
+function getRICComponents(primaryState, relativePosition) {
+	const radialDir = normalize(primaryState.position);
+	const crossTrackDir = normalize(cross(primaryState.position, primaryState.velocity));
+	const inTrackDir = cross(crossTrackDir, radialDir);
+
+	return {
+		radial: dot(relativePosition, radialDir),
+		inTrack: dot(relativePosition, inTrackDir),
+		crossTrack: dot(relativePosition, crossTrackDir)
+	};
+}
+
+/**
+ * Finds the times of closest approach of two satellites within `thresholdKm`.  Local minima of
+ * their distance are bracketed where the range rate turns from negative to positive between two
+ * samples, and refined by bisection to the millisecond.
+ */
+function findCloseApproaches(primary, secondary, sampleTimesMS, stepMS, thresholdKm) {
+	const primaryStates = getSampledStates(primary, sampleTimesMS);
+	const secondaryStates = getSampledStates(secondary, sampleTimesMS);
+	if (!primaryStates || !secondaryStates) return [];
+
+	const getRelativeState = (primaryState, secondaryState) => ({
+		position: subtract(secondaryState.position, primaryState.position),
+		velocity: subtract(secondaryState.velocity, primaryState.velocity)
+	});
+
+	// Proportional to the range rate: positive when the satellites are moving apart.
+	const getSeparationRate = timeMS => {
+		const { position, velocity } = getRelativeState(
+			_propagateToECI(primary.satrec, timeMS),
+			_propagateToECI(secondary.satrec, timeMS)
+		);
+		return dot(position, velocity);
+	};
+
+	const relativeStates = sampleTimesMS.map((timeMS, i) =>
+		getRelativeState(primaryStates[i], secondaryStates[i])
+	);
+
+	const approaches = [];
+	for (let i = 0; i < relativeStates.length - 1; i++) {
+		const before = relativeStates[i];
+		const after = relativeStates[i + 1];
+		if (dot(before.position, before.velocity) >= 0) continue;
+		if (dot(after.position, after.velocity) < 0) continue;
+
+		// The distance can't shrink faster than the relative speed, so skip brackets that can't
+		// possibly get within the threshold.
+		const maxRelativeSpeed = Math.max(magnitude(before.velocity), magnitude(after.velocity));
+		const minPossibleDistance =
+			Math.min(magnitude(before.position), magnitude(after.position)) -
+			(maxRelativeSpeed * stepMS) / _MS_IN_A_SECOND;
+		if (minPossibleDistance > thresholdKm) continue;
+
+		const tcaMS = Math.round(
+			_bisect(getSeparationRate, sampleTimesMS[i], sampleTimesMS[i + 1])
+		);
+		const primaryState = _propagateToECI(primary.satrec, tcaMS);
+		const { position, velocity } = getRelativeState(
+			primaryState,
+			_propagateToECI(secondary.satrec, tcaMS)
+		);
+
+		const missDistance = magnitude(position);
+		if (missDistance > thresholdKm) continue;
+
+		approaches.push({
+			primary: { name: primary.name, catalogNumber: primary.catalogNumber },
+			secondary: { name: secondary.name, catalogNumber: secondary.catalogNumber },
+			tcaMS,
+			missDistance,
+			relativeVelocity: magnitude(velocity),
+			...getRICComponents(primaryState, position)
+		});
+	}
+
+	return approaches;
+}
+
+/**
+ * Screens satellites for conjunctions (close approaches) within a time window.
+ *
+ * Every primary is checked against every secondary (or against every other primary, when no
+ * secondaries are given).  Pairs whose orbits can't come within `thresholdKm` of each other in
+ * altitude are skipped without propagating them.  The remaining satellites are propagated once
+ * on a shared time grid, and each close approach is refined to its time of closest approach
+ * (TCA).  TLEs that can't be read or propagated (e.g. decayed satellites) are skipped.
+ *
+ * Each conjunction reports the miss distance (km), the relative speed (km/s) and the
+ * secondary's offset from the primary in the primary's radial, in-track and cross-track
+ * directions (km).  Conjunctions are sorted by TCA.
+ *
+ * Example:
+ * screenConjunctions({
+ *   primaries: [primaryTLE],
+ *   secondaries: [secondaryTLE],
+ *   startTimeMS: 1500957294771,
+ *   endTimeMS: 1500963894771,
+ *   thresholdKm: 10
+ * });
+ * ->
+ * [
+ *   {
+ *     primary: { name: 'PRIMARY', catalogNumber: 90001 },
+ *     secondary: { name: 'STEEPER', catalogNumber: 90003 },
+ *     tcaMS: 1500959474239,
+ *     missDistance: 7.075016056746105,
+ *     relativeVelocity: 1.1169376616199727,
+ *     radial: 0.867227809969665,
+ *     inTrack: -7.002113966726837,
+ *     crossTrack: 0.5236106624195007
+ *   }
+ * ]
+ *
+ * @param {Array} options.primaries TLEs of the satellites to protect.
+ * @param {Array} options.secondaries TLEs to check them against.  Defaults to the primaries.
+ * @param {Number} options.startTimeMS Unix timestamp in milliseconds.
+ * @param {Number} options.endTimeMS Unix timestamp in milliseconds.  Defaults to one day after
+ * startTimeMS.
+ * @param {Number} options.thresholdKm Maximum miss distance to report.
+ * @param {Number} options.stepMS Sampling resolution.  Defaults to 1/90th of the shortest orbit,
+ * capped at one minute.
+ */
+export function screenConjunctions({
+	primaries = [],
+	secondaries,
+	startTimeMS = Date.now(),
+	endTimeMS,
+	thresholdKm = 5,
+	stepMS
+}) {
+	if (stepMS !== undefined) {
+		_validateStepMS(stepMS);
+	}
+
+	const primaryObjs = primaries.map(toScreeningObject).filter(Boolean);
+	const secondaryObjs = secondaries
+		? secondaries.map(toScreeningObject).filter(Boolean)
+		: primaryObjs;
+
+	const altitudeMargin = thresholdKm + _ALTITUDE_PREFILTER_MARGIN_KM;
+	const pairs = [];
+	const seenPairs = new Set();
+	primaryObjs.forEach(primary => {
+		secondaryObjs.forEach(secondary => {
+			if (primary.key === secondary.key) return;
+
+			// Only screen each pair once, even when it appears in both lists.
+			const pairKey = [primary.key, secondary.key].sort().join("\n");
+			if (seenPairs.has(pairKey)) return;
+			seenPairs.add(pairKey);
+
+			const altitudeGap =
+				Math.max(primary.perigeeAltitude, secondary.perigeeAltitude) -
+				Math.min(primary.apogeeAltitude, secondary.apogeeAltitude);
+			if (altitudeGap > altitudeMargin) return;
+
+			pairs.push([primary, secondary]);
+		});
+	});
+
+	if (pairs.length === 0) return [];
+
+	const windowEndMS = endTimeMS || startTimeMS + _MS_IN_A_DAY;
+	const sampleStepMS =
+		stepMS ||
+		pairs.reduce(
+			(minStepMS, [primary, secondary]) =>
+				Math.min(
+					minStepMS,
+					_getSampleStepMS(primary.parsedTLE),
+					_getSampleStepMS(secondary.parsedTLE)
+				),
+			Infinity
+		);
+
+	const sampleTimesMS = [];
+	for (let timeMS = startTimeMS; timeMS < windowEndMS; timeMS += sampleStepMS) {
+		sampleTimesMS.push(timeMS);
+	}
+	sampleTimesMS.push(windowEndMS);
+
+	return pairs
+		.reduce(
+			(conjunctions, [primary, secondary]) =>
+				conjunctions.concat(
+					findCloseApproaches(
+						primary,
+						secondary,
+						sampleTimesMS,
+						sampleStepMS,
+						thresholdKm
+					)
+				),
+			[]
+		)
+		.sort((a, b) => a.tcaMS - b.tcaMS);
+}
@@ -2,15 +2,64 @@ export const _MS_IN_A_DAY = 86400000;
 export const _MS_IN_A_SECOND = 1000;
 export const _MS_IN_A_MINUTE = 60000;
 
+// Julian dates of the Unix epoch and of J2000.
+export const _JULIAN_DATE_UNIX_EPOCH = 2440587.5;
+export const _JULIAN_DATE_J2000 = 2451545;
+
+// Physical constants (WGS84 Earth equatorial radius, solar radius and astronomical unit) in km.
+export const _EARTH_RADIUS_KM = 6378.137;
+export const _SUN_RADIUS_KM = 695700;
+export const _AU_KM = 149597870.7;
+
+// Speed of light (km/s) and Earth's rotation rate (rad/s).
+export const _SPEED_OF_LIGHT_KM_S = 299792.458;
+export const _EARTH_ROTATION_RAD_S = 7.292115e-5;
+
+// Earth gravitational parameter (km³/s²) and J2 zonal harmonic, matching satellite.js' SGP4.
+export const _EARTH_MU_KM3_S2 = 398600.5;
+export const _EARTH_J2 = 0.00108262998905;
+
+// Orbit regimes returned by getOrbitRegime().
+export const _ORBIT_REGIMES = {
+  _LEO: "LEO",
+  _MEO: "MEO",
+  _GEO: "GEO",
+  _GSO: "GSO",
+  _HEO: "HEO",
+  _MOLNIYA: "Molniya",
+  _SSO: "SSO"
+};
+
+// SGP4 error codes (satrec.error) mapped to human-readable messages.
+export const _SAT_REC_ERRORS = {
+  _DEFAULT: "Problematic TLE with unknown error.",
+  1: "Mean elements, ecc >= 1.0 or ecc < -0.001 or a < 0.95 er",
+  2: "Mean motion less than 0.0",
+  3: "Pert elements, ecc < 0.0  or  ecc > 1.0",
+  4: "Semi-latus rectum < 0.0",
+  5: "Epoch elements are sub-orbital",
+  6: "Satellite has decayed"
+};
+
+// Error code for TLEs that can't be read at all, as opposed to SGP4 errors (1-6).
+export const _UNREADABLE_TLE_ERROR_CODE = -1;
+
 // Data formats for TLE orbital elements.
 export const _TLE_DATA_TYPES = {
   _INT: Symbol(),
   _FLOAT: Symbol(),
   _CHAR: Symbol(),
   _DECIMAL_ASSUMED: Symbol(), // 12345 -> 0.12345
-  _DECIMAL_ASSUMED_E: Symbol() // 12345-2 -> 0.0012345
+  _DECIMAL_ASSUMED_E: Symbol(), // 12345-2 -> 0.0012345
+  _ALPHA5: Symbol() // A0001 -> 100001
 };
 
+// Alpha-5 leading characters.  I and O are skipped to avoid confusion with 1 and 0.
+export const _ALPHA5_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+// Largest catalog number that fits into the 5-character TLE field (Z9999).
+export const _MAX_ALPHA5_CATALOG_NUMBER = 339999;
+
 export const _DATA_TYPES = {
   _ARRAY: "array",
   _STRING: "string",
@@ -0,0 +1,71 @@
+import { geodeticToEcf } from "satellite.js";
+import { _EARTH_ROTATION_RAD_S, _SPEED_OF_LIGHT_KM_S } from "./constants";
+
+/**
+ * Radio Doppler helpers.  satellite.js has a `dopplerFactor()`, but it gets the sign of the
+ * range-rate wrong, so range-rate is computed here from the ECI state vectors instead.
+ */
+
+/**
+ * Determines the rate (km/s) at which the distance between an observer and a satellite is
+ * changing.  Positive when the satellite is moving away from the observer.
+ *
+ * @param {Object} positionEci Satellite ECI position (km).
+ * @param {Object} velocityEci Satellite ECI velocity (km/s).
+ * @param {Object} observerGd Observer geodetic position (radians and km).
+ * @param {Number} gmst Greenwich mean sidereal time (radians).
+ */
+export function _getRangeRate(positionEci, velocityEci, observerGd, gmst) {
+	// Rotate the observer's fixed position into the inertial frame, where it moves with the Earth.
+	const observerEcf = geodeticToEcf(observerGd);
+	const cosGmst = Math.cos(gmst);
+	const sinGmst = Math.sin(gmst);
+	const observerX = observerEcf.x * cosGmst - observerEcf.y * sinGmst;
+	const observerY = observerEcf.x * sinGmst + observerEcf.y * cosGmst;
+
+	const range = {
+		x: positionEci.x - observerX,
+		y: positionEci.y - observerY,
+		z: positionEci.z - observerEcf.z
+	};
+	const relativeVelocity = {
+		x: velocityEci.x + _EARTH_ROTATION_RAD_S * observerY,
+		y: velocityEci.y - _EARTH_ROTATION_RAD_S * observerX,
+		z: velocityEci.z
+	};
+
+	const rangeKm = Math.sqrt(
+		range.x * range.x + range.y * range.y + range.z * range.z
+	);
+
+	return (
+		(range.x * relativeVelocity.x +
+			range.y * relativeVelocity.y +
+			range.z * relativeVelocity.z) /
+		rangeKm
+	);
+}
+
+/**
+ * Determines the Doppler factor (received frequency / transmitted frequency) for a range-rate,
+ * and, when a frequency is given, the Doppler-corrected frequencies to use.
+ *
+ * `downlinkFrequencyHz` is what a signal transmitted by the satellite at `frequencyHz` is received
+ * at on the ground, and `uplinkFrequencyHz` is what to transmit from the ground for the satellite
+ * to receive `frequencyHz`.
+ *
+ * @param {Number} rangeRate Range-rate (km/s), positive when moving apart.
+ * @param {Number} frequencyHz Nominal frequency (optional).
+ */
+export function _getDopplerInfo(rangeRate, frequencyHz) {
+	const dopplerFactor = 1 - rangeRate / _SPEED_OF_LIGHT_KM_S;
+	const output = { rangeRate, dopplerFactor };
+
+	if (frequencyHz) {
+		output.downlinkFrequencyHz = frequencyHz * dopplerFactor;
+		output.uplinkFrequencyHz = frequencyHz / dopplerFactor;
+		output.dopplerShiftHz = output.downlinkFrequencyHz - frequencyHz;
+	}
+
+	return output;
+}
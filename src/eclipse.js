@@ -0,0 +1,137 @@
+import { _MS_IN_A_DAY } from "./constants";
+import { parseTLE } from "./parsing";
+import { _findPositiveIntervals, _getSampleStepMS } from "./passes";
+import { _getSatrec, _propagateToECI } from "./sgp4";
+import {
+	_getEclipseStateFromGeometry,
+	_getShadowGeometry,
+	_getUmbraMargin
+} from "./shadow";
+import { _getSunPositionECI } from "./sun";
+
+/**
+ * Determines the shadow geometry of a satellite at a time.
+ *
+ * @param {Object} satrec SGP4 satellite record.
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _getShadowGeometryAt(satrec, timeMS) {
+	const { position } = _propagateToECI(satrec, timeMS);
+	return _getShadowGeometry(position, _getSunPositionECI(timeMS));
+}
+
+/**
+ * Determines whether a satellite is in sunlight, in the Earth's penumbra (partially shadowed) or
+ * in its umbra (fully shadowed).  `shadowFraction` is the fraction of the Sun's disk hidden by
+ * the Earth, from 0 (sunlit) to 1 (umbra).
+ *
+ * Example:
+ * getEclipseState(tleStr, 1501039265000);
+ * ->
+ * {
+ *   state: 'sunlit',
+ *   shadowFraction: 0
+ * }
+ *
+ * @param {String|Array|Object} tle
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function getEclipseState(tle, timeMS = Date.now()) {
+	const satrec = _getSatrec(parseTLE(tle).tle);
+	return _getEclipseStateFromGeometry(_getShadowGeometryAt(satrec, timeMS));
+}
+
+/**
+ * Finds the eclipses (passages through the Earth's shadow) of a satellite within a time window.
+ * Shadow entry and exit times are found by root-finding on the shadow geometry.
+ *
+ * Each eclipse spans penumbra entry (`startMS`) to penumbra exit (`endMS`), with the umbra
+ * entry and exit in between (`null` when the satellite only grazes the penumbra).  Eclipses
+ * already in progress at `startTimeMS` or still in progress at `endTimeMS` are clipped to the
+ * window and flagged with `isPartial`.
+ *
+ * Example:
+ * getEclipses({
+ *   tle: tleStr,
+ *   startTimeMS: 1501039265000,
+ *   endTimeMS: 1501044824000
+ * });
+ * ->
+ * [
+ *   {
+ *     startMS: 1501040036429,
+ *     umbraStartMS: 1501040089360,
+ *     umbraEndMS: 1501040743792,
+ *     endMS: 1501040796788,
+ *     durationMS: 760359,
+ *     umbraDurationMS: 654432,
+ *     isPartial: false
+ *   }
+ * ]
+ *
+ * @param {Array|String} options.tle
+ * @param {Number} options.startTimeMS Unix timestamp in milliseconds.
+ * @param {Number} options.endTimeMS Unix timestamp in milliseconds.  Defaults to one day after
+ * startTimeMS.
+ * @param {Number} options.stepMS Coarse sampling resolution.  Defaults to 1/90th of an orbit, capped
+ * at one minute.
+ */
+export function getEclipses({
+	tle,
+	startTimeMS = Date.now(),
+	endTimeMS,
+	stepMS
+}) {
+	const parsedTLE = parseTLE(tle);
+	const satrec = _getSatrec(parsedTLE.tle);
+
+	const windowEndMS = endTimeMS || startTimeMS + _MS_IN_A_DAY;
+	const sampleStepMS =
+		stepMS === undefined ? _getSampleStepMS(parsedTLE) : stepMS;
+
+	// Positive inside the penumbra (or umbra) and inside the umbra, respectively.
+	const inPenumbra = timeMS => {
+		const { sunRadius, earthRadius, separation } = _getShadowGeometryAt(
+			satrec,
+			timeMS
+		);
+		return sunRadius + earthRadius - separation;
+	};
+	const inUmbra = timeMS =>
+		-_getUmbraMargin(_getShadowGeometryAt(satrec, timeMS));
+
+	const penumbraIntervals = _findPositiveIntervals(
+		inPenumbra,
+		startTimeMS,
+		windowEndMS,
+		sampleStepMS
+	);
+	const umbraIntervals = _findPositiveIntervals(
+		inUmbra,
+		startTimeMS,
+		windowEndMS,
+		sampleStepMS
+	);
+
+	return penumbraIntervals.map(({ startMS, endMS, isPartial }) => {
+		const umbra = umbraIntervals.find(interval => {
+			const midMS = (interval.startMS + interval.endMS) / 2;
+			return midMS >= startMS && midMS <= endMS;
+		});
+
+		const roundedStartMS = Math.round(startMS);
+		const roundedEndMS = Math.round(endMS);
+		const umbraStartMS = umbra ? Math.round(umbra.startMS) : null;
+		const umbraEndMS = umbra ? Math.round(umbra.endMS) : null;
+
+		return {
+			startMS: roundedStartMS,
+			umbraStartMS,
+			umbraEndMS,
+			endMS: roundedEndMS,
+			durationMS: roundedEndMS - roundedStartMS,
+			umbraDurationMS: umbra ? umbraEndMS - umbraStartMS : 0,
+			isPartial
+		};
+	});
+}
@@ -0,0 +1,70 @@
+import { _SAT_REC_ERRORS } from "./constants";
+
+/**
+ * Error thrown when a satellite can't be propagated.  `code` is the SGP4 error code (1-6, see
+ * satellite.js), or -1 when the TLE can't be read at all, and `tle` is the offending TLE.
+ */
+export class TLEPropagationError extends Error {
+	constructor(message, { code, tle } = {}) {
+		super(message);
+		this.name = "TLEPropagationError";
+		this.code = code;
+		this.tle = tle;
+	}
+}
+
+/**
+ * Creates the error for an SGP4 error code, with its human-readable message.
+ */
+export const _createSGP4Error = (code, tle) =>
+	new TLEPropagationError(_SAT_REC_ERRORS[code] || _SAT_REC_ERRORS._DEFAULT, { code, tle });
+
+const toErrorResult = error => {
+	if (!(error instanceof TLEPropagationError)) {
+		throw error;
+	}
+
+	const { code, message, tle } = error;
+	return { ok: false, error: { code, message, tle } };
+};
+
+/**
+ * Wraps a propagation function (e.g. getSatelliteInfo()) so it returns a result object instead of
+ * throwing when a satellite can't be propagated: `{ ok: true, value }` on success, or
+ * `{ ok: false, error: { code, message, tle } }` with the details of the TLEPropagationError.
+ * Useful for batch jobs that need to report decayed or malformed objects and keep going.  Other
+ * errors (e.g. invalid options) are still thrown, and Promises resolve to a result object.
+ *
+ * Example:
+ * const getSatelliteInfoResult = withErrorResults(getSatelliteInfo);
+ * getSatelliteInfoResult(decayedTLEStr, 1532575265000);
+ * ->
+ * {
+ *   ok: false,
+ *   error: {
+ *     code: 1,
+ *     message: 'Mean elements, ecc >= 1.0 or ecc < -0.001 or a < 0.95 er',
+ *     tle: [
+ *       '1 90005U          17206.18396726  .00000000  00000-0  50000+0 0  9996',
+ *       '2 90005  51.6400 208.9163 0006317   0.0000   0.0000 15.54225995    05'
+ *     ]
+ *   }
+ * }
+ *
+ * @param {Function} fn
+ */
+export function withErrorResults(fn) {
+	return (...args) => {
+		let value;
+		try {
+			value = fn(...args);
+		} catch (e) {
+			return toErrorResult(e);
+		}
+
+		if (value && typeof value.then === "function") {
+			return value.then(resolvedValue => ({ ok: true, value: resolvedValue }), toErrorResult);
+		}
+		return { ok: true, value };
+	};
+}
@@ -0,0 +1,259 @@
+import { degreesLat, degreesLong, eciToGeodetic, gstime } from "satellite.js";
+import { _MS_IN_A_SECOND } from "./constants";
+import { _temeToECEF } from "./frames";
+import { getCatalogNumber1 } from "./line-1-getters";
+import { parseTLE } from "./parsing";
+import { _getSatrec, _propagateToECI } from "./sgp4";
+import {
+	getAverageOrbitTimeMS,
+	getCOSPAR,
+	getSatelliteName
+} from "./sugar-getters";
+import { _validateStepMS } from "./utils";
+
+/**
+ * Exporters for 3D globes: CZML for Cesium and KML for Google Earth.
+ * See https://github.com/AnalyticalGraphicsInc/czml-writer/wiki/CZML-Guide and
+ * https://developers.google.com/kml/documentation/kmlreference
+ */
+
+const _XML_ESCAPES = {
+	"&": "&amp;",
+	"<": "&lt;",
+	">": "&gt;",
+	'"': "&quot;",
+	"'": "&apos;"
+};
+
+const toISOString = timeMS => new Date(timeMS).toISOString();
+
+const escapeXML = str => String(str).replace(/[&<>"']/g, char => _XML_ESCAPES[char]);
+
+/**
+ * Resolves the export time window.  Defaults to one orbit of the slowest satellite.
+ */
+function getTimeWindow(parsedTLEs, start, end) {
+	const longestOrbitMS = parsedTLEs.reduce(
+		(maxMS, parsedTLE) => Math.max(maxMS, getAverageOrbitTimeMS(parsedTLE)),
+		0
+	);
+	return { startMS: start, endMS: end || start + longestOrbitMS };
+}
+
+/**
+ * Propagates a satellite at regular steps between `startMS` and `endMS` (inclusive).
+ */
+function getSamples(parsedTLE, startMS, endMS, stepMS, getSample) {
+	const satrec = _getSatrec(parsedTLE.tle);
+	const samples = [];
+	for (let timeMS = startMS; timeMS < endMS; timeMS += stepMS) {
+		samples.push(getSample(satrec, timeMS));
+	}
+	samples.push(getSample(satrec, endMS));
+	return samples;
+}
+
+/**
+ * Determines a satellite's Earth-fixed position, in meters as CZML expects.
+ */
+function getCZMLSample(satrec, timeMS) {
+	const { position } = _temeToECEF(_propagateToECI(satrec, timeMS), timeMS);
+	return {
+		timeMS,
+		position: [position.x * 1000, position.y * 1000, position.z * 1000]
+	};
+}
+
+/**
+ * Determines a satellite's longitude, latitude (degrees) and altitude (meters), as KML expects.
+ */
+function getKMLSample(satrec, timeMS) {
+	const { position } = _propagateToECI(satrec, timeMS);
+	const { longitude, latitude, height } = eciToGeodetic(
+		position,
+		gstime(new Date(timeMS))
+	);
+	return {
+		timeMS,
+		coord: [degreesLong(longitude), degreesLat(latitude), height * 1000]
+	};
+}
+
+/**
+ * Generates a CZML document for Cesium, with one packet per satellite.  Each packet has sampled
+ * Earth-fixed positions with Lagrange interpolation hints, a label with the satellite's name, a
+ * point, a path trailing one orbit behind and the availability of the time window.  Packet ids are
+ * catalog numbers and the COSPAR id is used as the description.
+ *
+ * Example:
+ * toCZML([tleStr], { start: 1501039265000, stepMS: 60000 });
+ * ->
+ * [
+ *   {
+ *     id: 'document',
+ *     name: 'tle.js',
+ *     version: '1.0',
+ *     clock: {
+ *       interval: '2017-07-26T03:21:05.000Z/2017-07-26T04:53:44.037Z',
+ *       currentTime: '2017-07-26T03:21:05.000Z',
+ *       multiplier: 60,
+ *       range: 'LOOP_STOP',
+ *       step: 'SYSTEM_CLOCK_MULTIPLIER'
+ *     }
+ *   },
+ *   {
+ *     id: '25544',
+ *     name: 'ISS (ZARYA)',
+ *     description: '1998-067A',
+ *     availability: '2017-07-26T03:21:05.000Z/2017-07-26T04:53:44.037Z',
+ *     label: { text: 'ISS (ZARYA)', ... },
+ *     point: { pixelSize: 6, ... },
+ *     path: { leadTime: 0, trailTime: 5559.037, ... },
+ *     position: {
+ *       epoch: '2017-07-26T03:21:05.000Z',
+ *       referenceFrame: 'FIXED',
+ *       interpolationAlgorithm: 'LAGRANGE',
+ *       interpolationDegree: 5,
+ *       cartesian: [0, -2581256.69, -4966637.15, 3815749.22, 60, ...]
+ *     }
+ *   }
+ * ]
+ *
+ * @param {Array} tles
+ * @param {Number} options.start Unix timestamp in milliseconds.
+ * @param {Number} options.end Unix timestamp in milliseconds.  Defaults to one orbit of the
+ * slowest satellite after start.
+ * @param {Number} options.stepMS Time in milliseconds between position samples.
+ */
+export function toCZML(tles, { start = Date.now(), end, stepMS = 60000 } = {}) {
+	_validateStepMS(stepMS);
+
+	const parsedTLEs = tles.map(tle => parseTLE(tle));
+	const { startMS, endMS } = getTimeWindow(parsedTLEs, start, end);
+	const interval = `${toISOString(startMS)}/${toISOString(endMS)}`;
+
+	const documentPacket = {
+		id: "document",
+		name: "tle.js",
+		version: "1.0",
+		clock: {
+			interval,
+			currentTime: toISOString(startMS),
+			multiplier: 60,
+			range: "LOOP_STOP",
+			step: "SYSTEM_CLOCK_MULTIPLIER"
+		}
+	};
+
+	const satellitePackets = parsedTLEs.map(parsedTLE => {
+		const name = getSatelliteName(parsedTLE);
+		const samples = getSamples(parsedTLE, startMS, endMS, stepMS, getCZMLSample);
+
+		// Seconds since the epoch, followed by x, y and z, for each sample.
+		const cartesian = [];
+		samples.forEach(({ timeMS, position }) => {
+			cartesian.push((timeMS - startMS) / _MS_IN_A_SECOND, ...position);
+		});
+
+		return {
+			id: String(getCatalogNumber1(parsedTLE)),
+			name,
+			description: getCOSPAR(parsedTLE, true),
+			availability: interval,
+			label: {
+				text: name,
+				font: "11pt sans-serif",
+				horizontalOrigin: "LEFT",
+				pixelOffset: { cartesian2: [10, 0] },
+				fillColor: { rgba: [255, 255, 255, 255] }
+			},
+			point: {
+				pixelSize: 6,
+				color: { rgba: [255, 255, 0, 255] }
+			},
+			path: {
+				show: true,
+				width: 1,
+				resolution: stepMS / _MS_IN_A_SECOND,
+				leadTime: 0,
+				trailTime: getAverageOrbitTimeMS(parsedTLE) / _MS_IN_A_SECOND,
+				material: { solidColor: { color: { rgba: [255, 255, 0, 160] } } }
+			},
+			position: {
+				epoch: toISOString(startMS),
+				referenceFrame: "FIXED",
+				interpolationAlgorithm: "LAGRANGE",
+				interpolationDegree: 5,
+				cartesian
+			}
+		};
+	});
+
+	return [documentPacket, ...satellitePackets];
+}
+
+/**
+ * Generates a KML document for Google Earth, with a time-stamped track (`gx:Track`) placemark per
+ * satellite.  Positions use absolute altitudes, so tracks are drawn at orbital height, and the
+ * COSPAR id and catalog number are used as the description.
+ *
+ * Example:
+ * toKML([tleStr], { start: 1501039265000, stepMS: 60000 });
+ * ->
+ * <?xml version="1.0" encoding="UTF-8"?>
+ * <kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+ *   <Document>
+ *     <name>tle.js</name>
+ *     <Placemark>
+ *       <name>ISS (ZARYA)</name>
+ *       <description>1998-067A (25544)</description>
+ *       <gx:Track>
+ *         <altitudeMode>absolute</altitudeMode>
+ *         <when>2017-07-26T03:21:05.000Z</when>
+ *         ...
+ *         <gx:coord>-117.46176597710807 34.45112876592785 402908.2788620108</gx:coord>
+ *         ...
+ *       </gx:Track>
+ *     </Placemark>
+ *   </Document>
+ * </kml>
+ *
+ * @param {Array} tles
+ * @param {Number} options.start Unix timestamp in milliseconds.
+ * @param {Number} options.end Unix timestamp in milliseconds.  Defaults to one orbit of the
+ * slowest satellite after start.
+ * @param {Number} options.stepMS Time in milliseconds between position samples.
+ */
+export function toKML(tles, { start = Date.now(), end, stepMS = 60000 } = {}) {
+	_validateStepMS(stepMS);
+
+	const parsedTLEs = tles.map(tle => parseTLE(tle));
+	const { startMS, endMS } = getTimeWindow(parsedTLEs, start, end);
+
+	const placemarks = parsedTLEs.map(parsedTLE => {
+		const samples = getSamples(parsedTLE, startMS, endMS, stepMS, getKMLSample);
+		const description = `${getCOSPAR(parsedTLE, true)} (${getCatalogNumber1(parsedTLE)})`;
+
+		return [
+			"    <Placemark>",
+			`      <name>${escapeXML(getSatelliteName(parsedTLE))}</name>`,
+			`      <description>${escapeXML(description)}</description>`,
+			"      <gx:Track>",
+			"        <altitudeMode>absolute</altitudeMode>",
+			...samples.map(({ timeMS }) => `        <when>${toISOString(timeMS)}</when>`),
+			...samples.map(({ coord }) => `        <gx:coord>${coord.join(" ")}</gx:coord>`),
+			"      </gx:Track>",
+			"    </Placemark>"
+		].join("\n");
+	});
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+		"  <Document>",
+		"    <name>tle.js</name>",
+		...placemarks,
+		"  </Document>",
+		"</kml>"
+	].join("\n");
+}
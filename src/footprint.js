@@ -0,0 +1,247 @@
+import { degreesLat, degreesLong, eciToGeodetic, gstime } from "satellite.js";
+import { _EARTH_RADIUS_KM } from "./constants";
+import { parseTLE } from "./parsing";
+import { _getSatrec, _propagateToECI } from "./sgp4";
+import { _degreesToRadians, _radiansToDegrees } from "./utils";
+
+/**
+ * Determines the Earth central angle (radians) between the sub-satellite point and the edge of
+ * the area where the satellite is at least `minElevation` above the horizon (spherical Earth).
+ *
+ * @param {Number} height Satellite altitude (km).
+ * @param {Number} minElevation Minimum elevation (degrees).
+ */
+export function _getFootprintAngle(height, minElevation) {
+	const elevation = _degreesToRadians(minElevation);
+	return (
+		Math.acos(
+			(_EARTH_RADIUS_KM * Math.cos(elevation)) / (_EARTH_RADIUS_KM + height)
+		) - elevation
+	);
+}
+
+/**
+ * Determines the Earth central angle (radians) between the sub-satellite point and the edge of
+ * the area seen by a nadir-pointing sensor with the given half angle (spherical Earth).  Sensors
+ * wide enough to see past the horizon are limited to it.
+ *
+ * @param {Number} height Satellite altitude (km).
+ * @param {Number} halfAngle Sensor half angle, or off-nadir angle (degrees).
+ */
+export function _getSensorFootprintAngle(height, halfAngle) {
+	const nadirAngle = _degreesToRadians(halfAngle);
+	const sinGroundAngle =
+		((_EARTH_RADIUS_KM + height) / _EARTH_RADIUS_KM) * Math.sin(nadirAngle);
+
+	if (sinGroundAngle >= 1) {
+		return _getFootprintAngle(height, 0);
+	}
+	return Math.asin(sinGroundAngle) - nadirAngle;
+}
+
+/**
+ * Determines the point (in degrees) at an angular distance (radians) and bearing (radians,
+ * clockwise from north) from a point.  Longitudes aren't wrapped to ±180.
+ */
+function getDestination(lng, lat, angle, bearing) {
+	const lat1 = _degreesToRadians(lat);
+	const lat2 = Math.asin(
+		Math.sin(lat1) * Math.cos(angle) +
+			Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing)
+	);
+	const lngDiff = Math.atan2(
+		Math.sin(bearing) * Math.sin(angle) * Math.cos(lat1),
+		Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+	);
+
+	return [lng + _radiansToDegrees(lngDiff), _radiansToDegrees(lat2)];
+}
+
+const wrapLongitude = lng => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Makes a ring's winding counterclockwise, as GeoJSON expects for exterior rings.
+ */
+function toCounterclockwise(ring) {
+	let doubleArea = 0;
+	ring.forEach(([lng, lat], i) => {
+		const [nextLng, nextLat] = ring[(i + 1) % ring.length];
+		doubleArea += lng * nextLat - nextLng * lat;
+	});
+	return doubleArea < 0 ? ring.slice().reverse() : ring;
+}
+
+const closeRing = ring => [...ring, ring[0]];
+
+/**
+ * Clips a ring to the side of a meridian where `isInside` holds (Sutherland–Hodgman), adding
+ * points where the ring crosses the meridian.
+ */
+function clipRing(ring, meridianLng, isInside) {
+	const clipped = [];
+	ring.forEach((point, i) => {
+		const prevPoint = ring[(i + ring.length - 1) % ring.length];
+		const isPointInside = isInside(point[0]);
+		const isPrevInside = isInside(prevPoint[0]);
+
+		if (isPointInside !== isPrevInside) {
+			const fraction = (meridianLng - prevPoint[0]) / (point[0] - prevPoint[0]);
+			clipped.push([meridianLng, prevPoint[1] + fraction * (point[1] - prevPoint[1])]);
+		}
+		if (isPointInside) {
+			clipped.push(point);
+		}
+	});
+	return clipped;
+}
+
+/**
+ * Builds the footprint geometry from a ring of points around the sub-satellite point, with
+ * longitudes continuous around it (so they may run past ±180).
+ *
+ * - Footprints covering a pole become a single polygon spanning every longitude, closed along
+ *   the pole.
+ * - Footprints crossing the antemeridian are split in two, as recommended by RFC 7946.
+ */
+function getFootprintGeometry(ring, centerLng, centerLat, angle) {
+	const angleDegrees = _radiansToDegrees(angle);
+	const coversNorthPole = 90 - centerLat < angleDegrees;
+	const coversSouthPole = 90 + centerLat < angleDegrees;
+
+	if (coversNorthPole || coversSouthPole) {
+		// Start the ring right after it wraps around, so longitudes run from one edge of the map
+		// to the other.
+		const wrappedRing = ring.map(([lng, lat]) => [wrapLongitude(lng), lat]);
+		const wrapIndex = wrappedRing.findIndex(
+			([lng], i) => i > 0 && Math.abs(lng - wrappedRing[i - 1][0]) > 180
+		);
+		const orderedRing =
+			wrapIndex === -1
+				? wrappedRing
+				: [...wrappedRing.slice(wrapIndex), ...wrappedRing.slice(0, wrapIndex)];
+
+		const [firstLng, firstLat] = orderedRing[0];
+		const [lastLng, lastLat] = orderedRing[orderedRing.length - 1];
+		const edgeLng = firstLng < lastLng ? 180 : -180;
+		const edgeLat =
+			lastLat +
+			((edgeLng - lastLng) / (firstLng + 2 * edgeLng - lastLng)) * (firstLat - lastLat);
+		const poleLat = coversNorthPole ? 90 : -90;
+
+		return {
+			type: "Polygon",
+			coordinates: [
+				closeRing(
+					toCounterclockwise([
+						[-edgeLng, edgeLat],
+						...orderedRing,
+						[edgeLng, edgeLat],
+						[edgeLng, poleLat],
+						[-edgeLng, poleLat]
+					])
+				)
+			]
+		};
+	}
+
+	const lngs = ring.map(([lng]) => lng);
+	const maxLng = Math.max(...lngs);
+	const minLng = Math.min(...lngs);
+	if (maxLng <= 180 && minLng >= -180) {
+		return {
+			type: "Polygon",
+			coordinates: [closeRing(toCounterclockwise(ring))]
+		};
+	}
+
+	// Split along the antemeridian, then shift the part beyond it back onto the map.
+	const edgeLng = maxLng > 180 ? 180 : -180;
+	const shift = maxLng > 180 ? -360 : 360;
+	const nearPart = clipRing(ring, edgeLng, lng =>
+		edgeLng > 0 ? lng <= edgeLng : lng >= edgeLng
+	);
+	const farPart = clipRing(ring, edgeLng, lng =>
+		edgeLng > 0 ? lng >= edgeLng : lng <= edgeLng
+	).map(([lng, lat]) => [lng + shift, lat]);
+
+	return {
+		type: "MultiPolygon",
+		coordinates: [nearPart, farPart].map(part => [
+			closeRing(toCounterclockwise(part))
+		])
+	};
+}
+
+/**
+ * Determines a satellite's coverage footprint: the area of the ground from which the satellite
+ * is at least `minElevation` degrees above the horizon.  Returns a GeoJSON Feature with the
+ * footprint as a Polygon, computed on the sphere so it keeps its true shape at any latitude.
+ * Footprints that cross the antemeridian are split into a MultiPolygon, and footprints covering
+ * a pole are closed along it.
+ *
+ * The properties hold the footprint `radius` (km along the ground), the sub-satellite point
+ * and the satellite's altitude (km).
+ *
+ * Example:
+ * getFootprint(tleStr, 1501039265000, { minElevation: 10 });
+ * ->
+ * {
+ *   type: 'Feature',
+ *   geometry: {
+ *     type: 'Polygon',
+ *     coordinates: [ [ [ -118.68, 46.55 ], ..., [ -118.68, 46.55 ] ] ]
+ *   },
+ *   properties: {
+ *     radius: 1350.95,
+ *     lng: -117.46,
+ *     lat: 34.45,
+ *     height: 402.91,
+ *     minElevation: 10,
+ *     timeMS: 1501039265000
+ *   }
+ * }
+ *
+ * @param {String|Array|Object} tle
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ * @param {Number} options.minElevation Minimum elevation above the horizon (degrees).
+ * @param {Number} options.points Number of points on the footprint's edge.
+ */
+export function getFootprint(
+	tle,
+	timeMS = Date.now(),
+	{ minElevation = 0, points = 90 } = {}
+) {
+	if (!(minElevation >= 0 && minElevation < 90)) {
+		throw new Error(
+			`minElevation must be between 0 and 90 degrees, but got ${minElevation}.`
+		);
+	}
+
+	const satrec = _getSatrec(parseTLE(tle).tle);
+	const { position } = _propagateToECI(satrec, timeMS);
+	const { longitude, latitude, height } = eciToGeodetic(
+		position,
+		gstime(new Date(timeMS))
+	);
+	const lng = degreesLong(longitude);
+	const lat = degreesLat(latitude);
+
+	const angle = _getFootprintAngle(height, minElevation);
+	const ring = [];
+	for (let i = 0; i < points; i++) {
+		ring.push(getDestination(lng, lat, angle, (2 * Math.PI * i) / points));
+	}
+
+	return {
+		type: "Feature",
+		geometry: getFootprintGeometry(ring, lng, lat, angle),
+		properties: {
+			radius: angle * _EARTH_RADIUS_KM,
+			lng,
+			lat,
+			height,
+			minElevation,
+			timeMS
+		}
+	};
+}
@@ -0,0 +1,330 @@
+import { _DATA_TYPES, _MS_IN_A_DAY } from "./constants";
+import { computeChecksum, encodeAlpha5, getType } from "./utils";
+
+const _ERRORS = {
+	_MISSING_FIELDS: fields =>
+		`Can't create TLE, missing required element(s): ${fields.join(", ")}.`,
+	_OUT_OF_RANGE: (field, val, range) =>
+		`Can't create TLE, ${field} must be ${range}, but got ${val}.`,
+	_BAD_COSPAR: val =>
+		`Can't create TLE, cospar must look like "1998-067A", but got "${val}".`
+};
+
+// Required elements, other than the epoch (which can be given in two forms).
+const _REQUIRED_ELEMENTS = [
+	"catalogNumber",
+	"inclination",
+	"rightAscension",
+	"eccentricity",
+	"perigee",
+	"meanAnomaly",
+	"meanMotion"
+];
+
+// Valid ranges for elements, as [min, max, human readable description].
+const _ELEMENT_RANGES = {
+	inclination: [0, 180, "between 0 and 180"],
+	rightAscension: [0, 360, "between 0 and 360"],
+	eccentricity: [0, 0.9999999, "between 0 and 1"],
+	perigee: [0, 360, "between 0 and 360"],
+	meanAnomaly: [0, 360, "between 0 and 360"],
+	meanMotion: [0, 99.99999999, "between 0 and 100"],
+	firstTimeDerivative: [-0.99999999, 0.99999999, "between -1 and 1"],
+	secondTimeDerivative: [-0.99999, 0.99999, "between -1 and 1"],
+	bstarDrag: [-0.99999, 0.99999, "between -1 and 1"],
+	orbitModel: [0, 9, "a single digit"],
+	tleSetNumber: [0, 9999, "between 0 and 9999"],
+	revNumberAtEpoch: [0, Infinity, "0 or more"],
+	epochDay: [1, 366.99999999, "between 1 and 367"]
+};
+
+const _CLASSIFICATIONS = ["U", "C", "S"];
+
+// Smallest exponent of the "decimal point assumed" notation, which has a single digit.
+const _MIN_DECIMAL_ASSUMED_EXPONENT = -9;
+
+/**
+ * Converts a float to the TLE's "decimal point assumed" exponent notation, including the leading
+ * sign column.  This is the inverse of `_decimalAssumedEToFloat`.
+ *
+ * Example:
+ * _toDecimalAssumedE(0.000036771);
+ * -> ' 36771-4'
+ *
+ * _toDecimalAssumedE(1.3e-11);
+ * -> ' 00000-0'
+ */
+export function _toDecimalAssumedE(num) {
+	if (!num) return " 00000-0";
+
+	const sign = num < 0 ? "-" : " ";
+	let exponent = Math.floor(Math.log10(Math.abs(num))) + 1;
+	let mantissa = Math.round((Math.abs(num) / Math.pow(10, exponent)) * 1e5);
+
+	// Rounding can carry into a sixth digit (e.g. 0.999995 -> 100000).
+	if (mantissa >= 1e5) {
+		mantissa = Math.round(mantissa / 10);
+		exponent++;
+	}
+
+	// The exponent has a single column, so smaller values round to zero.
+	if (exponent < _MIN_DECIMAL_ASSUMED_EXPONENT) return " 00000-0";
+
+	const mantissaStr = mantissa.toString().padStart(5, "0");
+	const exponentStr = `${exponent < 0 ? "-" : "+"}${Math.abs(exponent)}`;
+
+	return `${sign}${mantissaStr}${exponentStr}`;
+}
+
+/**
+ * Formats the first derivative of mean motion, which has a sign column followed by a leading
+ * decimal point.
+ *
+ * Example:
+ * _toSignedLeadingDecimal(-0.00000599);
+ * -> '-.00000599'
+ */
+export function _toSignedLeadingDecimal(num) {
+	const sign = num < 0 ? "-" : " ";
+	return `${sign}${Math.abs(num).toFixed(8).substr(1)}`;
+}
+
+/**
+ * Rounds an epoch to the TLE's 8 decimals of a day.  Late on Dec 31, the day can round up to the
+ * day after the last of the year (e.g. 367.00000000 in a leap year), which carries into the next
+ * year instead.
+ */
+function roundEpoch(epochYear, epochDay) {
+	const roundedDay = Number(epochDay.toFixed(8));
+	const daysInYear =
+		(Date.UTC(epochYear + 1, 0, 1) - Date.UTC(epochYear, 0, 1)) / _MS_IN_A_DAY;
+
+	return roundedDay >= daysInYear + 1
+		? { epochYear: epochYear + 1, epochDay: roundedDay - daysInYear }
+		: { epochYear, epochDay: roundedDay };
+}
+
+/**
+ * Renders TLE lines from orbital elements.  Element names match those in `line-1-definitions.js`
+ * and `line-2-definitions.js`, and all elements are expected to be present, except for the
+ * international designator, which is left blank without a launch number.
+ *
+ * @param {Object} elements
+ */
+export function _formatTLELines({
+	catalogNumber,
+	classification,
+	intDesignatorYear,
+	intDesignatorLaunchNumber,
+	intDesignatorPieceOfLaunch = "",
+	epochYear: rawEpochYear,
+	epochDay: rawEpochDay,
+	firstTimeDerivative,
+	secondTimeDerivative,
+	bstarDrag,
+	orbitModel,
+	tleSetNumber,
+	inclination,
+	rightAscension,
+	eccentricity,
+	perigee,
+	meanAnomaly,
+	meanMotion,
+	revNumberAtEpoch
+}) {
+	const catalogNumberStr = encodeAlpha5(catalogNumber);
+	const { epochYear, epochDay } = roundEpoch(rawEpochYear, rawEpochDay);
+
+	// The international designator is left blank for objects without a known launch.
+	let intDesignator = "".padEnd(8, " ");
+	if (intDesignatorLaunchNumber !== undefined) {
+		intDesignator = [
+			String(intDesignatorYear % 100).padStart(2, "0"),
+			String(intDesignatorLaunchNumber).padStart(3, "0"),
+			intDesignatorPieceOfLaunch.padEnd(3, " ")
+		].join("");
+	}
+
+	const line1 = [
+		"1 ",
+		catalogNumberStr,
+		classification,
+		" ",
+		intDesignator,
+		" ",
+		String(epochYear % 100).padStart(2, "0"),
+		epochDay.toFixed(8).padStart(12, "0"),
+		" ",
+		_toSignedLeadingDecimal(firstTimeDerivative),
+		" ",
+		_toDecimalAssumedE(secondTimeDerivative),
+		" ",
+		_toDecimalAssumedE(bstarDrag),
+		" ",
+		String(orbitModel),
+		" ",
+		String(tleSetNumber % 10000).padStart(4, " "),
+		"0"
+	].join("");
+
+	const line2 = [
+		"2 ",
+		catalogNumberStr,
+		" ",
+		inclination.toFixed(4).padStart(8, " "),
+		" ",
+		rightAscension.toFixed(4).padStart(8, " "),
+		" ",
+		eccentricity.toFixed(7).substr(2),
+		" ",
+		perigee.toFixed(4).padStart(8, " "),
+		" ",
+		meanAnomaly.toFixed(4).padStart(8, " "),
+		" ",
+		meanMotion.toFixed(8).padStart(11, " "),
+		String(revNumberAtEpoch % 100000).padStart(5, " "),
+		"0"
+	].join("");
+
+	// Replace the placeholder checksums.
+	return [line1, line2].map(
+		line => `${line.substr(0, 68)}${computeChecksum(line)}`
+	);
+}
+
+/**
+ * Converts a Unix timestamp (or Date) to the TLE epoch year and fractional day of the year.
+ */
+function timestampToEpoch(epoch) {
+	const timeMS = getType(epoch) === _DATA_TYPES._DATE ? epoch.getTime() : epoch;
+	const epochYear = new Date(timeMS).getUTCFullYear();
+	const epochDay = (timeMS - Date.UTC(epochYear, 0, 1)) / _MS_IN_A_DAY + 1;
+
+	return roundEpoch(epochYear, epochDay);
+}
+
+/**
+ * Splits a COSPAR id (e.g. "1998-067A") into international designator parts.
+ */
+function cosparToIntDesignator(cospar) {
+	const match = cospar.trim().match(/^(\d{4})-(\d{3})([A-Z]{1,3})$/);
+	if (!match) {
+		throw new Error(_ERRORS._BAD_COSPAR(cospar));
+	}
+
+	return {
+		intDesignatorYear: parseInt(match[1], 10),
+		intDesignatorLaunchNumber: parseInt(match[2], 10),
+		intDesignatorPieceOfLaunch: match[3]
+	};
+}
+
+/**
+ * Builds a valid TLE from orbital elements, with fixed-width columns, the TLE's exponent
+ * notations and correct checksums.  Returns a parsed TLE, which can be used with every getter and
+ * SGP4 helper, or turned into text with `formatTLE()`.
+ *
+ * Element names match the getters (e.g. `meanMotion` for `getMeanMotion()`).  The epoch can be
+ * given either as `epoch` (Unix timestamp in ms, or a Date) or as `epochYear` (four digits) and
+ * `epochDay`.  The international designator can be given as `cospar` (e.g. "1998-067A"), as its
+ * individual parts, or left out entirely.
+ *
+ * Example:
+ * createTLE({
+ *   name: "ISS (ZARYA)",
+ *   catalogNumber: 25544,
+ *   cospar: "1998-067A",
+ *   epoch: 1500956694771,
+ *   firstTimeDerivative: 0.00001961,
+ *   bstarDrag: 0.000036771,
+ *   inclination: 51.64,
+ *   rightAscension: 208.9163,
+ *   eccentricity: 0.0006317,
+ *   perigee: 69.9862,
+ *   meanAnomaly: 25.2906,
+ *   meanMotion: 15.54225995,
+ *   revNumberAtEpoch: 6766
+ * });
+ * ->
+ * {
+ *   name: 'ISS (ZARYA)',
+ *   tle: [
+ *     '1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993',
+ *     '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660'
+ *   ]
+ * }
+ *
+ * @param {Object} elements
+ */
+export function createTLE({
+	name,
+	cospar,
+	epoch,
+	classification = "U",
+	firstTimeDerivative = 0,
+	secondTimeDerivative = 0,
+	bstarDrag = 0,
+	orbitModel = 0,
+	tleSetNumber = 999,
+	revNumberAtEpoch = 0,
+	...elements
+}) {
+	const hasEpoch =
+		epoch !== undefined ||
+		(elements.epochYear !== undefined && elements.epochDay !== undefined);
+
+	const missingFields = _REQUIRED_ELEMENTS.filter(
+		field => elements[field] === undefined
+	);
+	if (!hasEpoch) {
+		missingFields.push("epoch");
+	}
+	if (
+		elements.intDesignatorLaunchNumber !== undefined &&
+		elements.intDesignatorYear === undefined
+	) {
+		missingFields.push("intDesignatorYear");
+	}
+	if (missingFields.length > 0) {
+		throw new Error(_ERRORS._MISSING_FIELDS(missingFields));
+	}
+
+	const allElements = {
+		...elements,
+		classification,
+		firstTimeDerivative,
+		secondTimeDerivative,
+		bstarDrag,
+		orbitModel,
+		tleSetNumber,
+		revNumberAtEpoch,
+		...(cospar ? cosparToIntDesignator(cospar) : {}),
+		...(epoch !== undefined ? timestampToEpoch(epoch) : {})
+	};
+
+	Object.keys(_ELEMENT_RANGES).forEach(field => {
+		const [min, max, range] = _ELEMENT_RANGES[field];
+		const val = allElements[field];
+		if (!Number.isFinite(val) || val < min || val > max) {
+			throw new Error(_ERRORS._OUT_OF_RANGE(field, val, range));
+		}
+	});
+
+	if (!_CLASSIFICATIONS.includes(classification)) {
+		throw new Error(
+			_ERRORS._OUT_OF_RANGE(
+				"classification",
+				classification,
+				`one of ${_CLASSIFICATIONS.join(", ")}`
+			)
+		);
+	}
+
+	const output = {};
+	if (name) {
+		output.name = name;
+	}
+	output.tle = _formatTLELines(allElements);
+
+	return output;
+}
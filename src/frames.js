@@ -0,0 +1,293 @@
+import { gstime } from "satellite.js";
+import {
+	_EARTH_ROTATION_RAD_S,
+	_JULIAN_DATE_J2000,
+	_JULIAN_DATE_UNIX_EPOCH,
+	_MS_IN_A_DAY
+} from "./constants";
+import { parseTLE } from "./parsing";
+import { _getSatrec, _propagateToECI } from "./sgp4";
+import { _degreesToRadians } from "./utils";
+
+/**
+ * Reference frame conversions for SGP4 state vectors.
+ *
+ * SGP4 works in TEME (True Equator, Mean Equinox).  ECEF is reached by rotating by Greenwich mean
+ * sidereal time (polar motion, a few meters, is ignored), and GCRF/J2000 by undoing the IAU 1980
+ * nutation and IAU 1976 precession.  See Vallado et al., "Revisiting Spacetrack Report #3" (2006).
+ */
+
+export const _FRAMES = {
+	_TEME: "TEME",
+	_ECEF: "ECEF",
+	_GCRF: "GCRF"
+};
+
+// Alternative frame names.
+const _FRAME_ALIASES = {
+	ITRF: _FRAMES._ECEF,
+	J2000: _FRAMES._GCRF,
+	EME2000: _FRAMES._GCRF
+};
+
+const _ARCSECONDS_TO_RADIANS = Math.PI / (180 * 3600);
+
+/**
+ * The 30 largest terms of the 106-term IAU 1980 nutation series, accurate to a few hundredths of
+ * an arcsecond.  Each row has the multipliers of the Delaunay arguments (l, l', F, D, Ω), then the
+ * nutation in longitude (Δψ) and obliquity (Δε) coefficients, as [constant, rate per century] in
+ * units of 0.0001 arcseconds.
+ */
+const _NUTATION_TERMS = [
+	[0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+	[0, 0, 2, -2, 2, -13187, -1.6, 5736, -3.1],
+	[0, 0, 2, 0, 2, -2274, -0.2, 977, -0.5],
+	[0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+	[0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+	[1, 0, 0, 0, 0, 712, 0.1, -7, 0],
+	[0, 1, 2, -2, 2, -517, 1.2, 224, -0.6],
+	[0, 0, 2, 0, 1, -386, -0.4, 200, 0],
+	[1, 0, 2, 0, 2, -301, 0, 129, -0.1],
+	[0, -1, 2, -2, 2, 217, -0.5, -95, 0.3],
+	[1, 0, 0, -2, 0, -158, 0, -1, 0],
+	[0, 0, 2, -2, 1, 129, 0.1, -70, 0],
+	[-1, 0, 2, 0, 2, 123, 0, -53, 0],
+	[1, 0, 0, 0, 1, 63, 0.1, -33, 0],
+	[0, 0, 0, 2, 0, 63, 0, -2, 0],
+	[-1, 0, 2, 2, 2, -59, 0, 26, 0],
+	[-1, 0, 0, 0, 1, -58, -0.1, 32, 0],
+	[1, 0, 2, 0, 1, -51, 0, 27, 0],
+	[2, 0, 0, -2, 0, 48, 0, 1, 0],
+	[-2, 0, 2, 0, 1, 46, 0, -24, 0],
+	[0, 0, 2, 2, 2, -38, 0, 16, 0],
+	[2, 0, 2, 0, 2, -31, 0, 13, 0],
+	[2, 0, 0, 0, 0, 29, 0, -1, 0],
+	[1, 0, 2, -2, 2, 29, 0, -12, 0],
+	[0, 0, 2, 0, 0, 26, 0, -1, 0],
+	[0, 0, 2, -2, 0, -22, 0, 0, 0],
+	[-1, 0, 2, 0, 1, 21, 0, -10, 0],
+	[0, 2, 0, 0, 0, 17, -0.1, 0, 0],
+	[0, 2, 2, -2, 2, -16, 0.1, 7, 0],
+	[-1, 0, 0, 2, 1, 16, 0, -8, 0]
+];
+
+// Rotation matrices about the x, y and z axes (coordinate frame rotations).
+const rotateX = angle => {
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	return [
+		[1, 0, 0],
+		[0, cos, sin],
+		[0, -sin, cos]
+	];
+};
+
+const rotateY = angle => {
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	return [
+		[cos, 0, -sin],
+		[0, 1, 0],
+		[sin, 0, cos]
+	];
+};
+
+const rotateZ = angle => {
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	return [
+		[cos, sin, 0],
+		[-sin, cos, 0],
+		[0, 0, 1]
+	];
+};
+
+const multiplyMatrices = (a, b) =>
+	a.map(row =>
+		[0, 1, 2].map(col => row.reduce((sum, val, i) => sum + val * b[i][col], 0))
+	);
+
+const transpose = matrix => [0, 1, 2].map(col => matrix.map(row => row[col]));
+
+const applyMatrix = (matrix, { x, y, z }) => ({
+	x: matrix[0][0] * x + matrix[0][1] * y + matrix[0][2] * z,
+	y: matrix[1][0] * x + matrix[1][1] * y + matrix[1][2] * z,
+	z: matrix[2][0] * x + matrix[2][1] * y + matrix[2][2] * z
+});
+
+/**
+ * Julian centuries since J2000.  UTC is used in place of TT, which is off by about a minute and
+ * makes no practical difference to precession and nutation.
+ */
+const getJulianCenturies = timeMS =>
+	(timeMS / _MS_IN_A_DAY + _JULIAN_DATE_UNIX_EPOCH - _JULIAN_DATE_J2000) /
+	36525;
+
+/**
+ * Determines the IAU 1980 nutation in longitude and obliquity, and the mean obliquity of the
+ * ecliptic (all in radians).
+ *
+ * @param {Number} centuries Julian centuries since J2000.
+ */
+export function _getNutation(centuries) {
+	const t = centuries;
+
+	// Delaunay arguments (degrees): Moon and Sun mean anomalies, Moon argument of latitude, Moon
+	// mean elongation from the Sun and longitude of the Moon's ascending node.
+	const delaunayArgs = [
+		134.96298 + 477198.867398 * t + 0.0086972 * t * t,
+		357.52772 + 35999.05034 * t - 0.0001603 * t * t,
+		93.27191 + 483202.017538 * t - 0.0036825 * t * t,
+		297.85036 + 445267.11148 * t - 0.0019142 * t * t,
+		125.04452 - 1934.136261 * t + 0.0020708 * t * t
+	].map(_degreesToRadians);
+
+	let nutationLongitude = 0;
+	let nutationObliquity = 0;
+	_NUTATION_TERMS.forEach(term => {
+		const arg = delaunayArgs.reduce(
+			(sum, delaunayArg, i) => sum + term[i] * delaunayArg,
+			0
+		);
+		nutationLongitude += (term[5] + term[6] * t) * Math.sin(arg);
+		nutationObliquity += (term[7] + term[8] * t) * Math.cos(arg);
+	});
+
+	const meanObliquityArcseconds =
+		84381.448 - 46.815 * t - 0.00059 * t * t + 0.001813 * t * t * t;
+
+	return {
+		nutationLongitude: nutationLongitude * 0.0001 * _ARCSECONDS_TO_RADIANS,
+		nutationObliquity: nutationObliquity * 0.0001 * _ARCSECONDS_TO_RADIANS,
+		meanObliquity: meanObliquityArcseconds * _ARCSECONDS_TO_RADIANS
+	};
+}
+
+/**
+ * Builds the matrix that rotates GCRF/J2000 coordinates into TEME, combining IAU 1976 precession,
+ * IAU 1980 nutation and the equation of the equinoxes.
+ *
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _getGCRFToTEMEMatrix(timeMS) {
+	const t = getJulianCenturies(timeMS);
+
+	const zeta = (2306.2181 * t + 0.30188 * t * t + 0.017998 * t * t * t) *
+		_ARCSECONDS_TO_RADIANS;
+	const theta = (2004.3109 * t - 0.42665 * t * t - 0.041833 * t * t * t) *
+		_ARCSECONDS_TO_RADIANS;
+	const z = (2306.2181 * t + 1.09468 * t * t + 0.018203 * t * t * t) *
+		_ARCSECONDS_TO_RADIANS;
+	const precession = multiplyMatrices(
+		multiplyMatrices(rotateZ(-z), rotateY(theta)),
+		rotateZ(-zeta)
+	);
+
+	const { nutationLongitude, nutationObliquity, meanObliquity } = _getNutation(t);
+	const nutation = multiplyMatrices(
+		multiplyMatrices(
+			rotateX(-(meanObliquity + nutationObliquity)),
+			rotateZ(-nutationLongitude)
+		),
+		rotateX(meanObliquity)
+	);
+
+	// TEME's x axis points to the mean equinox, offset from the true equinox by the equation of
+	// the equinoxes.
+	const equationOfEquinoxes = nutationLongitude * Math.cos(meanObliquity);
+
+	return multiplyMatrices(
+		rotateZ(equationOfEquinoxes),
+		multiplyMatrices(nutation, precession)
+	);
+}
+
+/**
+ * Converts a TEME state vector to ECEF.
+ *
+ * @param {Object} stateVector TEME `position` (km) and `velocity` (km/s).
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _temeToECEF({ position, velocity }, timeMS) {
+	const rotation = rotateZ(gstime(new Date(timeMS)));
+	const positionEcef = applyMatrix(rotation, position);
+	const rotatedVelocity = applyMatrix(rotation, velocity);
+
+	// Remove the velocity of the rotating frame itself.
+	return {
+		position: positionEcef,
+		velocity: {
+			x: rotatedVelocity.x + _EARTH_ROTATION_RAD_S * positionEcef.y,
+			y: rotatedVelocity.y - _EARTH_ROTATION_RAD_S * positionEcef.x,
+			z: rotatedVelocity.z
+		}
+	};
+}
+
+/**
+ * Converts a TEME state vector to GCRF/J2000.
+ *
+ * @param {Object} stateVector TEME `position` (km) and `velocity` (km/s).
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _temeToGCRF({ position, velocity }, timeMS) {
+	const rotation = transpose(_getGCRFToTEMEMatrix(timeMS));
+	return {
+		position: applyMatrix(rotation, position),
+		velocity: applyMatrix(rotation, velocity)
+	};
+}
+
+const _FRAME_CONVERTERS = {
+	[_FRAMES._TEME]: stateVector => stateVector,
+	[_FRAMES._ECEF]: _temeToECEF,
+	[_FRAMES._GCRF]: _temeToGCRF
+};
+
+/**
+ * Determines a satellite's position (km) and velocity (km/s) in a reference frame:
+ *
+ * - "TEME": True Equator, Mean Equinox, which SGP4 natively works in (default).
+ * - "ECEF" (or "ITRF"): Earth-centered, Earth-fixed.  Polar motion is ignored.
+ * - "GCRF" (or "J2000"): the inertial frame most visualization and analysis tools expect.  The
+ *   tiny frame bias between the two is ignored.
+ *
+ * Example:
+ * getStateVector(tleStr, 1501039265000, { frame: "GCRF" });
+ * ->
+ * {
+ *   frame: 'GCRF',
+ *   timeMS: 1501039265000,
+ *   position: { x: -3074.54, y: -4673.25, z: 3820.76 },
+ *   velocity: { x: 6.3955, y: -0.7842, z: 4.1711 }
+ * }
+ *
+ * @param {String|Array|Object} tle
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ * @param {String} options.frame
+ */
+export function getStateVector(
+	tle,
+	timeMS = Date.now(),
+	{ frame = _FRAMES._TEME } = {}
+) {
+	const resolvedFrame = _FRAME_ALIASES[frame] || frame;
+	const converter = _FRAME_CONVERTERS[resolvedFrame];
+	if (!converter) {
+		throw new Error(
+			`frame must be one of ${[
+				...Object.keys(_FRAME_CONVERTERS),
+				...Object.keys(_FRAME_ALIASES)
+			].join(", ")}, but got ${frame}.`
+		);
+	}
+
+	const satrec = _getSatrec(parseTLE(tle).tle);
+	const stateVector = _propagateToECI(satrec, timeMS);
+
+	return {
+		frame: resolvedFrame,
+		timeMS,
+		...converter(stateVector, timeMS)
+	};
+}
@@ -0,0 +1,157 @@
+import { parseTLE } from "./parsing";
+import { _getLngLatFromSatrec, _getSatrec } from "./sgp4";
+import {
+	getAverageOrbitTimeMS,
+	getCOSPAR,
+	getEpochTimestamp,
+	getSatelliteName
+} from "./sugar-getters";
+import { getCatalogNumber1 } from "./line-1-getters";
+import { _validateStepMS } from "./utils";
+
+/**
+ * Splits a sequence of [lng, lat] points (with a timestamp each) into line segments wherever the
+ * track wraps around the antemeridian.  A point on the antemeridian, interpolated between the
+ * points on either side, ends each segment and starts the next one, so tracks reach the edge of
+ * the map without drawing a line across it.
+ *
+ * @param {Array} coords [lng, lat] pairs.
+ * @param {Array} timesMS Unix timestamps (ms) of each point.
+ */
+export function _splitAtAntemeridian(coords, timesMS) {
+	const lines = [{ coords: [], timesMS: [] }];
+	let line = lines[0];
+
+	coords.forEach(([lng, lat], i) => {
+		if (i > 0) {
+			const [lastLng, lastLat] = coords[i - 1];
+			const lngDiff = lng - lastLng;
+
+			// A jump of more than half the globe between nearby points means the track wrapped.
+			if (Math.abs(lngDiff) > 180) {
+				const edgeLng = lastLng > 0 ? 180 : -180;
+				const unwrappedLng = lng + (lastLng > 0 ? 360 : -360);
+				const fraction = (edgeLng - lastLng) / (unwrappedLng - lastLng);
+				const crossingLat = lastLat + fraction * (lat - lastLat);
+				const crossingTimeMS = Math.round(
+					timesMS[i - 1] + fraction * (timesMS[i] - timesMS[i - 1])
+				);
+
+				line.coords.push([edgeLng, crossingLat]);
+				line.timesMS.push(crossingTimeMS);
+
+				line = { coords: [[-edgeLng, crossingLat]], timesMS: [crossingTimeMS] };
+				lines.push(line);
+			}
+		}
+
+		line.coords.push([lng, lat]);
+		line.timesMS.push(timesMS[i]);
+	});
+
+	// Drop segments that are only a crossing point.
+	return lines.filter(({ coords: lineCoords }) => lineCoords.length > 1);
+}
+
+/**
+ * Builds a GeoJSON Feature with a satellite's ground track as a MultiLineString.
+ */
+function getGroundTrackFeature(tle, startTimeMS, endTimeMS, stepMS) {
+	const parsedTLE = parseTLE(tle);
+	const satrec = _getSatrec(parsedTLE.tle);
+	const trackEndMS = endTimeMS || startTimeMS + getAverageOrbitTimeMS(parsedTLE);
+
+	const coords = [];
+	const timesMS = [];
+	for (let timeMS = startTimeMS; timeMS < trackEndMS; timeMS += stepMS) {
+		coords.push(_getLngLatFromSatrec(satrec, timeMS));
+		timesMS.push(timeMS);
+	}
+	coords.push(_getLngLatFromSatrec(satrec, trackEndMS));
+	timesMS.push(trackEndMS);
+
+	const lines = _splitAtAntemeridian(coords, timesMS);
+
+	return {
+		type: "Feature",
+		geometry: {
+			type: "MultiLineString",
+			coordinates: lines.map(line => line.coords)
+		},
+		properties: {
+			name: getSatelliteName(parsedTLE),
+			catalogNumber: getCatalogNumber1(parsedTLE),
+			cospar: getCOSPAR(parsedTLE, true),
+			epochTimestamp: getEpochTimestamp(parsedTLE),
+			startTimeMS,
+			endTimeMS: trackEndMS,
+			coordTimes: lines.map(line => line.timesMS)
+		}
+	};
+}
+
+/**
+ * Generates ground tracks as a GeoJSON FeatureCollection, ready to be added to Mapbox, Leaflet
+ * or OpenLayers as is.
+ *
+ * Each satellite is a Feature with a MultiLineString geometry, split into separate lines where it
+ * crosses the antemeridian, with interpolated points at ±180 degrees so nothing is drawn across
+ * the map.  Its properties hold the satellite's name, catalog number, COSPAR id, TLE epoch and the
+ * Unix timestamp (ms) of every vertex in `coordTimes`, which mirrors the shape of the coordinates.
+ *
+ * Example:
+ * getGroundTrackGeoJSON({
+ *   tles: [tleStr],
+ *   startTimeMS: 1501039265000,
+ *   stepMS: 60000
+ * });
+ * ->
+ * {
+ *   type: 'FeatureCollection',
+ *   features: [
+ *     {
+ *       type: 'Feature',
+ *       geometry: {
+ *         type: 'MultiLineString',
+ *         coordinates: [
+ *           [ [ -117.46, 34.45 ], ..., [ 180, -12.91 ] ],
+ *           [ [ -180, -12.91 ], ..., [ -140.79, 34.61 ] ]
+ *         ]
+ *       },
+ *       properties: {
+ *         name: 'ISS (ZARYA)',
+ *         catalogNumber: 25544,
+ *         cospar: '1998-067A',
+ *         epochTimestamp: 1500956694771,
+ *         startTimeMS: 1501039265000,
+ *         endTimeMS: 1501044824037,
+ *         coordTimes: [
+ *           [ 1501039265000, ..., 1501043858606 ],
+ *           [ 1501043858606, ..., 1501044824037 ]
+ *         ]
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * @param {Array} options.tles
+ * @param {Number} options.startTimeMS Unix timestamp in milliseconds.
+ * @param {Number} options.endTimeMS Unix timestamp in milliseconds.  Defaults to one orbit after
+ * startTimeMS.
+ * @param {Number} options.stepMS Time in milliseconds between points on the ground track.
+ */
+export function getGroundTrackGeoJSON({
+	tles = [],
+	startTimeMS = Date.now(),
+	endTimeMS,
+	stepMS = 1000
+}) {
+	_validateStepMS(stepMS);
+
+	return {
+		type: "FeatureCollection",
+		features: tles.map(tle =>
+			getGroundTrackFeature(tle, startTimeMS, endTimeMS, stepMS)
+		)
+	};
+}
@@ -0,0 +1,116 @@
+import { _DATA_TYPES } from "./constants";
+import { getType } from "./utils";
+
+/**
+ * Converts a horizon mask point given as an [azimuth, elevation] pair or an object to an object,
+ * checking its range.
+ */
+function toMaskPoint(point) {
+	const [azimuth, elevation] = Array.isArray(point)
+		? point
+		: [point && point.azimuth, point && point.elevation];
+
+	const isValid =
+		typeof azimuth === "number" &&
+		typeof elevation === "number" &&
+		azimuth >= 0 &&
+		azimuth <= 360 &&
+		elevation >= -90 &&
+		elevation <= 90;
+	if (!isValid) {
+		const got = JSON.stringify(point);
+		throw new Error(
+			`Horizon mask points need an azimuth (0 to 360) and elevation (-90 to 90), but got ${got}.`
+		);
+	}
+
+	return { azimuth: azimuth % 360, elevation };
+}
+
+/**
+ * Reads horizon mask points from CSV text, one "azimuth,elevation" pair per line.  Semicolons,
+ * tabs and spaces are accepted as separators, and a header line and "#" comments are skipped.
+ */
+function parseCSV(text) {
+	return text
+		.split(/\r?\n/)
+		.map(line => line.replace(/#.*/, "").trim())
+		.filter(Boolean)
+		.map(line => line.split(/\s*[,;\t ]\s*/).map(Number))
+		.filter(([azimuth], i) => !(i === 0 && Number.isNaN(azimuth)));
+}
+
+/**
+ * Parses a horizon mask, which gives the minimum elevation the satellite must be above to be in
+ * view at each azimuth, e.g. due to buildings or mountains around a ground station.  Elevations are
+ * linearly interpolated between points, wrapping around north.
+ *
+ * The mask can be an array of [azimuth, elevation] pairs or `{ azimuth, elevation }` objects (in
+ * degrees), or the same as JSON or CSV text.  Returns the points sorted by azimuth.
+ *
+ * Example:
+ * parseHorizonMask(`azimuth,elevation
+ * 0,5
+ * 90,20
+ * 180,5`);
+ * ->
+ * [
+ *   { azimuth: 0, elevation: 5 },
+ *   { azimuth: 90, elevation: 20 },
+ *   { azimuth: 180, elevation: 5 }
+ * ]
+ *
+ * @param {Array|String} mask
+ */
+export function parseHorizonMask(mask) {
+	let points = mask;
+	if (getType(mask) === _DATA_TYPES._STRING) {
+		const text = mask.trim();
+		points = text.startsWith("[") ? JSON.parse(text) : parseCSV(text);
+	}
+
+	if (!Array.isArray(points) || !points.length) {
+		throw new Error("Horizon mask must have at least one point.");
+	}
+
+	return points.map(toMaskPoint).sort((a, b) => a.azimuth - b.azimuth);
+}
+
+/**
+ * Determines the minimum elevation (degrees) of a parsed horizon mask at an azimuth (degrees).
+ */
+function getMaskElevation(mask, azimuth) {
+	const az = ((azimuth % 360) + 360) % 360;
+	const nextIndex = mask.findIndex(point => point.azimuth > az);
+
+	// Past the last point (or before the first), interpolate across north.
+	const isWrapped = nextIndex <= 0;
+	const prev = mask[isWrapped ? mask.length - 1 : nextIndex - 1];
+	const next = mask[isWrapped ? 0 : nextIndex];
+
+	const prevAzimuth = prev.azimuth;
+	const nextAzimuth = next.azimuth + (isWrapped ? 360 : 0);
+	const span = nextAzimuth - prevAzimuth;
+	if (span === 0) {
+		return prev.elevation;
+	}
+
+	const offset = (az < prevAzimuth ? az + 360 : az) - prevAzimuth;
+	return prev.elevation + ((next.elevation - prev.elevation) * offset) / span;
+}
+
+/**
+ * Creates a function that determines the minimum elevation (degrees) for a satellite to be in view
+ * at an azimuth (degrees): `minElevation`, or the horizon mask where it's higher.
+ *
+ * @param {Number} minElevation
+ * @param {Array|String} horizonMask Optional horizon mask (see parseHorizonMask()).
+ */
+export function _getMinElevationFn(minElevation, horizonMask) {
+	if (!horizonMask) {
+		return () => minElevation;
+	}
+
+	const mask = parseHorizonMask(horizonMask);
+	return azimuth => Math.max(minElevation, getMaskElevation(mask, azimuth));
+}
@@ -34,9 +34,10 @@ declare module 'tle.js' {
     export type Milliseconds = number;
 
     /**
-     * TLE in unknown format, to be normalized by parseTLE().
+     * TLE in unknown format, to be normalized by parseTLE().  Strings may also be single-record OMMs
+     * in JSON, XML or KVN format.
      */
-    export type TLE = string | [string, TLELine, TLELine] | [TLELine, TLELine] | ParsedTLE;
+    export type TLE = string | [string, TLELine, TLELine] | [TLELine, TLELine] | ParsedTLE | OMMRecord;
 
     export type TLELine = string;
 
@@ -121,6 +122,47 @@ declare module 'tle.js' {
         tle: [TLELine, TLELine]
     }
 
+    /**
+     * A single CCSDS Orbit Mean-Elements Message (OMM) record, as published in JSON format by
+     * CelesTrak and Space-Track.  Numeric fields may also be strings.
+     */
+    export interface OMMRecord {
+        OBJECT_NAME?: string,
+        /** COSPAR ID, e.g. "1998-067A". */
+        OBJECT_ID?: string,
+        /** ISO 8601 epoch, e.g. "2017-07-25T04:24:54.771264". */
+        EPOCH: string,
+        /** (revs per day) */
+        MEAN_MOTION: number | string,
+        ECCENTRICITY: number | string,
+        /** (degrees) */
+        INCLINATION: number | string,
+        /** (degrees) */
+        RA_OF_ASC_NODE: number | string,
+        /** (degrees) */
+        ARG_OF_PERICENTER: number | string,
+        /** (degrees) */
+        MEAN_ANOMALY: number | string,
+        NORAD_CAT_ID: number | string,
+        /** @default 0 */
+        EPHEMERIS_TYPE?: number | string,
+        /** @default "U" */
+        CLASSIFICATION_TYPE?: SatelliteClassification | string,
+        /** @default 999 */
+        ELEMENT_SET_NO?: number | string,
+        /** @default 0 */
+        REV_AT_EPOCH?: number | string,
+        /** @default 0 */
+        BSTAR?: number | string,
+        /** @default 0 */
+        MEAN_MOTION_DOT?: number | string,
+        /** @default 0 */
+        MEAN_MOTION_DDOT?: number | string,
+        /** Must be "SGP4" when present. */
+        MEAN_ELEMENT_THEORY?: string,
+        [key: string]: any
+    }
+
     /**
      * Input for getOrbitTrackSync().  Note that getOrbitTrack() uses OrbitTrackInput instead.
      */
@@ -193,7 +235,19 @@ declare module 'tle.js' {
         /** (degrees) Spacecraft longitude. */
         lng: LongitudeDegrees,
         /** (km/s) Spacecraft velocity. */
-        velocity: KilometersPerSecond
+        velocity: KilometersPerSecond,
+        /** (km/s) Rate at which the range is changing (positive when moving away). */
+        rangeRate: KilometersPerSecond,
+        /** Received frequency / transmitted frequency. */
+        dopplerFactor: number,
+        /** (Hz) Ground reception frequency of a satellite transmission at frequencyHz. */
+        downlinkFrequencyHz?: number,
+        /** (Hz) Ground transmission frequency for the satellite to receive frequencyHz. */
+        uplinkFrequencyHz?: number,
+        /** (Hz) downlinkFrequencyHz - frequencyHz. */
+        dopplerShiftHz?: number,
+        /** (degrees) Elevation raised by atmospheric refraction.  Only present with refraction. */
+        apparentElevation?: Degrees
     }
 
     /**
@@ -228,7 +282,212 @@ declare module 'tle.js' {
          * Full list of known TLEs.
          * @default Current time.
          */
-        timestampMS: Timestamp
+        timestampMS: Timestamp,
+        /**
+         * Only returns satellites that can be seen with the naked eye (lit by the Sun, with the
+         * observer in darkness).
+         * @default false
+         */
+        optical?: boolean,
+        /**
+         * How dark the observer's sky must be in optical mode.
+         * @default 'civil'
+         */
+        twilight?: Twilight,
+        /** Minimum elevation by azimuth, applied along with elevationThreshold. */
+        horizonMask?: HorizonMask,
+        /**
+         * Compares apparent (refracted) elevations to elevationThreshold and horizonMask.
+         * @default false
+         */
+        refraction?: Refraction,
+        /**
+         * Returns the visible and skipped satellites instead of only the visible ones.
+         * @default false
+         */
+        includeSkipped?: boolean
+    }
+
+    export interface VisibleSatellite {
+        tleArr: TLE,
+        info: SatelliteInfoOutput,
+        /** Geostationary satellites' info is only computed once per observer. */
+        isGeostationary: boolean
+    }
+
+    /**
+     * Satellite left out of getVisibleSatellites() because it can't be propagated.
+     */
+    export interface SkippedSatellite {
+        tleArr: TLE,
+        /** SGP4 error code (1-6), or -1 when the TLE can't be read. */
+        code: number,
+        reason: string
+    }
+
+    export interface HorizonMaskPoint {
+        azimuth: Degrees,
+        /** (degrees) Minimum elevation for a satellite to be in view at this azimuth. */
+        elevation: Degrees
+    }
+
+    /**
+     * Horizon mask points as [azimuth, elevation] pairs or objects, or the same as JSON or CSV text.
+     */
+    export type HorizonMask = HorizonMaskPoint[] | [Degrees, Degrees][] | string;
+
+    /**
+     * Parses a horizon mask, returning its points sorted by azimuth.
+     */
+    export function parseHorizonMask(mask: HorizonMask): HorizonMaskPoint[];
+
+    /**
+     * Conditions at the observer for atmospheric refraction.
+     */
+    export interface RefractionOptions {
+        /**
+         * (hPa, same as mbar) Air pressure.
+         * @default 1010
+         */
+        pressureHPa?: number,
+        /**
+         * (°C) Air temperature.
+         * @default 10
+         */
+        temperatureC?: number
+    }
+
+    /**
+     * Atmospheric refraction correction: true for standard conditions, or the conditions to use.
+     */
+    export type Refraction = boolean | RefractionOptions;
+
+    /**
+     * Determines the apparent (refracted) elevation of an object at a geometric elevation
+     * (Saemundsson's formula).
+     */
+    export function getApparentElevation(elevation: Degrees, options?: RefractionOptions): Degrees;
+
+    /**
+     * Determines the geometric elevation of an object seen at an apparent (refracted) elevation
+     * (Bennett's formula).
+     */
+    export function getGeometricElevation(
+        apparentElevation: Degrees,
+        options?: RefractionOptions
+    ): Degrees;
+
+    /**
+     * Ground observer position.
+     */
+    export interface Observer {
+        /** (degrees) Observer latitude. */
+        lat: LatitudeDegrees,
+        /** (degrees) Observer longitude. */
+        lng: LongitudeDegrees,
+        /**
+         * (km) Observer height above the ellipsoid.
+         * @default 0
+         */
+        height?: Kilometers,
+        /** Minimum elevation by azimuth, e.g. for buildings or mountains (used by getPasses()). */
+        horizonMask?: HorizonMask
+    }
+
+    /**
+     * Input for getPasses().
+     */
+    export interface PassesInput {
+        /** Satellite TLE. */
+        tle: TLE,
+        /** Ground observer. */
+        observer: Observer,
+        /**
+         * Start of the search window.
+         * @default Current time.
+         */
+        startTimeMS?: Timestamp,
+        /**
+         * End of the search window.
+         * @default One day after startTimeMS.
+         */
+        endTimeMS?: Timestamp,
+        /**
+         * (degrees) Elevation above which the satellite is considered in view.
+         * @default 0
+         */
+        minElevation?: Degrees,
+        /**
+         * Coarse sampling resolution used to bracket passes.  Must be greater than 0.
+         * @default 1/90th of an orbit, capped at one minute.
+         */
+        stepMS?: Milliseconds,
+        /**
+         * Adds the parts of each pass that can be seen with the naked eye (`visibleSegments`).
+         * @default false
+         */
+        optical?: boolean,
+        /**
+         * How dark the observer's sky must be for optical visibility.
+         * @default 'civil'
+         */
+        twilight?: Twilight,
+        /**
+         * Finds rises and sets from apparent (refracted) elevations, and adds apparentElevation to
+         * each PassEvent.
+         * @default false
+         */
+        refraction?: Refraction
+    }
+
+    /**
+     * Twilight level, or the Sun elevation (degrees) below which the observer's sky is dark.
+     */
+    export type Twilight = 'civil' | 'nautical' | 'astronomical' | Degrees;
+
+    /**
+     * Part of a pass where the satellite is lit by the Sun while the observer is in darkness.
+     */
+    export interface VisibleSegment {
+        start: PassEvent,
+        end: PassEvent,
+        /** (degrees) Highest elevation within the segment. */
+        maxElevation: Degrees,
+        durationMS: Milliseconds
+    }
+
+    /**
+     * Satellite look angles at a single moment of a pass.
+     */
+    export interface PassEvent {
+        timeMS: Timestamp,
+        /** (degrees) Satellite compass heading from observer (0 = north, 180 = south). */
+        azimuth: Degrees,
+        /** (degrees) Satellite elevation from observer (90 is directly overhead). */
+        elevation: Degrees,
+        /** (km) Distance from observer to spacecraft. */
+        range: Kilometers,
+        /** (degrees) Elevation raised by atmospheric refraction.  Only present with refraction. */
+        apparentElevation?: Degrees
+    }
+
+    /**
+     * A single pass of a satellite over an observer.  Output of getPasses().
+     */
+    export interface Pass {
+        /** Acquisition of signal (rise). */
+        aos: PassEvent,
+        /** Time of closest approach (culmination). */
+        tca: PassEvent,
+        /** Loss of signal (set). */
+        los: PassEvent,
+        /** (degrees) Elevation at culmination. */
+        maxElevation: Degrees,
+        durationMS: Milliseconds,
+        /** True when the pass was clipped by the start or end of the search window. */
+        isPartial: boolean,
+        /** Naked eye visible parts of the pass.  Only present in optical mode. */
+        visibleSegments?: VisibleSegment[]
     }
 
     /**
@@ -238,9 +497,55 @@ declare module 'tle.js' {
 
     /**
      * Returns the current sizes of SGP caches.
+     *
+     * @deprecated Use getCacheStats(), which also has hit/miss counts and covers every cache.
      */
     export function getCacheSizes(): number[];
 
+    export type CacheName =
+        | 'tleParse'
+        | 'satrec'
+        | 'satelliteInfo'
+        | 'antemeridianCrossings'
+        | 'orbitTracks'
+        | 'failedSatellites'
+        | 'geostationaryInfo';
+
+    export interface CacheLimits {
+        /** Maximum entries per cache.  Defaults to Infinity. */
+        maxEntries?: number,
+        /** Maximum estimated memory use per cache, in bytes.  Defaults to Infinity. */
+        maxBytes?: number,
+        /** Time entries stay cached.  Defaults to Infinity. */
+        ttlMS?: Milliseconds
+    }
+
+    export interface CacheConfig extends CacheLimits {
+        /** Per-cache settings: false to disable a cache, true to enable it, or its own limits. */
+        caches?: Partial<Record<CacheName, boolean | CacheLimits>>
+    }
+
+    export interface CacheStats {
+        enabled: boolean,
+        size: number,
+        /** Estimated memory use. */
+        bytes: number,
+        hits: number,
+        misses: number,
+        evictions: number
+    }
+
+    /**
+     * Configures the LRU memoization caches.  Settings are merged into the current ones.
+     */
+    export function configureCache(config?: CacheConfig): undefined;
+
+    /**
+     * Returns whether each cache is enabled, along with its size, estimated memory use and
+     * hit/miss/eviction counts.
+     */
+    export function getCacheStats(): Record<CacheName, CacheStats>;
+
     /**
      * (Async) Calculates three orbit tracks for a TLE (previous, current, and next orbits).
      */
@@ -295,6 +600,45 @@ declare module 'tle.js' {
      */
     export function getOrbitTrackSync(input: OrbitTrackSyncInput): LngLat[];
 
+    export interface GroundTrackGeoJSONInput {
+        tles: TLE[],
+        /** Defaults to now. */
+        startTimeMS?: Milliseconds,
+        /** Defaults to one orbit after startTimeMS. */
+        endTimeMS?: Milliseconds,
+        /** Time between points on the ground track.  Must be greater than 0.  Defaults to 1000. */
+        stepMS?: Milliseconds
+    }
+
+    export interface GroundTrackFeature {
+        type: 'Feature',
+        geometry: {
+            type: 'MultiLineString',
+            coordinates: LngLat[][]
+        },
+        properties: {
+            name: string,
+            catalogNumber: number,
+            cospar: string,
+            epochTimestamp: Timestamp,
+            startTimeMS: Timestamp,
+            endTimeMS: Timestamp,
+            /** Timestamp of each vertex, in the same shape as the coordinates. */
+            coordTimes: Timestamp[][]
+        }
+    }
+
+    export interface GroundTrackFeatureCollection {
+        type: 'FeatureCollection',
+        features: GroundTrackFeature[]
+    }
+
+    /**
+     * Generates ground tracks as a GeoJSON FeatureCollection of MultiLineStrings, split at the
+     * antemeridian with interpolated points at ±180 degrees.
+     */
+    export function getGroundTrackGeoJSON(input: GroundTrackGeoJSONInput): GroundTrackFeatureCollection;
+
     /**
      * (Experimental) Determines the compass bearing from the perspective of the satellite.
      * Useful for 3D / pitched map perspectives.
@@ -325,12 +669,510 @@ declare module 'tle.js' {
          * (m) Ground observer meters above the ellipsoid.  Only needed for azimuth, elevation, and range.
          * @default 0.37
          */
-        observerHeight?: Meters): SatelliteInfoOutput;
+        observerHeight?: Meters,
+        /**
+         * (Hz) Nominal radio frequency, for Doppler-corrected uplink and downlink frequencies.
+         */
+        frequencyHz?: number,
+        /**
+         * Adds the apparent (refracted) elevation.
+         */
+        refraction?: Refraction): SatelliteInfoOutput;
+
+    export interface DopplerCurveInput {
+        tle: TLE,
+        observer: Observer,
+        /** Pass from getPasses(), used for the default time window. */
+        pass?: Pass,
+        /** @default pass.aos.timeMS */
+        startTimeMS?: Timestamp,
+        /** @default pass.los.timeMS */
+        endTimeMS?: Timestamp,
+        /**
+         * Time between points.  Must be greater than 0.
+         * @default 1000
+         */
+        stepMS?: Milliseconds,
+        /** (Hz) Nominal radio frequency. */
+        frequencyHz?: number
+    }
+
+    export interface DopplerPoint extends PassEvent {
+        rangeRate: KilometersPerSecond,
+        dopplerFactor: number,
+        downlinkFrequencyHz?: number,
+        uplinkFrequencyHz?: number,
+        dopplerShiftHz?: number
+    }
+
+    /**
+     * Determines range, range-rate and Doppler factor over a pass or time window.
+     */
+    export function getDopplerCurve(input: DopplerCurveInput): DopplerPoint[];
 
     /**
      * Determines which satellites are currently visible, assuming a completely flat horizon.
      */
-    export function getVisibleSatellites(input: VisibleSatellitesInput): SatelliteInfoOutput[];
+    export function getVisibleSatellites(
+        input: VisibleSatellitesInput & { includeSkipped: true }
+    ): { visible: VisibleSatellite[], skipped: SkippedSatellite[] };
+    export function getVisibleSatellites(input: VisibleSatellitesInput): VisibleSatellite[];
+
+    /**
+     * Predicts passes of a satellite over a ground observer within a time window.  Rise, culmination
+     * and set times are found by root-finding on the elevation curve.
+     */
+    export function getPasses(input: PassesInput): Pass[];
+
+    export interface VisibleSatellitesBetweenInput extends Omit<PassesInput, 'tle'> {
+        tles: TLE[],
+        /**
+         * Returns the visible and skipped satellites instead of only the visible ones.
+         * @default false
+         */
+        includeSkipped?: boolean
+    }
+
+    export interface SatellitePasses {
+        tleArr: TLE,
+        /** Passes in chronological order. */
+        passes: Pass[]
+    }
+
+    /**
+     * Finds every satellite that rises above minElevation for an observer over a time window, with
+     * its passes.  Satellites are sorted by the start of their first pass.
+     */
+    export function getVisibleSatellitesBetween(
+        input: VisibleSatellitesBetweenInput & { includeSkipped: true }
+    ): { visible: SatellitePasses[], skipped: SkippedSatellite[] };
+    export function getVisibleSatellitesBetween(
+        input: VisibleSatellitesBetweenInput
+    ): SatellitePasses[];
+
+    export interface Vector3 {
+        x: Kilometers,
+        y: Kilometers,
+        z: Kilometers
+    }
+
+    /**
+     * Reference frame of a state vector.  "ITRF" is an alias of "ECEF" and "J2000" and "EME2000"
+     * are aliases of "GCRF".
+     */
+    export type Frame = 'TEME' | 'ECEF' | 'ITRF' | 'GCRF' | 'J2000' | 'EME2000';
+
+    export interface StateVectorOptions {
+        /** Defaults to "TEME". */
+        frame?: Frame
+    }
+
+    export interface StateVector {
+        frame: 'TEME' | 'ECEF' | 'GCRF',
+        timeMS: Milliseconds,
+        position: Vector3,
+        /** Kilometers per second. */
+        velocity: {
+            x: number,
+            y: number,
+            z: number
+        }
+    }
+
+    /**
+     * Determines a satellite's position and velocity in TEME (native SGP4), ECEF/ITRF or
+     * GCRF/J2000 (IAU 1976 precession and IAU 1980 nutation).
+     *
+     * @param tle Input TLE.
+     * @param timeMS Unix timestamp in milliseconds.  Defaults to now.
+     */
+    export function getStateVector(tle: TLE, timeMS?: Milliseconds, options?: StateVectorOptions): StateVector;
+
+    export interface ConjunctionScreeningInput {
+        /** TLEs of the satellites to protect. */
+        primaries: TLE[],
+        /** TLEs to check the primaries against.  Defaults to the primaries themselves. */
+        secondaries?: TLE[],
+        /** Defaults to now. */
+        startTimeMS?: Milliseconds,
+        /** Defaults to one day after startTimeMS. */
+        endTimeMS?: Milliseconds,
+        /** Maximum miss distance to report.  Defaults to 5 km. */
+        thresholdKm?: Kilometers,
+        /**
+         * Sampling resolution.  Must be greater than 0.  Defaults to 1/90th of the shortest orbit,
+         * capped at one minute.
+         */
+        stepMS?: Milliseconds
+    }
+
+    export interface ConjunctionObject {
+        name: string,
+        catalogNumber: number
+    }
+
+    export interface Conjunction {
+        primary: ConjunctionObject,
+        secondary: ConjunctionObject,
+        /** Time of closest approach. */
+        tcaMS: Timestamp,
+        missDistance: Kilometers,
+        relativeVelocity: KilometersPerSecond,
+        /** Offset of the secondary from the primary, in the primary's radial direction. */
+        radial: Kilometers,
+        /** Offset of the secondary from the primary, in the primary's in-track direction. */
+        inTrack: Kilometers,
+        /** Offset of the secondary from the primary, in the primary's cross-track direction. */
+        crossTrack: Kilometers
+    }
+
+    /**
+     * Screens satellites for close approaches within a time window, sorted by time of closest
+     * approach.  Pairs whose altitude ranges don't overlap are skipped without propagating them.
+     */
+    export function screenConjunctions(input: ConjunctionScreeningInput): Conjunction[];
+
+    export interface ExportOptions {
+        /** Unix timestamp in milliseconds.  Defaults to now. */
+        start?: Timestamp,
+        /** Unix timestamp in milliseconds.  Defaults to one orbit of the slowest satellite after start. */
+        end?: Timestamp,
+        /** Time between position samples.  Must be greater than 0.  Defaults to 60000. */
+        stepMS?: Milliseconds
+    }
+
+    /**
+     * Generates a CZML document for Cesium, with a packet of sampled Earth-fixed positions (with
+     * Lagrange interpolation hints), a label, a point, a path and availability per satellite.
+     */
+    export function toCZML(tles: TLE[], options?: ExportOptions): object[];
+
+    /**
+     * Generates a KML document for Google Earth, with a time-stamped track placemark per satellite.
+     */
+    export function toKML(tles: TLE[], options?: ExportOptions): string;
+
+    export interface FootprintOptions {
+        /** Minimum elevation above the horizon.  Defaults to 0. */
+        minElevation?: Degrees,
+        /** Number of points on the footprint's edge.  Defaults to 90. */
+        points?: number
+    }
+
+    export interface Footprint {
+        type: 'Feature',
+        geometry: {
+            type: 'Polygon',
+            coordinates: LngLat[][]
+        } | {
+            type: 'MultiPolygon',
+            coordinates: LngLat[][][]
+        },
+        properties: {
+            /** Footprint radius along the ground. */
+            radius: Kilometers,
+            lng: LongitudeDegrees,
+            lat: LatitudeDegrees,
+            height: Kilometers,
+            minElevation: Degrees,
+            timeMS: Timestamp
+        }
+    }
+
+    /**
+     * Determines a satellite's coverage footprint (the ground area where it is at least
+     * minElevation above the horizon) as a GeoJSON Feature.  Footprints crossing the antemeridian
+     * are split into a MultiPolygon, and footprints covering a pole are closed along it.
+     *
+     * @param tle Input TLE.
+     * @param timeMS Unix timestamp in milliseconds.  Defaults to now.
+     */
+    export function getFootprint(tle: TLE, timeMS?: Milliseconds, options?: FootprintOptions): Footprint;
+
+    export interface AccessWindowsInput {
+        tle: TLE,
+        /** GeoJSON Polygon or MultiPolygon, or a Feature with one. */
+        polygon: object,
+        /** Defaults to now. */
+        startTimeMS?: Timestamp,
+        /** Defaults to one day after startTimeMS. */
+        endTimeMS?: Timestamp,
+        /** Elevation above which the satellite sees the ground.  Defaults to 0. */
+        minElevation?: Degrees,
+        /** Sensor half angle, or maximum off-nadir angle.  Used instead of minElevation. */
+        sensorHalfAngle?: Degrees,
+        /**
+         * Coarse sampling resolution.  Must be greater than 0.  Defaults to 1/90th of an orbit,
+         * capped at one minute.
+         */
+        stepMS?: Milliseconds
+    }
+
+    export interface AccessWindow {
+        startMS: Timestamp,
+        endMS: Timestamp,
+        durationMS: Milliseconds,
+        /** True when the window is clipped by the start or end of the search window. */
+        isPartial: boolean
+    }
+
+    export interface AccessWindows {
+        windows: AccessWindow[],
+        /** Mean gap between consecutive windows, or null with fewer than two windows. */
+        meanGapMS: Milliseconds | null,
+        /** Longest gap between consecutive windows, or null with fewer than two windows. */
+        maxGapMS: Milliseconds | null
+    }
+
+    /**
+     * Finds the time windows when a satellite can see any part of an area on the ground, with
+     * revisit statistics.
+     */
+    export function getAccessWindows(input: AccessWindowsInput): AccessWindows;
+
+    export type CatalogField = 'position' | 'velocity' | 'lngLatAlt';
+
+    export interface PropagateCatalogOptions {
+        /** Fields to output.  Defaults to all of them. */
+        fields?: CatalogField[]
+    }
+
+    export interface PropagatedCatalog {
+        satelliteCount: number,
+        timeCount: number,
+        timesMS: Float64Array,
+        /** ECI (TEME) position in km.  3 components per satellite and time, ordered by time. */
+        position?: Float64Array,
+        /** ECI (TEME) velocity in km/s.  3 components per satellite and time, ordered by time. */
+        velocity?: Float64Array,
+        /** Longitude, latitude (degrees) and altitude (km), ordered by time. */
+        lngLatAlt?: Float64Array,
+        /** 0 on success, the SGP4 error code (1-6) or -1 for unreadable TLEs. */
+        errorCodes: Int8Array
+    }
+
+    /**
+     * Propagates many satellites to many times at once, writing the results into typed arrays.
+     * The values for satellite `s` at time `t` start at `(t * satelliteCount + s) * 3`.
+     *
+     * @param tles Input TLEs.
+     * @param timesMS Unix timestamps in milliseconds, or a single timestamp.
+     */
+    export function propagateCatalog(
+        tles: TLE[],
+        timesMS: Timestamp[] | Float64Array | Timestamp,
+        options?: PropagateCatalogOptions
+    ): PropagatedCatalog;
+
+    /** A browser Web Worker, a Node `worker_threads` Worker or anything with the same messaging API. */
+    export interface PoolWorker {
+        postMessage(message: any, transfer?: any[]): void,
+        terminate(): void
+    }
+
+    export interface WorkerPoolOptions {
+        /** Creates a worker running a script that calls exposeWorker(). */
+        createWorker: () => PoolWorker,
+        /**
+         * Number of workers.  In Node before 21, where `navigator.hardwareConcurrency` is missing,
+         * pass `os.availableParallelism()` or `os.cpus().length`.
+         * @default navigator.hardwareConcurrency, or 4 where it's unavailable.
+         */
+        size?: number
+    }
+
+    export interface PoolPassesInput extends Omit<PassesInput, 'tle'> {
+        tles: TLE[]
+    }
+
+    export interface WorkerPool {
+        size: number,
+        propagateCatalog(
+            tles: TLE[],
+            timesMS: Timestamp[] | Float64Array | Timestamp,
+            options?: PropagateCatalogOptions
+        ): Promise<PropagatedCatalog>,
+        getGroundTrackGeoJSON(input: GroundTrackGeoJSONInput): Promise<GroundTrackFeatureCollection>,
+        /** The passes of each TLE, in the same order. */
+        getPasses(input: PoolPassesInput): Promise<Pass[][]>,
+        terminate(): void
+    }
+
+    /**
+     * Creates a pool of workers (browser Web Workers or Node `worker_threads`) that splits
+     * catalog-wide computations across CPU cores.  Each worker's script must call exposeWorker().
+     */
+    export function createWorkerPool(options: WorkerPoolOptions): WorkerPool;
+
+    /**
+     * Runs jobs sent by a worker pool.  Call it from the worker's script with `self` in browsers,
+     * or with `parentPort` from `worker_threads` in Node.
+     */
+    export function exposeWorker(port: any): void;
+
+    export interface SatellitePosition {
+        /** ECI (TEME) position in km. */
+        position: Vector3,
+        /** ECI (TEME) velocity in km/s. */
+        velocity: Vector3,
+        lng: LongitudeDegrees,
+        lat: LatitudeDegrees,
+        height: Kilometers
+    }
+
+    export interface LookAngles {
+        azimuth: Degrees,
+        elevation: Degrees,
+        range: Kilometers
+    }
+
+    /**
+     * Satellite handle from createSatellite(), with every TLE getter called without the TLE.
+     */
+    export interface Satellite {
+        tle: ParsedTLE,
+        /** SGP4 satellite record (see satellite.js). */
+        satrec: any,
+        propagate(timeMS?: Timestamp): SatellitePosition,
+        lookAngles(observer: Observer, timeMS?: Timestamp): LookAngles,
+
+        getBstarDrag(): BSTARDragOutput,
+        getCatalogNumber(): number,
+        getCatalogNumber1(): number,
+        getChecksum1(): number,
+        getClassification(): SatelliteClassification,
+        getEpochDay(): number,
+        getEpochYear(): number,
+        getFirstTimeDerivative(): FirstTimeDerivativeOutput,
+        getIntDesignatorLaunchNumber(): number,
+        getIntDesignatorPieceOfLaunch(): string,
+        getIntDesignatorYear(): number,
+        getLineNumber1(): number,
+        getOrbitModel(): number,
+        getRawCatalogNumber(): string,
+        getRawCatalogNumber1(): string,
+        getSecondTimeDerivative(): SecondTimeDerivativeOutput,
+        getTleSetNumber(): number,
+        getCatalogNumber2(): number,
+        getChecksum2(): number,
+        getEccentricity(): number,
+        getInclination(): Degrees,
+        getLineNumber2(): number,
+        getMeanAnomaly(): Degrees,
+        getMeanMotion(): number,
+        getPerigee(): Degrees,
+        getRawCatalogNumber2(): string,
+        getRevNumberAtEpoch(): number,
+        getRightAscension(): Degrees,
+        getCOSPAR(): string,
+        getSatelliteName(fallbackToCOSPAR?: boolean): string,
+        getEpochTimestamp(): Timestamp,
+        getAverageOrbitTimeMS(): Milliseconds,
+        getAverageOrbitTimeMins(): Minutes,
+        getAverageOrbitTimeS(): Seconds,
+        getSemiMajorAxis(): Kilometers,
+        getApogeeAltitude(): Kilometers,
+        getPerigeeAltitude(): Kilometers,
+        getSpecificOrbitalEnergy(): number,
+        getNodalPrecessionRate(): Degrees,
+        getArgOfPerigeeDriftRate(): Degrees,
+        getOrbitRegime(): OrbitRegime
+    }
+
+    /**
+     * Creates a handle for a satellite, which parses its TLE and initializes SGP4 once up front,
+     * for use in hot loops.
+     */
+    export function createSatellite(tle: TLE): Satellite;
+
+    /**
+     * Error thrown when a satellite can't be propagated.
+     */
+    export class TLEPropagationError extends Error {
+        /** SGP4 error code (1-6, see satellite.js), or -1 when the TLE can't be read at all. */
+        code: number;
+        /** The offending TLE. */
+        tle: any;
+        constructor(message: string, details?: { code?: number, tle?: any });
+    }
+
+    export type PropagationResult<T> =
+        | { ok: true, value: T }
+        | { ok: false, error: { code: number, message: string, tle: any } };
+
+    /**
+     * Wraps a propagation function so it returns a result object instead of throwing a
+     * TLEPropagationError.  Other errors are still thrown.
+     */
+    export function withErrorResults<Args extends any[], T>(
+        fn: (...args: Args) => Promise<T>
+    ): (...args: Args) => Promise<PropagationResult<T>>;
+    export function withErrorResults<Args extends any[], T>(
+        fn: (...args: Args) => T
+    ): (...args: Args) => PropagationResult<T>;
+
+    export interface SunPosition {
+        /** Earth-centered inertial position. */
+        position: Vector3,
+        rightAscension: Degrees,
+        declination: Degrees,
+        distance: Kilometers
+    }
+
+    /**
+     * Determines the Sun's position at a time (low precision solar ephemeris, ~0.01 degrees).
+     * 
+     * @param timeMS Unix timestamp in milliseconds.  Defaults to now.
+     */
+    export function getSunPosition(timeMS?: Milliseconds): SunPosition;
+
+    export type EclipseStateName = 'sunlit' | 'penumbra' | 'umbra';
+
+    export interface EclipseState {
+        state: EclipseStateName,
+        /** Fraction of the Sun's disk hidden by the Earth, from 0 (sunlit) to 1 (umbra). */
+        shadowFraction: number
+    }
+
+    /**
+     * Determines whether a satellite is sunlit, in the Earth's penumbra or in its umbra.
+     * 
+     * @param tle Input TLE.
+     * @param timeMS Unix timestamp in milliseconds.  Defaults to now.
+     */
+    export function getEclipseState(tle: TLE, timeMS?: Milliseconds): EclipseState;
+
+    export interface EclipsesInput {
+        tle: TLE,
+        /** Defaults to now. */
+        startTimeMS?: Milliseconds,
+        /** Defaults to one day after startTimeMS. */
+        endTimeMS?: Milliseconds,
+        /**
+         * Coarse sampling resolution.  Must be greater than 0.  Defaults to 1/90th of an orbit,
+         * capped at one minute.
+         */
+        stepMS?: Milliseconds
+    }
+
+    export interface Eclipse {
+        /** Penumbra entry. */
+        startMS: Milliseconds,
+        /** Umbra entry, or null when only the penumbra is crossed. */
+        umbraStartMS: Milliseconds | null,
+        umbraEndMS: Milliseconds | null,
+        /** Penumbra exit. */
+        endMS: Milliseconds,
+        durationMS: Milliseconds,
+        umbraDurationMS: Milliseconds,
+        /** True when the eclipse was clipped by the start or end of the time window. */
+        isPartial: boolean
+    }
+
+    /**
+     * Finds the eclipses (shadow entry and exit times) of a satellite within a time window.
+     */
+    export function getEclipses(input: EclipsesInput): Eclipse[];
 
     /**
      * BSTAR drag term. This estimates the effects of atmospheric drag on the satellite's motion.
@@ -347,9 +1189,10 @@ declare module 'tle.js' {
     export function getBstarDrag(tle: TLE, isTLEParsed?: boolean): BSTARDragOutput;
 
     /**
-     * Returns the Space Catalog Number (aka NORAD Catalog Number).
+     * Returns the Space Catalog Number (aka NORAD Catalog Number).  Alpha-5 catalog numbers are
+     * decoded (e.g. "A0001" returns 100001).
      * See https://en.wikipedia.org/wiki/Satellite_Catalog_Number
-     * Output range: 0 to 99999
+     * Output range: 0 to 339999
      * 
      * @param tle Input TLE.
      * @param isTLEParsed Bypasses TLE parsing when true.
@@ -362,8 +1205,9 @@ declare module 'tle.js' {
 
     /**
      * Returns the Space Catalog Number (aka NORAD Catalog Number) from the first line of the TLE.
+     * Alpha-5 catalog numbers are decoded (e.g. "A0001" returns 100001).
      * See https://en.wikipedia.org/wiki/Satellite_Catalog_Number
-     * Output range: 0 to 99999
+     * Output range: 0 to 339999
      * 
      * @param tle Input TLE.
      * @param isTLEParsed Bypasses TLE parsing when true.
@@ -374,6 +1218,31 @@ declare module 'tle.js' {
      */
     export function getCatalogNumber1(tle: TLE, isTLEParsed?: boolean): number;
 
+    /**
+     * Returns the Space Catalog Number exactly as written in the TLE, preserving the Alpha-5 form.
+     * 
+     * @param tle Input TLE.
+     * @param isTLEParsed Bypasses TLE parsing when true.
+     * 
+     * @example
+     * getRawCatalogNumber('1 A0001U 98067A   17206.18396726 ...');
+     * "A0001"
+     */
+    export function getRawCatalogNumber(tle: TLE, isTLEParsed?: boolean): string;
+
+    /**
+     * Returns the Space Catalog Number exactly as written in the first line of the TLE, preserving
+     * the Alpha-5 form.
+     * 
+     * @param tle Input TLE.
+     * @param isTLEParsed Bypasses TLE parsing when true.
+     * 
+     * @example
+     * getRawCatalogNumber1('1 A0001U 98067A   17206.18396726 ...');
+     * "A0001"
+     */
+    export function getRawCatalogNumber1(tle: TLE, isTLEParsed?: boolean): string;
+
     /**
      * TLE line 1 checksum (modulo 10), for verifying the integrity of this line of the TLE. Note that
      * letters, blanks, periods, and plus signs are counted as 0, while minus signs are counted as 1.
@@ -553,8 +1422,9 @@ declare module 'tle.js' {
 
     /**
      * Returns the Space Catalog Number (aka NORAD Catalog Number) from the second line of the TLE.
+     * Alpha-5 catalog numbers are decoded (e.g. "A0001" returns 100001).
      * See https://en.wikipedia.org/wiki/Satellite_Catalog_Number
-     * Output range: 0 to 99999
+     * Output range: 0 to 339999
      * 
      * @param tle Input TLE.
      * @param isTLEParsed Bypasses TLE parsing when true.
@@ -565,6 +1435,19 @@ declare module 'tle.js' {
      */
     export function getCatalogNumber2(tle: TLE, isTLEParsed?: boolean): number;
 
+    /**
+     * Returns the Space Catalog Number exactly as written in the second line of the TLE, preserving
+     * the Alpha-5 form.
+     * 
+     * @param tle Input TLE.
+     * @param isTLEParsed Bypasses TLE parsing when true.
+     * 
+     * @example
+     * getRawCatalogNumber2('2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660');
+     * "25544"
+     */
+    export function getRawCatalogNumber2(tle: TLE, isTLEParsed?: boolean): string;
+
     /**
      * TLE line 2 checksum (modulo 10), for verifying the integrity of this line of the TLE. Note that
      * letters, blanks, periods, and plus signs are counted as 0, while minus signs are counted as 1.
@@ -760,6 +1643,87 @@ declare module 'tle.js' {
      */
     export function getAverageOrbitTimeS(tle: TLE): Seconds;
 
+    /**
+     * Determines the semi-major axis, recovered ("un-Kozai'd") from the TLE's mean motion the same
+     * way SGP4 does.
+     * 
+     * @param tle Input TLE.
+     * 
+     * @example
+     * getSemiMajorAxis('1 25544U 98067A   17206.51418 ...');
+     * 6783.045513036023
+     */
+    export function getSemiMajorAxis(tle: TLE): Kilometers;
+
+    /**
+     * Determines the altitude of the apogee above the Earth's equatorial radius.
+     * 
+     * @param tle Input TLE.
+     * 
+     * @example
+     * getApogeeAltitude('1 25544U 98067A   17206.51418 ...');
+     * 409.19336288660816
+     */
+    export function getApogeeAltitude(tle: TLE): Kilometers;
+
+    /**
+     * Determines the altitude of the perigee above the Earth's equatorial radius.
+     * 
+     * @param tle Input TLE.
+     * 
+     * @example
+     * getPerigeeAltitude('1 25544U 98067A   17206.51418 ...');
+     * 400.623663185439
+     */
+    export function getPerigeeAltitude(tle: TLE): Kilometers;
+
+    /**
+     * Determines the specific orbital energy in km²/s² (negative for bound orbits).
+     * 
+     * @param tle Input TLE.
+     * 
+     * @example
+     * getSpecificOrbitalEnergy('1 25544U 98067A   17206.51418 ...');
+     * -29.382118934182884
+     */
+    export function getSpecificOrbitalEnergy(tle: TLE): number;
+
+    /**
+     * Determines the J2 nodal precession rate in degrees per day (negative is westward).
+     * 
+     * @param tle Input TLE.
+     * 
+     * @example
+     * getNodalPrecessionRate('1 25544U 98067A   17206.51418 ...');
+     * -4.98528748508122
+     */
+    export function getNodalPrecessionRate(tle: TLE): Degrees;
+
+    /**
+     * Determines the J2 argument of perigee drift rate in degrees per day.
+     * 
+     * @param tle Input TLE.
+     * 
+     * @example
+     * getArgOfPerigeeDriftRate('1 25544U 98067A   17206.51418 ...');
+     * 3.7181769549671726
+     */
+    export function getArgOfPerigeeDriftRate(tle: TLE): Degrees;
+
+    export type OrbitRegime = 'LEO' | 'MEO' | 'GEO' | 'GSO' | 'HEO' | 'Molniya' | 'SSO';
+
+    /**
+     * Classifies an orbit as GEO, GSO (other geosynchronous orbits, e.g. inclined), Molniya, HEO
+     * (highly eccentric), SSO (Sun-synchronous LEO), LEO or MEO, checked in that order.
+     * 
+     * @param tle Input TLE.
+     * 
+     * @example
+     * getOrbitRegime('1 25544U 98067A   17206.51418 ...');
+     * "LEO"
+     */
+    export function getOrbitRegime(tle: TLE): OrbitRegime;
+
     /**
      * Converts string and array TLE formats into a parsed TLE in a consistent object format.
      * Accepts 2 and 3-line (with satellite name) TLE variants in string (\n-delimited) and array
@@ -769,6 +1733,140 @@ declare module 'tle.js' {
      */
     export function parseTLE(tle: TLE): ParsedTLE;
 
+    export interface TLECatalogError {
+        /** 1-based line number of the first line of the bad entry. */
+        lineNumber: number,
+        /** Lines of the bad entry. */
+        lines: string[],
+        message: string
+    }
+
+    export interface TLECatalog {
+        tles: ParsedTLE[],
+        errors: TLECatalogError[]
+    }
+
+    /**
+     * Parses a multi-object TLE file with mixed 2-line and 3-line entries, blank lines, CRLF line
+     * endings and "0 " name prefixes.  Bad entries are collected in `errors` instead of aborting.
+     * 
+     * @param text Contents of a TLE file.
+     */
+    export function parseTLECatalog(text: string): TLECatalog;
+
+    /**
+     * Converts a CCSDS Orbit Mean-Elements Message (OMM) in JSON, XML or KVN format into a parsed TLE,
+     * which can be used with every getter and SGP4 helper.  Returns an array when the input holds more
+     * than one record.  Throws when required fields are missing or malformed.
+     * 
+     * @param omm OMM text (JSON, XML or KVN), or parsed OMM JSON.
+     */
+    export function parseOMM(omm: string | OMMRecord): ParsedTLE;
+    export function parseOMM(omm: OMMRecord[]): ParsedTLE | ParsedTLE[];
+
+    /**
+     * Orbital elements used to build a TLE with `createTLE()`.  Names match the getters.  The epoch
+     * is given either as `epoch` or as `epochYear` and `epochDay`.
+     */
+    export interface CreateTLEInput {
+        name?: string,
+        catalogNumber: number,
+        classification?: 'U' | 'C' | 'S',
+        /** COSPAR id, e.g. "1998-067A".  Alternative to the intDesignator* parts. */
+        cospar?: string,
+        intDesignatorYear?: number,
+        intDesignatorLaunchNumber?: number,
+        intDesignatorPieceOfLaunch?: string,
+        /** Unix timestamp in milliseconds, or a Date. */
+        epoch?: Milliseconds | Date,
+        /** Four digit year. */
+        epochYear?: number,
+        epochDay?: number,
+        firstTimeDerivative?: number,
+        secondTimeDerivative?: number,
+        bstarDrag?: number,
+        orbitModel?: number,
+        tleSetNumber?: number,
+        inclination: Degrees,
+        rightAscension: Degrees,
+        eccentricity: number,
+        perigee: Degrees,
+        meanAnomaly: Degrees,
+        meanMotion: number,
+        revNumberAtEpoch?: number
+    }
+
+    /**
+     * Builds a valid TLE from orbital elements, with fixed-width columns, exponent notations and
+     * checksums.  Throws when required elements are missing or out of range.
+     * 
+     * @param elements Orbital elements.
+     * 
+     * @example
+     * createTLE({ catalogNumber: 25544, cospar: '1998-067A', epoch: 1500956694771, ... });
+     * {
+     *   tle: [
+     *     '1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993',
+     *     '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660'
+     *   ]
+     * }
+     */
+    export function createTLE(elements: CreateTLEInput): ParsedTLE;
+
+    /**
+     * Converts a TLE into newline-delimited text.
+     * 
+     * @param tle Input TLE.
+     * @param includeName Includes the satellite name line when available.  Defaults to true.
+     */
+    export function formatTLE(tle: TLE, includeName?: boolean): string;
+
+    /**
+     * Determines if an input is an OMM in JSON, XML or KVN format.
+     * 
+     * @param input Input to check.
+     */
+    export function isOMM(input: any): boolean;
+
+    export type TLEIssueCode = 'PARSE' | 'LINE_COUNT' | 'LINE_LENGTH' | 'LINE_NUMBER' | 'CHECKSUM' |
+        'CATALOG_NUMBER_MISMATCH' | 'ILLEGAL_CHARACTER' | 'OUT_OF_RANGE' | 'EPOCH';
+
+    export interface TLEIssue {
+        code: TLEIssueCode,
+        /** Warnings (e.g. an old epoch) don't make the TLE invalid. */
+        severity: 'error' | 'warning',
+        line: 1 | 2 | null,
+        /** Field name, as in line-1-definitions.js and line-2-definitions.js. */
+        field: string | null,
+        /** Start and end columns, 1-based and inclusive. */
+        columns: [number, number] | null,
+        expected: any,
+        actual: any,
+        message: string
+    }
+
+    export interface TLEValidationResult {
+        isValid: boolean,
+        issues: TLEIssue[]
+    }
+
+    export interface ValidateTLEOptions {
+        /** Reference time for epoch checks.  Defaults to now. */
+        timeMS?: Milliseconds,
+        /** Epochs older than this get a warning.  Defaults to 30. */
+        maxEpochAgeDays?: number
+    }
+
+    /**
+     * Validates a TLE and reports every issue found (line length, line numbers, checksums, illegal
+     * characters, catalog number mismatch, element ranges and epoch sanity), with the field and
+     * columns each was found in.
+     * 
+     * @param tle Input TLE.
+     * @param options Epoch check options.
+     */
+    export function validateTLE(tle: TLE, options?: ValidateTLEOptions): TLEValidationResult;
+
     /**
      * Determines if a TLE is structurally valid.
      * 
@@ -793,6 +1891,30 @@ declare module 'tle.js' {
      * Clears the TLE parse cache, which may be useful for long-running app.s
      */
     export function clearTLEParseCache(): undefined;
+
+    /**
+     * Converts a 5-character TLE catalog number to a number, including Alpha-5 catalog numbers.
+     * See https://www.space-track.org/documentation#tle-alpha5
+     * 
+     * @param catalogNumber Catalog number as written in a TLE.
+     * 
+     * @example
+     * decodeAlpha5('A0001');
+     * 100001
+     */
+    export function decodeAlpha5(catalogNumber: string): number;
+
+    /**
+     * Converts a catalog number to its 5-character TLE form, using Alpha-5 above 99999.  Throws for
+     * catalog numbers above 339999, which can't be represented in a TLE.
+     * 
+     * @param catalogNumber Catalog number.
+     * 
+     * @example
+     * encodeAlpha5(100001);
+     * 'A0001'
+     */
+    export function encodeAlpha5(catalogNumber: number): string;
 }
 
 
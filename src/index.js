@@ -12,6 +12,23 @@ export {
 	getSatelliteInfo,
 	getVisibleSatellites
 } from "./sgp4";
+export { configureCache, getCacheStats } from "./cache";
+export { getPasses, getDopplerCurve } from "./passes";
+export { getVisibleSatellitesBetween } from "./visibility";
+export { parseHorizonMask } from "./horizon-mask";
+export { getApparentElevation, getGeometricElevation } from "./refraction";
+export { getSunPosition } from "./sun";
+export { getEclipseState, getEclipses } from "./eclipse";
+export { getStateVector } from "./frames";
+export { screenConjunctions } from "./conjunctions";
+export { getGroundTrackGeoJSON } from "./geojson";
+export { toCZML, toKML } from "./exporters";
+export { getFootprint } from "./footprint";
+export { getAccessWindows } from "./access";
+export { propagateCatalog } from "./batch";
+export { createWorkerPool, exposeWorker } from "./workers";
+export { createSatellite } from "./satellite-handle";
+export { TLEPropagationError, withErrorResults } from "./errors";
 export {
 	getBstarDrag,
 	getCatalogNumber1 as getCatalogNumber,
@@ -26,6 +43,8 @@ export {
 	getIntDesignatorYear,
 	getLineNumber1,
 	getOrbitModel,
+	getRawCatalogNumber1 as getRawCatalogNumber,
+	getRawCatalogNumber1,
 	getSecondTimeDerivative,
 	getTleSetNumber
 } from "./line-1-getters";
@@ -38,6 +57,7 @@ export {
 	getMeanAnomaly,
 	getMeanMotion,
 	getPerigee,
+	getRawCatalogNumber2,
 	getRevNumberAtEpoch,
 	getRightAscension
 } from "./line-2-getters";
@@ -47,6 +67,24 @@ export {
 	getEpochTimestamp,
 	getAverageOrbitTimeMS,
 	getAverageOrbitTimeMins,
-	getAverageOrbitTimeS
+	getAverageOrbitTimeS,
+	getSemiMajorAxis,
+	getApogeeAltitude,
+	getPerigeeAltitude,
+	getSpecificOrbitalEnergy,
+	getNodalPrecessionRate,
+	getArgOfPerigeeDriftRate,
+	getOrbitRegime
 } from "./sugar-getters";
-export { parseTLE, isValidTLE, computeChecksum, clearTLEParseCache } from "./parsing";
+export {
+	parseTLE,
+	isValidTLE,
+	computeChecksum,
+	clearTLEParseCache,
+	formatTLE,
+	parseTLECatalog
+} from "./parsing";
+export { createTLE } from "./formatting";
+export { validateTLE } from "./validation";
+export { decodeAlpha5, encodeAlpha5 } from "./utils";
+export { parseOMM, isOMM } from "./omm";
@@ -15,17 +15,18 @@ export const lineNumber1 = {
 /**
  * NORAD satellite catalog number (e.g. Sputnik's rocket was number 00001).
  * See https://en.wikipedia.org/wiki/Satellite_Catalog_Number
- * 
- * NOTE: This will not handle Alpha-5 satellites.
+ *
+ * Catalog numbers above 99999 use the Alpha-5 scheme, where the first digit is replaced with a
+ * letter (e.g. 'A0001' = 100001).
  * See https://www.space-track.org/documentation#tle-alpha5
  *
- * Range: 0 to 99999
+ * Range: 0 to 339999
  * Example: 25544
  */
 export const catalogNumber1 = {
 	start: 2,
 	length: 5,
-	type: _TLE_DATA_TYPES._INT
+	type: _TLE_DATA_TYPES._ALPHA5
 };
 
 /**
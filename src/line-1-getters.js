@@ -15,6 +15,7 @@ import {
 	secondTimeDerivative,
 	tleSetNumber
 } from "./line-1-definitions";
+import { _TLE_DATA_TYPES } from "./constants";
 import { getFromTLE } from "./utils";
 
 /**
@@ -41,7 +42,8 @@ export function getLineNumber1(tle, isTLEParsed) {
 }
 
 /**
- * Returns the Space Catalog Number (aka NORAD Catalog Number).
+ * Returns the Space Catalog Number (aka NORAD Catalog Number).  Alpha-5 catalog numbers are
+ * decoded (e.g. `A0001` returns 100001).
  * See https://en.wikipedia.org/wiki/Satellite_Catalog_Number
  *
  * @param {String|Array} tle Two or three line TLE
@@ -51,6 +53,21 @@ export function getCatalogNumber1(tle, isTLEParsed) {
 	return getFromLine1(tle, catalogNumber1, isTLEParsed);
 }
 
+/**
+ * Returns the Space Catalog Number exactly as written in the first line of the TLE, which is
+ * useful for preserving the Alpha-5 form (e.g. `A0001`).
+ *
+ * @param {String|Array} tle Two or three line TLE
+ * @param {Boolean} isTLEParsed Skips TLE parsing when true.
+ */
+export function getRawCatalogNumber1(tle, isTLEParsed) {
+	return getFromLine1(
+		tle,
+		{ ...catalogNumber1, type: _TLE_DATA_TYPES._CHAR },
+		isTLEParsed
+	);
+}
+
 /**
  * Returns the satellite classification.  For example, an unclassified satellite will return `U`.
  *
@@ -14,15 +14,15 @@ export const lineNumber2 = {
 
 /**
  * NORAD satellite catalog number (Sputnik's rocket was 00001).  Should match the satellite
- * number on line 1.
+ * number on line 1.  Catalog numbers above 99999 use the Alpha-5 scheme (e.g. 'A0001' = 100001).
  *
- * Range: 0 to 99999
+ * Range: 0 to 339999
  * Example: 25544
  */
 export const catalogNumber2 = {
 	start: 2,
 	length: 5,
-	type: _TLE_DATA_TYPES._INT
+	type: _TLE_DATA_TYPES._ALPHA5
 };
 
 /**
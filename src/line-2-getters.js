@@ -11,6 +11,7 @@ import {
 	revNumberAtEpoch,
 	rightAscension
 } from "./line-2-definitions";
+import { _TLE_DATA_TYPES } from "./constants";
 import { getFromTLE } from "./utils";
 
 /**
@@ -37,7 +38,9 @@ export function getLineNumber2(tle, isTLEParsed) {
 }
 
 /**
- * Returns the line number from line 1.  Should always return "1" for valid TLEs.
+ * Returns the Space Catalog Number (aka NORAD Catalog Number) from the second line of the TLE.
+ * Alpha-5 catalog numbers are decoded (e.g. `A0001` returns 100001).
+ * See https://en.wikipedia.org/wiki/Satellite_Catalog_Number
  *
  * @param {String|Array} tle Two or three line TLE
  * @param {Boolean} isTLEParsed Skips TLE parsing when true.
@@ -46,6 +49,21 @@ export function getCatalogNumber2(tle, isTLEParsed) {
 	return getFromLine2(tle, catalogNumber2, isTLEParsed);
 }
 
+/**
+ * Returns the Space Catalog Number exactly as written in the second line of the TLE, which is
+ * useful for preserving the Alpha-5 form (e.g. `A0001`).
+ *
+ * @param {String|Array} tle Two or three line TLE
+ * @param {Boolean} isTLEParsed Skips TLE parsing when true.
+ */
+export function getRawCatalogNumber2(tle, isTLEParsed) {
+	return getFromLine2(
+		tle,
+		{ ...catalogNumber2, type: _TLE_DATA_TYPES._CHAR },
+		isTLEParsed
+	);
+}
+
 /**
  * Returns the inclination relative to the Earth's equatorial plane in degrees. 0 to 90 degrees is a
  * prograde orbit and 90 to 180 degrees is a retrograde orbit.
@@ -0,0 +1,334 @@
+import { _DATA_TYPES, _MS_IN_A_DAY } from "./constants";
+import { createTLE } from "./formatting";
+import { getType } from "./utils";
+
+/**
+ * CCSDS Orbit Mean-Elements Message (OMM) support.  OMM is the format CelesTrak and Space-Track
+ * publish GP (general perturbations) data in, carrying the same mean elements as a TLE.
+ * See https://celestrak.org/NORAD/documentation/gp-data-formats.php
+ */
+
+const _ERRORS = {
+	_UNKNOWN_FORMAT: "OMM must be JSON, XML or KVN.",
+	_EMPTY: "OMM input doesn't contain any records.",
+	_MISSING_FIELDS: fields =>
+		`OMM is missing required field(s): ${fields.join(", ")}.`,
+	_NOT_A_NUMBER: (field, val) => `OMM field ${field} must be a number, but got "${val}".`,
+	_BAD_EPOCH: val => `OMM EPOCH "${val}" is not a valid ISO 8601 date.`,
+	_BAD_THEORY: val =>
+		`OMM MEAN_ELEMENT_THEORY must be SGP4 to be used as a TLE, but got "${val}".`
+};
+
+export const _OMM_FORMATS = {
+	_JSON: "json",
+	_XML: "xml",
+	_KVN: "kvn"
+};
+
+// Fields needed to build a TLE.  Everything else falls back to a sensible default.
+const _REQUIRED_FIELDS = [
+	"EPOCH",
+	"MEAN_MOTION",
+	"ECCENTRICITY",
+	"INCLINATION",
+	"RA_OF_ASC_NODE",
+	"ARG_OF_PERICENTER",
+	"MEAN_ANOMALY",
+	"NORAD_CAT_ID"
+];
+
+const _NUMERIC_FIELDS = [
+	"MEAN_MOTION",
+	"ECCENTRICITY",
+	"INCLINATION",
+	"RA_OF_ASC_NODE",
+	"ARG_OF_PERICENTER",
+	"MEAN_ANOMALY",
+	"NORAD_CAT_ID",
+	"EPHEMERIS_TYPE",
+	"ELEMENT_SET_NO",
+	"REV_AT_EPOCH",
+	"BSTAR",
+	"MEAN_MOTION_DOT",
+	"MEAN_MOTION_DDOT"
+];
+
+const _XML_ENTITIES = {
+	"&amp;": "&",
+	"&lt;": "<",
+	"&gt;": ">",
+	"&quot;": '"',
+	"&apos;": "'"
+};
+
+const isOMMFieldObj = obj =>
+	getType(obj) === _DATA_TYPES._OBJECT &&
+	obj !== null &&
+	("NORAD_CAT_ID" in obj || "MEAN_MOTION" in obj);
+
+/**
+ * Determines which OMM encoding an input is in.  Returns `null` for anything that isn't an OMM
+ * (e.g. a TLE).
+ *
+ * @param {String|Object|Array} input
+ */
+export function getOMMFormat(input) {
+	const type = getType(input);
+
+	if (type === _DATA_TYPES._OBJECT) {
+		return isOMMFieldObj(input) ? _OMM_FORMATS._JSON : null;
+	}
+
+	if (type === _DATA_TYPES._ARRAY) {
+		return input.length > 0 && input.every(isOMMFieldObj)
+			? _OMM_FORMATS._JSON
+			: null;
+	}
+
+	if (type !== _DATA_TYPES._STRING) return null;
+
+	const str = input.trim();
+	if (str.startsWith("{") || str.startsWith("[")) return _OMM_FORMATS._JSON;
+	if (str.startsWith("<")) return _OMM_FORMATS._XML;
+	if (/^\s*(CCSDS_OMM_VERS|OBJECT_NAME|NORAD_CAT_ID)\s*=/m.test(str)) {
+		return _OMM_FORMATS._KVN;
+	}
+
+	return null;
+}
+
+/**
+ * Determines if an input is an OMM in any of the supported encodings.
+ */
+export const isOMM = input => getOMMFormat(input) !== null;
+
+/**
+ * Splits OMM JSON (a single object or an array, either as text or already parsed) into records.
+ */
+function parseJSONRecords(input) {
+	const json = getType(input) === _DATA_TYPES._STRING ? JSON.parse(input) : input;
+	return getType(json) === _DATA_TYPES._ARRAY ? json : [json];
+}
+
+/**
+ * Splits OMM XML into records, flattening each record's leaf elements into key/value pairs.
+ */
+function parseXMLRecords(str) {
+	const ommBlocks = str.match(/<(\w+:)?omm[\s>][\s\S]*?<\/(\w+:)?omm>/g) || [str];
+	const leafRegex = /<(?:\w+:)?([A-Z][A-Z0-9_]*)(?:\s[^>]*)?>([^<]*)<\/(?:\w+:)?\1>/g;
+
+	return ommBlocks.map(block => {
+		const record = {};
+		let match;
+		while ((match = leafRegex.exec(block)) !== null) {
+			const [, key, rawVal] = match;
+			record[key] = rawVal
+				.replace(/&(amp|lt|gt|quot|apos);/g, entity => _XML_ENTITIES[entity])
+				.trim();
+		}
+		return record;
+	});
+}
+
+/**
+ * Splits OMM KVN ("KEY = value [units]" lines) into records.  Each record starts with a
+ * CCSDS_OMM_VERS line.
+ */
+function parseKVNRecords(str) {
+	const records = [];
+	let record = {};
+
+	str.split(/\r?\n/).forEach(rawLine => {
+		const match = rawLine.trim().match(/^([A-Z][A-Z0-9_]*)\s*=\s*(.*)$/);
+		if (!match) return;
+
+		const [, key, rawVal] = match;
+		if (key === "CCSDS_OMM_VERS" && Object.keys(record).length > 0) {
+			records.push(record);
+			record = {};
+		}
+
+		// Strip trailing units, e.g. "15.50 [rev/day]".
+		record[key] = rawVal.replace(/\s*\[[^\]]*\]\s*$/, "").trim();
+	});
+
+	if (Object.keys(record).length > 0) {
+		records.push(record);
+	}
+
+	return records;
+}
+
+/**
+ * Converts an OMM EPOCH (ISO 8601, in calendar or day-of-year form) to a TLE epoch year and
+ * fractional day of the year.  Parsed by hand to keep the microsecond precision OMMs carry.
+ */
+function parseEpoch(epochStr) {
+	const match = String(epochStr)
+		.trim()
+		.match(
+			/^(\d{4})-(?:(\d{2})-(\d{2})|(\d{3}))T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)Z?$/
+		);
+
+	if (!match) {
+		throw new Error(_ERRORS._BAD_EPOCH(epochStr));
+	}
+
+	const [, yearStr, monthStr, dayStr, dayOfYearStr, hours, mins, secs] = match;
+	const year = parseInt(yearStr, 10);
+
+	let wholeDayOfYear;
+	if (dayOfYearStr) {
+		wholeDayOfYear = parseInt(dayOfYearStr, 10);
+	} else {
+		const dateMS = Date.UTC(year, parseInt(monthStr, 10) - 1, parseInt(dayStr, 10));
+		wholeDayOfYear = (dateMS - Date.UTC(year, 0, 1)) / _MS_IN_A_DAY + 1;
+	}
+
+	const secondsOfDay =
+		parseInt(hours, 10) * 3600 + parseInt(mins, 10) * 60 + parseFloat(secs);
+
+	return {
+		epochYear: year,
+		epochDay: wholeDayOfYear + secondsOfDay / 86400
+	};
+}
+
+/**
+ * Parses an OMM OBJECT_ID (COSPAR id, e.g. "1998-067A") into international designator parts.
+ * Returns an empty object for unknown designators, which leaves them blank in the TLE.
+ */
+function parseObjectId(objectId) {
+	const match = String(objectId || "")
+		.trim()
+		.match(/^(\d{4})-(\d{3})([A-Z]{1,3})$/);
+
+	if (!match) return {};
+
+	return {
+		intDesignatorYear: parseInt(match[1], 10),
+		intDesignatorLaunchNumber: parseInt(match[2], 10),
+		intDesignatorPieceOfLaunch: match[3]
+	};
+}
+
+/**
+ * Validates a single OMM record and converts it into a parsed TLE.
+ */
+function recordToParsedTLE(record) {
+	const missingFields = _REQUIRED_FIELDS.filter(
+		field => record[field] === undefined || record[field] === ""
+	);
+	if (missingFields.length > 0) {
+		throw new Error(_ERRORS._MISSING_FIELDS(missingFields));
+	}
+
+	const theory = record.MEAN_ELEMENT_THEORY;
+	if (theory && String(theory).trim().toUpperCase() !== "SGP4") {
+		throw new Error(_ERRORS._BAD_THEORY(theory));
+	}
+
+	const num = {};
+	_NUMERIC_FIELDS.forEach(field => {
+		const val = record[field];
+		if (val === undefined || val === "") return;
+
+		num[field] = Number(val);
+		if (!Number.isFinite(num[field])) {
+			throw new Error(_ERRORS._NOT_A_NUMBER(field, val));
+		}
+	});
+
+	// Missing optional fields are left undefined, so createTLE() fills in the defaults.
+	return createTLE({
+		name: record.OBJECT_NAME && String(record.OBJECT_NAME).trim(),
+		catalogNumber: num.NORAD_CAT_ID,
+		classification: record.CLASSIFICATION_TYPE
+			? String(record.CLASSIFICATION_TYPE).trim()
+			: undefined,
+		...parseObjectId(record.OBJECT_ID),
+		...parseEpoch(record.EPOCH),
+		firstTimeDerivative: num.MEAN_MOTION_DOT,
+		secondTimeDerivative: num.MEAN_MOTION_DDOT,
+		bstarDrag: num.BSTAR,
+		orbitModel: num.EPHEMERIS_TYPE,
+		tleSetNumber: num.ELEMENT_SET_NO,
+		inclination: num.INCLINATION,
+		rightAscension: num.RA_OF_ASC_NODE,
+		eccentricity: num.ECCENTRICITY,
+		perigee: num.ARG_OF_PERICENTER,
+		meanAnomaly: num.MEAN_ANOMALY,
+		meanMotion: num.MEAN_MOTION,
+		revNumberAtEpoch: num.REV_AT_EPOCH
+	});
+}
+
+/**
+ * Converts a CCSDS Orbit Mean-Elements Message (OMM) in JSON, XML or KVN format into the same
+ * "parsed" TLE object format returned by `parseTLE()`, so it can be used with every getter and
+ * SGP4 helper.  Returns an array of parsed TLEs when the input holds more than one record (as
+ * in a CelesTrak group query).
+ *
+ * Throws when required fields are missing or malformed, and for catalog numbers that can't be
+ * represented in a TLE (above 339999).
+ *
+ * Example:
+ * parseOMM({
+ *   OBJECT_NAME: "ISS (ZARYA)",
+ *   OBJECT_ID: "1998-067A",
+ *   EPOCH: "2017-07-25T04:24:54.771264",
+ *   MEAN_MOTION: 15.54225995,
+ *   ECCENTRICITY: 0.0006317,
+ *   INCLINATION: 51.64,
+ *   RA_OF_ASC_NODE: 208.9163,
+ *   ARG_OF_PERICENTER: 69.9862,
+ *   MEAN_ANOMALY: 25.2906,
+ *   EPHEMERIS_TYPE: 0,
+ *   CLASSIFICATION_TYPE: "U",
+ *   NORAD_CAT_ID: 25544,
+ *   ELEMENT_SET_NO: 999,
+ *   REV_AT_EPOCH: 6766,
+ *   BSTAR: 0.000036771,
+ *   MEAN_MOTION_DOT: 0.00001961,
+ *   MEAN_MOTION_DDOT: 0
+ * });
+ * ->
+ * {
+ *   name: 'ISS (ZARYA)',
+ *   tle: [
+ *     '1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993',
+ *     '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660'
+ *   ]
+ * }
+ *
+ * @param {String|Object|Array} input OMM text (JSON, XML or KVN), or parsed OMM JSON.
+ */
+export function parseOMM(input) {
+	const format = getOMMFormat(input);
+
+	let records;
+	switch (format) {
+		case _OMM_FORMATS._JSON:
+			records = parseJSONRecords(input);
+			break;
+
+		case _OMM_FORMATS._XML:
+			records = parseXMLRecords(input);
+			break;
+
+		case _OMM_FORMATS._KVN:
+			records = parseKVNRecords(input);
+			break;
+
+		default:
+			throw new Error(_ERRORS._UNKNOWN_FORMAT);
+	}
+
+	if (records.length === 0) {
+		throw new Error(_ERRORS._EMPTY);
+	}
+
+	const parsedTLEs = records.map(recordToParsedTLE);
+
+	return parsedTLEs.length === 1 ? parsedTLEs[0] : parsedTLEs;
+}
@@ -1,10 +1,25 @@
+import { _createCache } from "./cache";
 import { _DATA_TYPES } from "./constants";
-import { getType } from "./utils";
+import { computeChecksum, getType } from "./utils";
+import { isOMM, parseOMM } from "./omm";
 
 const _ERRORS = {
 	_TYPE: (context = "", expected = [], got = "") =>
 		`${context} must be of type [${expected.join(", ")}], but got ${got}.`,
-	_NOT_PARSED_OBJECT: `Input object is malformed (should have name and tle properties).`
+	_NOT_PARSED_OBJECT: `Input object is malformed (should have name and tle properties).`,
+	_MULTIPLE_OMM: `Input OMM has more than one record (use parseOMM() instead).`
+};
+
+const _CATALOG_ERRORS = {
+	_NOT_A_STRING: got => `TLE catalog must be a string, but got ${got}.`,
+	_ORPHAN_NAME: `Satellite name isn't followed by TLE lines.`,
+	_MISSING_LINE_2: `Line 1 isn't followed by line 2.`,
+	_ORPHAN_LINE_2: `Line 2 isn't preceded by line 1.`,
+	_BAD_LINE_LENGTH: (lineNumber, length) =>
+		`Line ${lineNumber} must be 69 characters long, but is ${length}.`,
+	_BAD_CHECKSUM: lineNumber => `Line ${lineNumber} has an invalid checksum.`,
+	_CATALOG_NUMBER_MISMATCH: (catalogNumber1, catalogNumber2) =>
+		`Catalog numbers don't match (line 1: ${catalogNumber1}, line 2: ${catalogNumber2}).`
 };
 
 export function isTLEObj(obj) {
@@ -18,10 +33,11 @@ export function isTLEObj(obj) {
 
 const getTLECacheKey = (type, sourceTLE) => {
 	if (type === _DATA_TYPES._ARRAY) {
-		// Use TLE line 1 in 2 and 3-line TLE variants.
+		// Use both TLE lines in 2 and 3-line TLE variants, since line 1 alone doesn't identify a
+		// TLE (e.g. when only line 2 was corrected).
 		return (sourceTLE.length === 3)
-			? sourceTLE[1]
-			: sourceTLE[0]
+			? sourceTLE.slice(1).join("\n")
+			: sourceTLE.join("\n")
 	}
 
 	// Use the entire string as a key.
@@ -29,14 +45,25 @@ const getTLECacheKey = (type, sourceTLE) => {
 }
 
 // For TLE parsing memoization.
-let tleCache = {};
+const tleCache = _createCache("tleParse");
+
+export const clearTLEParseCache = () => tleCache.clear();
+
+// parseTLE() always returns a single parsed TLE, so multi-record OMMs are rejected.
+const parseSingleOMM = sourceOMM => {
+	const parsed = parseOMM(sourceOMM);
+	if (getType(parsed) === _DATA_TYPES._ARRAY) {
+		throw new Error(_ERRORS._MULTIPLE_OMM);
+	}
 
-export const clearTLEParseCache = () => tleCache = {};
+	return parsed;
+};
 
 /**
  * Converts string and array TLE formats into a "parsed" TLE in a consistent object format.
  * Accepts 2 and 3-line (with satellite name) TLE variants in string (\n-delimited) and array
- * forms.
+ * forms.  Single-record OMMs in JSON, XML or KVN format are detected and converted as well (see
+ * `parseOMM()`).
  *
  * Example:
  * parseTLE(`ISS (ZARYA)
@@ -67,17 +94,28 @@ export function parseTLE(sourceTLE, fastParse = true) {
 		return sourceTLE;
 	}
 
-	const isUnexpectedObject = !alreadyParsed && type === _DATA_TYPES._OBJECT;
+	const isOMMInput = isOMM(sourceTLE);
+	const isUnexpectedObject = type === _DATA_TYPES._OBJECT && !isOMMInput;
 	if (isUnexpectedObject) {
 		throw new Error(_ERRORS._NOT_PARSED_OBJECT);
 	}
 
+	// Objects don't make useful cache keys, so only OMM text is memoized.
+	if (isOMMInput && type !== _DATA_TYPES._STRING) {
+		return parseSingleOMM(sourceTLE);
+	}
+
 	// Note: only strings and arrays will make it past this point.
 
 	// Check if the TLE exists in the cache.
 	const cacheKey = getTLECacheKey(type, sourceTLE);
-	if (tleCache[cacheKey]) {
-		return tleCache[cacheKey];
+	const cachedTLE = tleCache.get(cacheKey);
+	if (cachedTLE) {
+		return cachedTLE;
+	}
+
+	if (isOMMInput) {
+		return tleCache.set(cacheKey, parseSingleOMM(sourceTLE));
 	}
 
 	if (!acceptedTLETypes.includes(type)) {
@@ -117,44 +155,11 @@ export function parseTLE(sourceTLE, fastParse = true) {
 	}
 
 	// Update cache.
-	tleCache[cacheKey] = output;
-
-	return output;
+	return tleCache.set(cacheKey, output);
 }
 
-/**
- * Determines the checksum for a single line of a TLE.
- *
- * Checksum = modulo 10 of sum of all numbers (including line number) + 1 for each negative
- * sign (-).  Everything else is ignored.
- */
-export function computeChecksum(tleLineStr) {
-	const charArr = tleLineStr.split("");
-
-	// Remove trailing checksum.
-	charArr.splice(charArr.length - 1, 1);
-
-	if (charArr.length === 0) {
-		throw new Error("Character array empty!", tleLineStr);
-	}
-
-	const checksum = charArr.reduce((sum, val) => {
-		const parsedVal = parseInt(val, 10);
-		const parsedSum = parseInt(sum, 10);
-
-		if (Number.isInteger(parsedVal)) {
-			return parsedSum + parsedVal;
-		}
-
-		if (val === "-") {
-			return parsedSum + 1;
-		}
-
-		return parsedSum;
-	}, 0);
-
-	return checksum % 10;
-}
+// Kept here for backwards compatibility, since this was the original home of computeChecksum().
+export { computeChecksum };
 
 export function lineNumberIsValid(tleObj, lineNumber) {
 	const { tle } = tleObj;
@@ -197,3 +202,167 @@ export function isValidTLE(rawTLE) {
 
 	return true;
 }
+
+/**
+ * Converts any accepted TLE input (string, array, parsed TLE or OMM) into TLE text, with the
+ * satellite name on the first line when known.  Useful for handing TLEs built with `createTLE()`
+ * or converted from OMM to tools that expect plain text.
+ *
+ * Example:
+ * formatTLE(createTLE({ ... }));
+ * ->
+ * `ISS (ZARYA)
+ * 1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+ * 2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660`
+ *
+ * @param {String|Array|Object} rawTLE Input TLE.
+ * @param {Boolean} includeName Whether to include the satellite name line (3-line format).
+ */
+export function formatTLE(rawTLE, includeName = true) {
+	const { name, tle } = parseTLE(rawTLE);
+
+	const lines = includeName && name ? [name, ...tle] : tle;
+
+	return lines.join("\n");
+}
+
+const isCatalogLine = (line, lineNumber) => line.startsWith(`${lineNumber} `);
+
+/**
+ * Finds what's wrong with a catalog entry's TLE lines, if anything.
+ */
+function getCatalogEntryError(tleObj) {
+	const { tle } = tleObj;
+
+	const badLengthIndex = tle.findIndex(line => line.length !== 69);
+	if (badLengthIndex !== -1) {
+		return _CATALOG_ERRORS._BAD_LINE_LENGTH(
+			badLengthIndex + 1,
+			tle[badLengthIndex].length
+		);
+	}
+
+	const badChecksumLineNumber = [1, 2].find(
+		lineNumber => !checksumIsValid(tleObj, lineNumber)
+	);
+	if (badChecksumLineNumber) {
+		return _CATALOG_ERRORS._BAD_CHECKSUM(badChecksumLineNumber);
+	}
+
+	const catalogNumber1 = tle[0].substr(2, 5);
+	const catalogNumber2 = tle[1].substr(2, 5);
+	if (catalogNumber1 !== catalogNumber2) {
+		return _CATALOG_ERRORS._CATALOG_NUMBER_MISMATCH(
+			catalogNumber1,
+			catalogNumber2
+		);
+	}
+
+	return null;
+}
+
+/**
+ * Parses a multi-object TLE file, like the ones published by CelesTrak and Space-Track.  2-line
+ * and 3-line entries can be mixed, blank lines are skipped, CRLF line endings are accepted, and
+ * "0 " name prefixes are stripped.
+ *
+ * Bad entries don't abort parsing.  Instead, they are collected in `errors`, along with their
+ * (1-based) line number in the input text and the offending lines.
+ *
+ * Example:
+ * parseTLECatalog(`ISS (ZARYA)
+ * 1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993
+ * 2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660
+ * 1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9999`);
+ * ->
+ * {
+ *   tles: [
+ *     {
+ *       name: 'ISS (ZARYA)',
+ *       tle: [
+ *         '1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993',
+ *         '2 25544  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660'
+ *       ]
+ *     }
+ *   ],
+ *   errors: [
+ *     {
+ *       lineNumber: 4,
+ *       lines: ['1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9999'],
+ *       message: "Line 1 isn't followed by line 2."
+ *     }
+ *   ]
+ * }
+ *
+ * @param {String} text Contents of a TLE file.
+ */
+export function parseTLECatalog(text) {
+	const type = getType(text);
+	if (type !== _DATA_TYPES._STRING) {
+		throw new Error(_CATALOG_ERRORS._NOT_A_STRING(type));
+	}
+
+	const lines = text
+		.split(/\r?\n/)
+		.map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+		.filter(({ line }) => line.length > 0);
+
+	const tles = [];
+	const errors = [];
+	const addError = (entryLines, message) =>
+		errors.push({
+			lineNumber: entryLines[0].lineNumber,
+			lines: entryLines.map(({ line }) => line),
+			message
+		});
+
+	let nameLine = null;
+	for (let i = 0; i < lines.length; i++) {
+		const current = lines[i];
+
+		if (!isCatalogLine(current.line, 1) && !isCatalogLine(current.line, 2)) {
+			if (nameLine) {
+				addError([nameLine], _CATALOG_ERRORS._ORPHAN_NAME);
+			}
+			nameLine = current;
+			continue;
+		}
+
+		const entryLines = nameLine ? [nameLine, current] : [current];
+		const name = nameLine && nameLine.line.replace(/^0 /, "");
+		nameLine = null;
+
+		if (isCatalogLine(current.line, 2)) {
+			addError(entryLines, _CATALOG_ERRORS._ORPHAN_LINE_2);
+			continue;
+		}
+
+		const next = lines[i + 1];
+		if (!next || !isCatalogLine(next.line, 2)) {
+			addError(entryLines, _CATALOG_ERRORS._MISSING_LINE_2);
+			continue;
+		}
+
+		i++;
+		entryLines.push(next);
+
+		const tleObj = {};
+		if (name) {
+			tleObj.name = name;
+		}
+		tleObj.tle = [current.line, next.line];
+
+		const error = getCatalogEntryError(tleObj);
+		if (error) {
+			addError(entryLines, error);
+		} else {
+			tles.push(tleObj);
+		}
+	}
+
+	if (nameLine) {
+		addError([nameLine], _CATALOG_ERRORS._ORPHAN_NAME);
+	}
+
+	return { tles, errors };
+}
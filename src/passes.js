@@ -0,0 +1,459 @@
+import { gstime, eciToEcf, ecfToLookAngles } from "satellite.js";
+import { parseTLE } from "./parsing";
+import { _getSatrec, _propagateToECI } from "./sgp4";
+import { _getShadowGeometry, _getUmbraMargin } from "./shadow";
+import { getAverageOrbitTimeMS } from "./sugar-getters";
+import {
+	_getSunElevation,
+	_getSunPositionECI,
+	_getTwilightSunElevation
+} from "./sun";
+import {
+	_MS_IN_A_DAY,
+	_MS_IN_A_MINUTE,
+	_MS_IN_A_SECOND
+} from "./constants";
+import { _getDopplerInfo, _getRangeRate } from "./doppler";
+import { _getMinElevationFn } from "./horizon-mask";
+import { _getApparentElevationFn } from "./refraction";
+import {
+	_bisect,
+	_degreesToRadians,
+	_goldenSectionMax,
+	_radiansToDegrees,
+	_validateStepMS
+} from "./utils";
+
+// Precision (in ms) of the rise, culmination and set times.
+const _PASS_TIME_TOLERANCE_MS = 1;
+
+// Coarse sampling resolution used to bracket passes (in samples per orbit).
+const _PASS_SAMPLES_PER_ORBIT = 90;
+
+/**
+ * Determines the look angles (in degrees) of a satellite from an observer at the given time.
+ *
+ * @param {Object} satrec SGP4 satellite record.
+ * @param {Object} observerGd Observer geodetic position (radians and km).
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _getLookAngles(satrec, observerGd, timeMS) {
+	const { position } = _propagateToECI(satrec, timeMS);
+	return _getLookAnglesFromECI(position, observerGd, timeMS);
+}
+
+/**
+ * Determines the look angles (in degrees) of an ECI position from an observer at the given time.
+ *
+ * @param {Object} position ECI position (km).
+ * @param {Object} observerGd Observer geodetic position (radians and km).
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _getLookAnglesFromECI(position, observerGd, timeMS) {
+	const positionEcf = eciToEcf(position, gstime(new Date(timeMS)));
+	const { azimuth, elevation, rangeSat } = ecfToLookAngles(
+		observerGd,
+		positionEcf
+	);
+
+	return {
+		azimuth: _radiansToDegrees(azimuth),
+		elevation: _radiansToDegrees(elevation),
+		range: rangeSat
+	};
+}
+
+/**
+ * Converts an observer in degrees/km to the geodetic format expected by satellite.js.
+ *
+ * @param {Object} observer Observer with `lat`, `lng` (degrees) and `height` (km).
+ */
+export function _toObserverGd({ lat, lng, height = 0 }) {
+	return {
+		latitude: _degreesToRadians(lat),
+		longitude: _degreesToRadians(lng),
+		height
+	};
+}
+
+/**
+ * Determines the default coarse sampling resolution for root-finding searches: 1/90th of an orbit,
+ * capped at one minute.
+ *
+ * @param {Object} parsedTLE
+ */
+export function _getSampleStepMS(parsedTLE) {
+	return Math.min(
+		_MS_IN_A_MINUTE,
+		getAverageOrbitTimeMS(parsedTLE) / _PASS_SAMPLES_PER_ORBIT
+	);
+}
+
+/**
+ * Finds the intervals where `fn` is non-negative between `startMS` and `endMS`.  The function is
+ * sampled coarsely to bracket sign changes, which are then refined by bisection.  Peaks that
+ * poke above zero between two negative samples are caught by refining local maxima.
+ *
+ * @param {Function} fn Continuous function of time (ms).
+ * @param {Number} startMS
+ * @param {Number} endMS
+ * @param {Number} stepMS Coarse sampling resolution.
+ */
+export function _findPositiveIntervals(fn, startMS, endMS, stepMS) {
+	_validateStepMS(stepMS);
+
+	const samples = [];
+	for (let timeMS = startMS; timeMS < endMS; timeMS += stepMS) {
+		samples.push({ timeMS, value: fn(timeMS) });
+	}
+	samples.push({ timeMS: endMS, value: fn(endMS) });
+
+	const crossings = [];
+	for (let i = 1; i < samples.length; i++) {
+		const prev = samples[i - 1];
+		const cur = samples[i];
+		const next = samples[i + 1];
+
+		if (prev.value < 0 !== cur.value < 0) {
+			crossings.push(
+				_bisect(fn, prev.timeMS, cur.timeMS, _PASS_TIME_TOLERANCE_MS)
+			);
+			continue;
+		}
+
+		const isGrazingCandidate =
+			next &&
+			cur.value < 0 &&
+			next.value < 0 &&
+			cur.value >= prev.value &&
+			cur.value >= next.value;
+		if (!isGrazingCandidate) continue;
+
+		const peakMS = _goldenSectionMax(
+			fn,
+			prev.timeMS,
+			next.timeMS,
+			_PASS_TIME_TOLERANCE_MS
+		);
+		if (fn(peakMS) >= 0) {
+			crossings.push(
+				_bisect(fn, prev.timeMS, peakMS, _PASS_TIME_TOLERANCE_MS),
+				_bisect(fn, peakMS, next.timeMS, _PASS_TIME_TOLERANCE_MS)
+			);
+		}
+	}
+
+	const intervals = [];
+	let riseMS = samples[0].value >= 0 ? startMS : null;
+	crossings.forEach(crossingMS => {
+		if (riseMS === null) {
+			riseMS = crossingMS;
+		} else {
+			intervals.push([riseMS, crossingMS]);
+			riseMS = null;
+		}
+	});
+	if (riseMS !== null) {
+		intervals.push([riseMS, endMS]);
+	}
+
+	return intervals.map(([fromMS, toMS]) => {
+		const inside = samples.filter(
+			({ timeMS }) => timeMS >= fromMS && timeMS <= toMS
+		);
+		const best = inside.reduce(
+			(max, sample) => (!max || sample.value > max.value ? sample : max),
+			null
+		);
+
+		const searchFromMS = best
+			? Math.max(fromMS, best.timeMS - stepMS)
+			: fromMS;
+		const searchToMS = best ? Math.min(toMS, best.timeMS + stepMS) : toMS;
+		const peakMS = _goldenSectionMax(
+			fn,
+			searchFromMS,
+			searchToMS,
+			_PASS_TIME_TOLERANCE_MS
+		);
+
+		return {
+			startMS: fromMS,
+			peakMS,
+			endMS: toMS,
+			isPartial: fromMS === startMS || toMS === endMS
+		};
+	});
+}
+
+/**
+ * Finds the parts of a pass where the satellite can be seen with the naked eye: above its minimum
+ * elevation, lit by the Sun (outside the Earth's umbra), with the observer's sky dark.
+ *
+ * @param {Object} options.satrec SGP4 satellite record.
+ * @param {Object} options.observerGd Observer geodetic position (radians and km).
+ * @param {Number} options.startMS Pass start (ms).
+ * @param {Number} options.endMS Pass end (ms).
+ * @param {Function} options.getMinElevation Minimum elevation (degrees) at an azimuth.
+ * @param {Function} options.toApparentElevation Converts geometric elevations to the ones compared
+ * to `getMinElevation()`.
+ * @param {Number} options.twilightSunElevation Sun elevation (degrees) below which it is dark.
+ * @param {Number} options.stepMS Coarse sampling resolution.
+ */
+export function _getVisibleIntervals({
+	satrec,
+	observerGd,
+	startMS,
+	endMS,
+	getMinElevation,
+	toApparentElevation,
+	twilightSunElevation,
+	stepMS
+}) {
+	// Every condition is in degrees, so the smallest margin decides visibility.
+	const visibilityMargin = timeMS => {
+		const { position } = _propagateToECI(satrec, timeMS);
+		const sunPosition = _getSunPositionECI(timeMS);
+		const { azimuth, elevation } = _getLookAnglesFromECI(position, observerGd, timeMS);
+
+		return Math.min(
+			toApparentElevation(elevation) - getMinElevation(azimuth),
+			twilightSunElevation - _getSunElevation(observerGd, timeMS, sunPosition),
+			_radiansToDegrees(
+				_getUmbraMargin(_getShadowGeometry(position, sunPosition))
+			)
+		);
+	};
+
+	return _findPositiveIntervals(visibilityMargin, startMS, endMS, stepMS);
+}
+
+/**
+ * Predicts the passes of a satellite over a ground observer within a time window.  Rise (AOS),
+ * culmination (TCA) and set (LOS) times are found by root-finding on the elevation curve rather
+ * than by fixed stepping.
+ *
+ * Passes already in progress at `startTimeMS` or still in progress at `endTimeMS` are clipped to
+ * the window and flagged with `isPartial`.
+ *
+ * With `optical` enabled, each pass also lists its `visibleSegments`: the parts of the pass where
+ * the satellite is lit by the Sun while the observer is in darkness (the Sun is below the
+ * `twilight` elevation), which is when it can be seen with the naked eye.
+ *
+ * When the observer has a `horizonMask` (see `parseHorizonMask()`), AOS and LOS are when the
+ * satellite clears the mask (or `minElevation`, where higher), and satellites dipping behind the
+ * mask split passes in two.  Dips shorter than `stepMS` can be missed, so lower it for masks with
+ * narrow obstructions, which high passes sweep across in seconds.
+ *
+ * With `refraction` (true for standard conditions, or `{ pressureHPa, temperatureC }`), AOS and LOS
+ * are when the satellite's apparent elevation, raised by atmospheric refraction, crosses
+ * `minElevation`, and look angles have an `apparentElevation` alongside the geometric `elevation`
+ * (see `getApparentElevation()`).  At the horizon, refraction lifts satellites by about 0.5°,
+ * lengthening low-elevation passes by a few seconds on each side.
+ *
+ * Example:
+ * getPasses({
+ *   tle: tleStr,
+ *   observer: { lat: 34.243889, lng: -116.911389, height: 0 },
+ *   startTimeMS: 1501038665000,
+ *   endTimeMS: 1501039865000
+ * });
+ * ->
+ * [
+ *   {
+ *     aos: { timeMS: 1501038950400, azimuth: 227.53, elevation: 0, range: 2297.77 },
+ *     tca: { timeMS: 1501039268313, azimuth: 316.92, elevation: 82.28, range: 406.49 },
+ *     los: { timeMS: 1501039587811, azimuth: 46.49, elevation: 0, range: 2308.42 },
+ *     maxElevation: 82.28,
+ *     durationMS: 637411,
+ *     isPartial: false
+ *   }
+ * ]
+ *
+ * @param {Array|String} options.tle
+ * @param {Object} options.observer Observer `lat`, `lng` (degrees), `height` (km) and optional
+ * `horizonMask`.
+ * @param {Number} options.startTimeMS Unix timestamp in milliseconds.
+ * @param {Number} options.endTimeMS Unix timestamp in milliseconds.  Defaults to one day after
+ * startTimeMS.
+ * @param {Number} options.minElevation Elevation (degrees) above which the satellite is in view.
+ * @param {Number} options.stepMS Coarse sampling resolution.  Defaults to 1/90th of an orbit, capped
+ * at one minute.
+ * @param {Boolean} options.optical Adds `visibleSegments` to each pass.
+ * @param {String|Number} options.twilight How dark the observer's sky must be for optical
+ * visibility: "civil" (default), "nautical", "astronomical", or a Sun elevation in degrees.
+ * @param {Boolean|Object} options.refraction Corrects elevations for atmospheric refraction: true
+ * for standard conditions, or an object with `pressureHPa` and/or `temperatureC`.
+ */
+export function getPasses({
+	tle,
+	observer,
+	startTimeMS = Date.now(),
+	endTimeMS,
+	minElevation = 0,
+	stepMS,
+	optical = false,
+	twilight = "civil",
+	refraction = false
+}) {
+	const parsedTLE = parseTLE(tle);
+	const satrec = _getSatrec(parsedTLE.tle);
+	const observerGd = _toObserverGd(observer);
+
+	const windowEndMS = endTimeMS || startTimeMS + _MS_IN_A_DAY;
+	const sampleStepMS =
+		stepMS === undefined ? _getSampleStepMS(parsedTLE) : stepMS;
+
+	const getMinElevation = _getMinElevationFn(minElevation, observer.horizonMask);
+	const toApparentElevation = _getApparentElevationFn(refraction);
+
+	const getLookAnglesAt = rawTimeMS => {
+		const timeMS = Math.round(rawTimeMS);
+		const lookAngles = { timeMS, ..._getLookAngles(satrec, observerGd, timeMS) };
+		if (refraction) {
+			lookAngles.apparentElevation = toApparentElevation(lookAngles.elevation);
+		}
+		return lookAngles;
+	};
+	const getElevation = timeMS => _getLookAngles(satrec, observerGd, timeMS).elevation;
+	const elevationAboveMin = timeMS => {
+		const { azimuth, elevation } = _getLookAngles(satrec, observerGd, timeMS);
+		return toApparentElevation(elevation) - getMinElevation(azimuth);
+	};
+
+	const intervals = _findPositiveIntervals(
+		elevationAboveMin,
+		startTimeMS,
+		windowEndMS,
+		sampleStepMS
+	);
+
+	const twilightSunElevation = optical
+		? _getTwilightSunElevation(twilight)
+		: null;
+
+	return intervals.map(({ startMS, peakMS, endMS, isPartial }) => {
+		// Behind a horizon mask, the satellite is furthest above the mask elsewhere than where it
+		// culminates.
+		const tcaMS = observer.horizonMask
+			? _goldenSectionMax(getElevation, startMS, endMS, _PASS_TIME_TOLERANCE_MS)
+			: peakMS;
+
+		const aos = getLookAnglesAt(startMS);
+		const tca = getLookAnglesAt(tcaMS);
+		const los = getLookAnglesAt(endMS);
+
+		const pass = {
+			aos,
+			tca,
+			los,
+			maxElevation: tca.elevation,
+			durationMS: los.timeMS - aos.timeMS,
+			isPartial
+		};
+
+		if (optical) {
+			pass.visibleSegments = _getVisibleIntervals({
+				satrec,
+				observerGd,
+				startMS,
+				endMS,
+				getMinElevation,
+				toApparentElevation,
+				twilightSunElevation,
+				stepMS: sampleStepMS
+			}).map(segment => {
+				const start = getLookAnglesAt(segment.startMS);
+				const end = getLookAnglesAt(segment.endMS);
+
+				// Elevation only peaks once per pass, at culmination.
+				const includesTCA =
+					tca.timeMS >= start.timeMS && tca.timeMS <= end.timeMS;
+
+				return {
+					start,
+					end,
+					maxElevation: includesTCA
+						? tca.elevation
+						: Math.max(start.elevation, end.elevation),
+					durationMS: end.timeMS - start.timeMS
+				};
+			});
+		}
+
+		return pass;
+	});
+}
+
+/**
+ * Determines range, range-rate and Doppler factor over a time window, e.g. for tuning a radio
+ * through a pass.  The window can be given as a `pass` from `getPasses()` or as `startTimeMS` and
+ * `endTimeMS`.  With `frequencyHz`, each point also has Doppler-corrected `downlinkFrequencyHz`,
+ * `uplinkFrequencyHz` and `dopplerShiftHz` (see `getSatelliteInfo()`).
+ *
+ * Example:
+ * const [pass] = getPasses({ tle: tleStr, observer, startTimeMS: 1501038665000 });
+ * getDopplerCurve({ tle: tleStr, observer, pass, stepMS: 60000, frequencyHz: 437800000 });
+ * ->
+ * [
+ *   {
+ *     timeMS: 1501038950400,
+ *     azimuth: 227.53,
+ *     elevation: 0,
+ *     range: 2297.77,
+ *     rangeRate: -6.93,
+ *     dopplerFactor: 1.0000231,
+ *     downlinkFrequencyHz: 437810125.14,
+ *     uplinkFrequencyHz: 437789875.1,
+ *     dopplerShiftHz: 10125.14
+ *   },
+ *   ...
+ * ]
+ *
+ * @param {Array|String} options.tle
+ * @param {Object} options.observer Observer `lat`, `lng` (degrees) and `height` (km).
+ * @param {Object} options.pass Pass from `getPasses()`, used for the default time window.
+ * @param {Number} options.startTimeMS Unix timestamp in milliseconds.  Defaults to the pass AOS.
+ * @param {Number} options.endTimeMS Unix timestamp in milliseconds.  Defaults to the pass LOS.
+ * @param {Number} options.stepMS Time between points.  Defaults to one second.
+ * @param {Number} options.frequencyHz Nominal frequency (optional).
+ */
+export function getDopplerCurve({
+	tle,
+	observer,
+	pass,
+	startTimeMS = pass && pass.aos.timeMS,
+	endTimeMS = pass && pass.los.timeMS,
+	stepMS = _MS_IN_A_SECOND,
+	frequencyHz
+}) {
+	if (startTimeMS === undefined || endTimeMS === undefined) {
+		throw new Error(
+			"getDopplerCurve() needs a pass, or startTimeMS and endTimeMS."
+		);
+	}
+	_validateStepMS(stepMS);
+
+	const satrec = _getSatrec(parseTLE(tle).tle);
+	const observerGd = _toObserverGd(observer);
+
+	const getPoint = timeMS => {
+		const { position, velocity } = _propagateToECI(satrec, timeMS);
+		const gmst = gstime(new Date(timeMS));
+		const rangeRate = _getRangeRate(position, velocity, observerGd, gmst);
+
+		return {
+			timeMS,
+			..._getLookAnglesFromECI(position, observerGd, timeMS),
+			..._getDopplerInfo(rangeRate, frequencyHz)
+		};
+	};
+
+	const points = [];
+	for (let timeMS = startTimeMS; timeMS < endTimeMS; timeMS += stepMS) {
+		points.push(getPoint(timeMS));
+	}
+	points.push(getPoint(endTimeMS));
+
+	return points;
+}
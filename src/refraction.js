@@ -0,0 +1,117 @@
+import { _degreesToRadians } from "./utils";
+
+/**
+ * Atmospheric refraction helpers.  The atmosphere bends light and radio waves so satellites appear
+ * higher in the sky than they geometrically are, by about 0.5° at the horizon and almost nothing
+ * overhead.  Uses Saemundsson's formula (geometric to apparent elevation) and Bennett's formula
+ * (apparent to geometric elevation), scaled for pressure and temperature.
+ */
+
+// Conditions both formulas are calibrated for.
+const _DEFAULT_REFRACTION_OPTIONS = {
+	pressureHPa: 1010,
+	temperatureC: 10
+};
+
+// The formulas blow up well below the horizon, so refraction is held constant below this
+// elevation (degrees).
+const _MIN_REFRACTION_ELEVATION = -1;
+
+const tanDegrees = degrees => Math.tan(_degreesToRadians(degrees));
+
+/**
+ * Normalizes a `refraction` option: null when refraction is off, otherwise the pressure and
+ * temperature to use.
+ *
+ * @param {Boolean|Object} refraction true for standard conditions, or an object with `pressureHPa`
+ * and/or `temperatureC`.
+ */
+export function _toRefractionOptions(refraction) {
+	if (!refraction) {
+		return null;
+	}
+
+	return {
+		..._DEFAULT_REFRACTION_OPTIONS,
+		...(refraction === true ? {} : refraction)
+	};
+}
+
+/**
+ * Scales refraction at standard conditions to the given pressure and temperature.
+ */
+function getConditionsFactor({ pressureHPa, temperatureC }) {
+	return (
+		(pressureHPa / _DEFAULT_REFRACTION_OPTIONS.pressureHPa) *
+		(283 / (273 + temperatureC))
+	);
+}
+
+/**
+ * Determines the apparent (refracted) elevation of an object at a geometric elevation, in degrees.
+ *
+ * Example:
+ * getApparentElevation(0);
+ * -> 0.4830321230741662
+ *
+ * getApparentElevation(10, { pressureHPa: 850, temperatureC: -5 });
+ * -> 10.080095661371004
+ *
+ * @param {Number} elevation Geometric elevation (degrees).
+ * @param {Number} options.pressureHPa Air pressure at the observer in hPa (= mbar).  Defaults to
+ * 1010.
+ * @param {Number} options.temperatureC Air temperature at the observer in °C.  Defaults to 10.
+ */
+export function getApparentElevation(elevation, options = {}) {
+	const conditions = _toRefractionOptions(options);
+	const h = Math.max(elevation, _MIN_REFRACTION_ELEVATION);
+
+	// Saemundsson, in arcminutes.
+	const refraction = 1.02 / tanDegrees(h + 10.3 / (h + 5.11));
+
+	return (
+		elevation + (Math.max(refraction, 0) / 60) * getConditionsFactor(conditions)
+	);
+}
+
+/**
+ * Determines the geometric elevation of an object seen at an apparent (refracted) elevation, in
+ * degrees.  The inverse of `getApparentElevation()`, to within a few arcseconds above the horizon.
+ *
+ * Example:
+ * getGeometricElevation(0);
+ * -> -0.5746255623877095
+ *
+ * @param {Number} apparentElevation Apparent elevation (degrees).
+ * @param {Number} options.pressureHPa Air pressure at the observer in hPa (= mbar).  Defaults to
+ * 1010.
+ * @param {Number} options.temperatureC Air temperature at the observer in °C.  Defaults to 10.
+ */
+export function getGeometricElevation(apparentElevation, options = {}) {
+	const conditions = _toRefractionOptions(options);
+	const h = Math.max(apparentElevation, _MIN_REFRACTION_ELEVATION);
+
+	// Bennett, in arcminutes.
+	const refraction = 1 / tanDegrees(h + 7.31 / (h + 4.4));
+
+	return (
+		apparentElevation -
+		(Math.max(refraction, 0) / 60) * getConditionsFactor(conditions)
+	);
+}
+
+/**
+ * Creates a function converting geometric elevations (degrees) to the elevations to compare to
+ * minimum elevations: apparent elevations with `refraction`, unchanged otherwise.
+ *
+ * @param {Boolean|Object} refraction true for standard conditions, or an object with `pressureHPa`
+ * and/or `temperatureC`.
+ */
+export function _getApparentElevationFn(refraction) {
+	const options = _toRefractionOptions(refraction);
+	if (!options) {
+		return elevation => elevation;
+	}
+
+	return elevation => getApparentElevation(elevation, options);
+}
@@ -0,0 +1,161 @@
+import { degreesLat, degreesLong, eciToGeodetic, gstime } from "satellite.js";
+import {
+	getBstarDrag,
+	getCatalogNumber1,
+	getChecksum1,
+	getClassification,
+	getEpochDay,
+	getEpochYear,
+	getFirstTimeDerivative,
+	getIntDesignatorLaunchNumber,
+	getIntDesignatorPieceOfLaunch,
+	getIntDesignatorYear,
+	getLineNumber1,
+	getOrbitModel,
+	getRawCatalogNumber1,
+	getSecondTimeDerivative,
+	getTleSetNumber
+} from "./line-1-getters";
+import {
+	getCatalogNumber2,
+	getChecksum2,
+	getEccentricity,
+	getInclination,
+	getLineNumber2,
+	getMeanAnomaly,
+	getMeanMotion,
+	getPerigee,
+	getRawCatalogNumber2,
+	getRevNumberAtEpoch,
+	getRightAscension
+} from "./line-2-getters";
+import { parseTLE } from "./parsing";
+import { _getLookAngles, _toObserverGd } from "./passes";
+import { _getSatrec, _propagateToECI } from "./sgp4";
+import {
+	getApogeeAltitude,
+	getArgOfPerigeeDriftRate,
+	getAverageOrbitTimeMins,
+	getAverageOrbitTimeMS,
+	getAverageOrbitTimeS,
+	getCOSPAR,
+	getEpochTimestamp,
+	getNodalPrecessionRate,
+	getOrbitRegime,
+	getPerigeeAltitude,
+	getSatelliteName,
+	getSemiMajorAxis,
+	getSpecificOrbitalEnergy
+} from "./sugar-getters";
+
+// Getters bound to each satellite handle, under the same names as the library's exports.
+const _SATELLITE_GETTERS = {
+	getBstarDrag,
+	getCatalogNumber: getCatalogNumber1,
+	getCatalogNumber1,
+	getChecksum1,
+	getClassification,
+	getEpochDay,
+	getEpochYear,
+	getFirstTimeDerivative,
+	getIntDesignatorLaunchNumber,
+	getIntDesignatorPieceOfLaunch,
+	getIntDesignatorYear,
+	getLineNumber1,
+	getOrbitModel,
+	getRawCatalogNumber: getRawCatalogNumber1,
+	getRawCatalogNumber1,
+	getSecondTimeDerivative,
+	getTleSetNumber,
+	getCatalogNumber2,
+	getChecksum2,
+	getEccentricity,
+	getInclination,
+	getLineNumber2,
+	getMeanAnomaly,
+	getMeanMotion,
+	getPerigee,
+	getRawCatalogNumber2,
+	getRevNumberAtEpoch,
+	getRightAscension,
+	getCOSPAR,
+	getSatelliteName,
+	getEpochTimestamp,
+	getAverageOrbitTimeMS,
+	getAverageOrbitTimeMins,
+	getAverageOrbitTimeS,
+	getSemiMajorAxis,
+	getApogeeAltitude,
+	getPerigeeAltitude,
+	getSpecificOrbitalEnergy,
+	getNodalPrecessionRate,
+	getArgOfPerigeeDriftRate,
+	getOrbitRegime
+};
+
+/**
+ * Creates a handle for a satellite, which parses its TLE and initializes SGP4 once up front.  Use
+ * it in hot loops instead of the functions taking a TLE, which look things up by TLE on each call.
+ *
+ * The handle has every TLE getter, called without the TLE (e.g. `satellite.getInclination()`),
+ * along with:
+ * - `propagate(timeMS)`: ECI (TEME) `position` (km) and `velocity` (km/s), and the ground position
+ *   (`lng`, `lat` in degrees and `height` in km).
+ * - `lookAngles(observer, timeMS)`: `azimuth`, `elevation` (degrees) and `range` (km) from an
+ *   observer with `lat`, `lng` (degrees) and `height` (km).
+ *
+ * Example:
+ * const satellite = createSatellite(tleStr);
+ * satellite.propagate(1501039265000);
+ * ->
+ * {
+ *   position: { x: -3062.6148279541803, y: -4685.163929296735, z: 3815.749222157506 },
+ *   velocity: { x: 6.39147015618894, y: -0.7589690106634394, z: 4.181905297181792 },
+ *   lng: -117.46176597710807,
+ *   lat: 34.45112876592785,
+ *   height: 402.9082788620108
+ * }
+ *
+ * satellite.lookAngles({ lat: 34.243889, lng: -116.911389, height: 0 }, 1501039265000);
+ * ->
+ * { azimuth: 294.57804786249966, elevation: 81.6466107242347, range: 406.96818121792876 }
+ *
+ * satellite.getInclination();
+ * -> 51.64
+ *
+ * @param {String|Array|Object} tle
+ */
+export function createSatellite(tle) {
+	const parsedTLE = parseTLE(tle);
+	const satrec = _getSatrec(parsedTLE.tle);
+
+	const satellite = {
+		tle: parsedTLE,
+		satrec,
+
+		propagate(timeMS = Date.now()) {
+			const { position, velocity } = _propagateToECI(satrec, timeMS);
+			const { longitude, latitude, height } = eciToGeodetic(
+				position,
+				gstime(new Date(timeMS))
+			);
+			return {
+				position,
+				velocity,
+				lng: degreesLong(longitude),
+				lat: degreesLat(latitude),
+				height
+			};
+		},
+
+		lookAngles(observer, timeMS = Date.now()) {
+			return _getLookAngles(satrec, _toObserverGd(observer), timeMS);
+		}
+	};
+
+	Object.keys(_SATELLITE_GETTERS).forEach(name => {
+		satellite[name] = (...args) => _SATELLITE_GETTERS[name](parsedTLE, ...args);
+	});
+
+	return satellite;
+}
@@ -14,49 +14,142 @@ import {
 	getAverageOrbitTimeMS,
 	getEpochTimestamp
 } from "./sugar-getters";
-import { _MS_IN_A_DAY, _MS_IN_A_MINUTE } from "./constants";
+import { getEccentricity, getInclination, getMeanMotion } from "./line-2-getters";
+import { _createCache } from "./cache";
+import { _MS_IN_A_DAY, _MS_IN_A_MINUTE, _UNREADABLE_TLE_ERROR_CODE } from "./constants";
+import { _createSGP4Error, TLEPropagationError } from "./errors";
+import { _getMinElevationFn } from "./horizon-mask";
+import { _toRefractionOptions, getApparentElevation } from "./refraction";
 import {
 	_degreesToRadians,
 	_radiansToDegrees,
-	_crossesAntemeridian,
-	_getObjLength
+	_crossesAntemeridian
 } from "./utils";
-
-const _SAT_REC_ERRORS = {
-	_DEFAULT: "Problematic TLE with unknown error.",
-	1: "Mean elements, ecc >= 1.0 or ecc < -0.001 or a < 0.95 er",
-	2: "Mean motion less than 0.0",
-	3: "Pert elements, ecc < 0.0  or  ecc > 1.0",
-	4: "Semi-latus rectum < 0.0",
-	5: "Epoch elements are sub-orbital",
-	6: "Satellite has decayed"
-};
-
-let cachedSatelliteInfo = {};
-let cachedAntemeridianCrossings = {};
-let cachedOrbitTracks = {};
-let cachedGroundTrack = {};
-const caches = [
-	cachedSatelliteInfo,
-	cachedAntemeridianCrossings,
-	cachedOrbitTracks,
-	cachedGroundTrack
-];
+import { _getDopplerInfo, _getRangeRate } from "./doppler";
+import { _getShadowGeometry, _getUmbraMargin } from "./shadow";
+import {
+	_getSunElevation,
+	_getSunPositionECI,
+	_getTwilightSunElevation
+} from "./sun";
+
+const satrecCache = _createCache("satrec");
+const satelliteInfoCache = _createCache("satelliteInfo");
+const antemeridianCrossingsCache = _createCache("antemeridianCrossings");
+const orbitTracksCache = _createCache("orbitTracks");
+const failedSatellitesCache = _createCache("failedSatellites");
+const geostationaryInfoCache = _createCache("geostationaryInfo");
+const caches = [satelliteInfoCache, antemeridianCrossingsCache, orbitTracksCache];
+
+// The TLE each satellite record was initialized from, for error reporting.
+const satrecTLEs = new WeakMap();
 
 /**
  * Returns the current size of SGP caches.
+ *
+ * @deprecated Use getCacheStats(), which also has hit/miss counts and covers every cache.
  */
 export function getCacheSizes() {
-	return caches.map(_getObjLength);
+	return caches.map(cache => cache.getStats().size);
 }
 
 /**
  * Clears SGP caches to free up memory for long-running apps.
  */
 export function clearCache() {
-	caches.forEach((_cache, idx) => {
-		caches[idx] = {};
-	});
+	[satrecCache, ...caches, failedSatellitesCache, geostationaryInfoCache].forEach(cache =>
+		cache.clear()
+	);
+}
+
+/**
+ * Initializes an SGP4 satellite record from a two-line TLE array, throwing a TLEPropagationError
+ * on SGP4 errors and for lines SGP4 can't read.  Records are cached by TLE, so SGP4 is only
+ * initialized once per TLE.
+ *
+ * @param {Array} tleArr Two-line TLE array (e.g. the `tle` property of a parsed TLE).
+ */
+export function _getSatrec(tleArr) {
+	const cacheKey = `${tleArr[0]}\n${tleArr[1]}`;
+	const cachedSatrec = satrecCache.get(cacheKey);
+	if (cachedSatrec) {
+		return cachedSatrec;
+	}
+
+	let satrec;
+	try {
+		satrec = twoline2satrec(tleArr[0], tleArr[1]);
+	} catch (e) {
+		satrec = null;
+	}
+
+	// Unreadable fields end up as NaN rather than SGP4 errors.
+	if (!satrec || Number.isNaN(satrec.no) || Number.isNaN(satrec.jdsatepoch)) {
+		throw new TLEPropagationError("TLE can't be read.", {
+			code: _UNREADABLE_TLE_ERROR_CODE,
+			tle: tleArr
+		});
+	}
+	if (satrec.error) {
+		throw _createSGP4Error(satrec.error, tleArr);
+	}
+
+	satrecTLEs.set(satrec, tleArr);
+	return satrecCache.set(cacheKey, satrec);
+}
+
+/**
+ * Propagates an SGP4 satellite record to a time, throwing a TLEPropagationError on SGP4 errors
+ * instead of returning empty results.  Returns ECI position (km) and velocity (km/s).
+ *
+ * @param {Object} satrec SGP4 satellite record.
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _propagateToECI(satrec, timeMS) {
+	const { position, velocity } = propagate(satrec, new Date(timeMS));
+	if (!position) {
+		throw _createSGP4Error(satrec.error, satrecTLEs.get(satrec));
+	}
+
+	return { position, velocity };
+}
+
+/**
+ * Determines a satellite's ground position as a [lng, lat] pair (degrees).
+ *
+ * @param {Object} satrec SGP4 satellite record.
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _getLngLatFromSatrec(satrec, timeMS) {
+	const { position } = _propagateToECI(satrec, timeMS);
+	const { longitude, latitude } = eciToGeodetic(
+		position,
+		gstime(new Date(timeMS))
+	);
+	return [degreesLong(longitude), degreesLat(latitude)];
+}
+
+/**
+ * Parses a TLE, throwing a TLEPropagationError when it can't be read.
+ *
+ * @param {String|Array|Object} rawTLE
+ */
+export function _parseTLEToPropagate(rawTLE) {
+	let parsedTLE;
+	try {
+		parsedTLE = parseTLE(rawTLE);
+	} catch (e) {
+		parsedTLE = { error: e.message };
+	}
+
+	if (parsedTLE.error) {
+		throw new TLEPropagationError(parsedTLE.error, {
+			code: _UNREADABLE_TLE_ERROR_CODE,
+			tle: rawTLE
+		});
+	}
+
+	return parsedTLE;
 }
 
 /**
@@ -92,25 +185,41 @@ export function clearCache() {
  *   lng: -117.46176597710809,
  *
  *   // spacecraft velocity in km/s
- *   velocity: 7.675627442183371
+ *   velocity: 7.675627442183371,
+ *
+ *   // km/s rate at which the range is changing (positive when moving away from the observer)
+ *   rangeRate: -0.4103998015305582,
+ *
+ *   // received frequency / transmitted frequency
+ *   dopplerFactor: 1.0000013689463847
  * }
+ *
+ * When the optional `frequencyHz` is given, Doppler-corrected frequencies are added as well:
+ * `downlinkFrequencyHz` (what a satellite transmission at frequencyHz is received at),
+ * `uplinkFrequencyHz` (what to transmit for the satellite to receive frequencyHz) and
+ * `dopplerShiftHz` (downlink shift).
+ *
+ * `elevation` is geometric.  When the optional `refraction` is given (true for standard
+ * conditions, or `{ pressureHPa, temperatureC }`), the `apparentElevation` of the satellite, raised
+ * by atmospheric refraction, is added as well (see `getApparentElevation()`).
+ *
+ * Throws a TLEPropagationError when the satellite can't be propagated (see `withErrorResults()`
+ * for a non-throwing alternative).
+ *
  * TODO: default to 0,0.
- * TODO: return error instead of throwing?
  */
 export function getSatelliteInfo(
 	rawTLE,
 	rawTimestamp,
 	observerLat,
 	observerLng,
-	observerHeight
+	observerHeight,
+	frequencyHz,
+	refraction
 ) {
 	const timestamp = rawTimestamp || Date.now();
 
-	const { tle, error: parseError } = parseTLE(rawTLE);
-
-	if (parseError) {
-		throw new Error(parseError);
-	}
+	const { tle } = _parseTLEToPropagate(rawTLE);
 
 	const defaultObserverPosition = {
 		lat: 36.9613422,
@@ -122,25 +231,23 @@ export function getSatelliteInfo(
 	const obsLng = observerLng || defaultObserverPosition.lng;
 	const obsHeight = observerHeight || defaultObserverPosition.height;
 
+	const refractionOptions = _toRefractionOptions(refraction);
+
 	// Memoization
 	const cacheKey = `${tle[0]}-${timestamp}-${observerLat}-${observerLng}
--${observerHeight}`;
-	if (cachedSatelliteInfo[cacheKey]) {
-		return cachedSatelliteInfo[cacheKey];
+-${observerHeight}-${frequencyHz}-${JSON.stringify(refractionOptions)}`;
+	const cachedInfo = satelliteInfoCache.get(cacheKey);
+	if (cachedInfo) {
+		return cachedInfo;
 	}
 
 	// Initialize a satellite record
-	const satrec = twoline2satrec(tle[0], tle[1]);
-	if (satrec.error) {
-		throw new Error(
-			_SAT_REC_ERRORS[satrec.error] || _SAT_REC_ERRORS._DEFAULT
-		);
-	}
+	const satrec = _getSatrec(tle);
 
 	const dateObj = new Date(timestamp);
 
 	// Propagate SGP4.
-	const positionAndVelocity = propagate(satrec, dateObj);
+	const positionAndVelocity = _propagateToECI(satrec, timestamp);
 
 	// The position_velocity result is a key-value pair of ECI coordinates.
 	// These are the base results from which all other coordinates are derived.
@@ -175,6 +282,8 @@ export function getSatelliteInfo(
 	// Geodetic coords are accessed via `longitude`, `latitude`, `height`.
 	const { longitude, latitude, height } = positionGd;
 
+	const rangeRate = _getRangeRate(positionEci, velocityEci, observerGd, gmst);
+
 	const output = {
 		lng: degreesLong(longitude),
 		lat: degreesLat(latitude),
@@ -182,15 +291,23 @@ export function getSatelliteInfo(
 		azimuth: _radiansToDegrees(azimuth),
 		range: rangeSat,
 		height,
-		velocity: velocityKmS
+		velocity: velocityKmS,
+		..._getDopplerInfo(rangeRate, frequencyHz)
 	};
 
-	// Memoization
-	cachedSatelliteInfo[cacheKey] = output;
+	if (refractionOptions) {
+		output.apparentElevation = getApparentElevation(output.elevation, refractionOptions);
+	}
 
-	return output;
+	// Memoization
+	return satelliteInfoCache.set(cacheKey, output);
 }
 
+/**
+ * Key of a TLE's antemeridian crossing times in the cache.
+ */
+const getAntemeridianCrossingsCacheKey = tleArr => `${tleArr[0]}\n${tleArr[1]}`;
+
 /**
  * Determines if the last antemeridian crossing has been cached.  If it has, the time (in ms)
  * is returned, otherwise it returns false.
@@ -200,9 +317,9 @@ export function getCachedLastAntemeridianCrossingTimeMS(tleObj, timeMS) {
 
 	const orbitLengthMS = getAverageOrbitTimeMins(tle) * 60 * 1000;
 
-	const tleStr = tle[0].substr(0, 30);
-
-	const cachedCrossingTimes = cachedAntemeridianCrossings[tleStr];
+	const cachedCrossingTimes = antemeridianCrossingsCache.get(
+		getAntemeridianCrossingsCacheKey(tle)
+	);
 	if (!cachedCrossingTimes) return false;
 
 	if (cachedCrossingTimes === -1) return cachedCrossingTimes;
@@ -236,6 +353,7 @@ export function getLastAntemeridianCrossingTimeMS(tle, timeMS) {
 	}
 
 	const time = timeMS || Date.now();
+	const satrec = _getSatrec(tleArr);
 
 	let step = 1000 * 60 * 3;
 	let curLngLat = [];
@@ -246,7 +364,7 @@ export function getLastAntemeridianCrossingTimeMS(tle, timeMS) {
 	let isDone = false;
 	const maxTries = 1000;
 	while (!isDone) {
-		curLngLat = getLngLat(tleArr, curTimeMS);
+		curLngLat = _getLngLatFromSatrec(satrec, curTimeMS);
 		const [curLng] = curLngLat;
 
 		didCrossAntemeridian = _crossesAntemeridian(lastLngLat[0], curLng);
@@ -270,15 +388,15 @@ export function getLastAntemeridianCrossingTimeMS(tle, timeMS) {
 	const couldNotFindCrossing = tries - 1 === maxTries;
 	const crossingTime = couldNotFindCrossing ? -1 : parseInt(curTimeMS, 10);
 
-	const tleStr = tleArr[0];
-	if (!cachedAntemeridianCrossings[tleStr]) {
-		cachedAntemeridianCrossings[tleStr] = [];
-	}
-
+	const cacheKey = getAntemeridianCrossingsCacheKey(tleArr);
 	if (couldNotFindCrossing) {
-		cachedAntemeridianCrossings[tleStr] = -1;
+		antemeridianCrossingsCache.set(cacheKey, -1);
 	} else {
-		cachedAntemeridianCrossings[tleStr].push(crossingTime);
+		const cachedCrossingTimes = antemeridianCrossingsCache.get(cacheKey);
+		antemeridianCrossingsCache.set(cacheKey, [
+			...(Array.isArray(cachedCrossingTimes) ? cachedCrossingTimes : []),
+			crossingTime
+		]);
 	}
 
 	return crossingTime;
@@ -326,48 +444,216 @@ export function getLngLatAtEpoch(tle) {
 	return getLngLat(tle, getEpochTimestamp(tle));
 }
 
-// TODO: cache geosync and erroring satellites and don't recompute on next pass.
+/**
+ * Determines if a satellite is lit by the Sun (outside the Earth's umbra).
+ */
+function isSunlit(tle, timestampMS) {
+	const satrec = _getSatrec(parseTLE(tle).tle);
+	const { position } = _propagateToECI(satrec, timestampMS);
+	const sunPosition = _getSunPositionECI(timestampMS);
+	return _getUmbraMargin(_getShadowGeometry(position, sunPosition)) > 0;
+}
+
+// Mean motion (revs per day) of a geostationary orbit, which matches the Earth's rotation.
+const _GEOSTATIONARY_MEAN_MOTION = 1.0027379;
+
+/**
+ * Determines if a satellite is geostationary, i.e. drifts at most a fraction of a degree a day in
+ * an observer's sky.
+ */
+function isGeostationary(parsedTLE) {
+	return (
+		Math.abs(getMeanMotion(parsedTLE) - _GEOSTATIONARY_MEAN_MOTION) < 0.0005 &&
+		getEccentricity(parsedTLE) < 0.001 &&
+		getInclination(parsedTLE) < 0.5
+	);
+}
+
+/**
+ * Determines a satellite's position and look angles for getVisibleSatellites(), throwing a
+ * TLEPropagationError when it can't be propagated.  Failures are remembered by TLE, and the look
+ * angles of geostationary satellites are only computed once per observer.
+ */
+function getVisibilityInfo(
+	rawTLE,
+	timestampMS,
+	observerLat,
+	observerLng,
+	observerHeight,
+	refraction
+) {
+	const parsedTLE = _parseTLEToPropagate(rawTLE);
+	// Both lines, since a TLE with a corrected line 2 may propagate fine.
+	const tleKey = `${parsedTLE.tle[0]}\n${parsedTLE.tle[1]}`;
+
+	// Only SGP4 failures are remembered, as other errors may not happen again.
+	const rememberFailure = (error, failedAtMS) => {
+		if (error instanceof TLEPropagationError) {
+			failedSatellitesCache.set(tleKey, { error, failedAtMS });
+		}
+	};
+
+	const failure = failedSatellitesCache.get(tleKey);
+	if (failure && timestampMS >= failure.failedAtMS) {
+		throw failure.error;
+	}
+
+	try {
+		_getSatrec(parsedTLE.tle);
+	} catch (e) {
+		// Satellite records that can't be initialized fail at any time.
+		rememberFailure(e, -Infinity);
+		throw e;
+	}
+
+	const getInfo = () =>
+		getSatelliteInfo(
+			parsedTLE,
+			timestampMS,
+			observerLat,
+			observerLng,
+			observerHeight,
+			undefined,
+			refraction
+		);
+
+	try {
+		if (!isGeostationary(parsedTLE)) {
+			return { info: getInfo(), isGeostationary: false };
+		}
+
+		const cacheKey = `${tleKey}-${observerLat}-${observerLng}-${observerHeight}-${JSON.stringify(
+			_toRefractionOptions(refraction)
+		)}`;
+		const info =
+			geostationaryInfoCache.get(cacheKey) || geostationaryInfoCache.set(cacheKey, getInfo());
+		return { info, isGeostationary: true };
+	} catch (e) {
+		// Decayed satellites keep failing later on, but may still be propagated at earlier times.
+		rememberFailure(e, timestampMS);
+		throw e;
+	}
+}
+
+/**
+ * Determines which satellites are above `elevationThreshold` for an observer.
+ *
+ * With `optical` enabled, only satellites that can be seen with the naked eye are returned: the
+ * observer's sky must be dark (the Sun below the `twilight` elevation: "civil" (default),
+ * "nautical", "astronomical", or a Sun elevation in degrees) and the satellite lit by the Sun.
+ *
+ * With a `horizonMask` (see `parseHorizonMask()`), satellites must also clear the mask at their
+ * azimuth, e.g. to leave out satellites hidden behind buildings or mountains.
+ *
+ * With `refraction` (true for standard conditions, or `{ pressureHPa, temperatureC }`), satellites
+ * are compared to the threshold and mask by their `apparentElevation`, which is added to `info`.
+ *
+ * Satellites that can't be propagated (e.g. decayed) are left out, and remembered by TLE so later
+ * calls skip them right away.  With `includeSkipped` enabled, an object is returned instead, with
+ * the `visible` satellites and the `skipped` ones, each with the TLEPropagationError `code` and
+ * `reason`.
+ *
+ * Geostationary satellites are flagged with `isGeostationary`.  They barely move in the sky, so
+ * their position and look angles are only computed the first time for each observer (see the
+ * "geostationaryInfo" cache in `configureCache()`).
+ *
+ * Example:
+ * getVisibleSatellites({
+ *   observerLat: 34.243889,
+ *   observerLng: -116.911389,
+ *   tles: [tleStr, decayedTLEStr],
+ *   timestampMS: 1501039265000,
+ *   includeSkipped: true
+ * });
+ * ->
+ * {
+ *   visible: [
+ *     {
+ *       tleArr: tleStr,
+ *       info: { lng: -117.46176597710807, lat: 34.45112876592785, elevation: 81.63903620330046, ... },
+ *       isGeostationary: false
+ *     }
+ *   ],
+ *   skipped: [
+ *     { tleArr: decayedTLEStr, code: 6, reason: 'Satellite has decayed' }
+ *   ]
+ * }
+ */
 export function getVisibleSatellites({
 	observerLat,
 	observerLng,
 	observerHeight = 0,
 	tles = [],
 	elevationThreshold = 0,
-	timestampMS = Date.now()
+	timestampMS = Date.now(),
+	optical = false,
+	twilight = "civil",
+	horizonMask,
+	refraction = false,
+	includeSkipped = false
 }) {
-	return tles.reduce((visibleSats, tleArr) => {
-		let info;
+	const getMinElevation = _getMinElevationFn(elevationThreshold, horizonMask);
+	const visible = [];
+	const skipped = [];
+	const toOutput = () => (includeSkipped ? { visible, skipped } : visible);
+
+	if (optical) {
+		const observerGd = {
+			latitude: _degreesToRadians(observerLat),
+			longitude: _degreesToRadians(observerLng),
+			height: observerHeight
+		};
+		const sunElevation = _getSunElevation(observerGd, timestampMS);
+
+		// Nothing can be seen in daylight.
+		if (sunElevation > _getTwilightSunElevation(twilight)) {
+			return toOutput();
+		}
+	}
+
+	tles.forEach(tleArr => {
+		let visibilityInfo;
 		try {
-			info = getSatelliteInfo(
+			visibilityInfo = getVisibilityInfo(
 				tleArr,
 				timestampMS,
 				observerLat,
 				observerLng,
-				observerHeight
+				observerHeight,
+				refraction
 			);
 		} catch (e) {
-			// Don't worry about decayed sats, just move on.
-			// TODO cache error
+			if (!(e instanceof TLEPropagationError)) {
+				throw e;
+			}
 
-			return visibleSats;
+			skipped.push({ tleArr, code: e.code, reason: e.message });
+			return;
 		}
 
-		const { elevation, velocity, range } = info;
+		const { info } = visibilityInfo;
+		const elevation = refraction ? info.apparentElevation : info.elevation;
+		const isVisible =
+			elevation >= getMinElevation(info.azimuth) &&
+			(!optical || isSunlit(tleArr, timestampMS));
 
-		return elevation >= elevationThreshold
-			? visibleSats.concat({ tleArr, info })
-			: visibleSats;
-	}, []);
+		if (isVisible) {
+			visible.push({ tleArr, ...visibilityInfo });
+		}
+	});
+
+	return toOutput();
 }
 
 export function* getNextPosition(tleArr, startTimeMS, stepMS) {
+	const satrec = _getSatrec(tleArr);
 	let curTimeMS = startTimeMS - stepMS;
 
 	while (true) {
 		curTimeMS += stepMS;
 		yield {
 			curTimeMS,
-			lngLat: getLngLat(tleArr, curTimeMS)
+			lngLat: _getLngLatFromSatrec(satrec, curTimeMS)
 		};
 	}
 }
@@ -397,8 +683,9 @@ export async function getOrbitTrack({
 
 	const startS = (startTimeMS / 1000).toFixed();
 	const cacheKey = `${tleArr[0]}-${startS}-${stepMS}-${isLngLatFormat}`;
-	if (cachedOrbitTracks[cacheKey]) {
-		return cachedOrbitTracks[cacheKey];
+	const cachedCoords = orbitTracksCache.get(cacheKey);
+	if (cachedCoords) {
+		return cachedCoords;
 	}
 
 	const generator = getNextPosition(
@@ -437,9 +724,7 @@ export async function getOrbitTrack({
 		step++;
 	}
 
-	cachedOrbitTracks[cacheKey] = coords;
-
-	return coords;
+	return orbitTracksCache.set(cacheKey, coords);
 }
 
 /**
@@ -456,16 +741,18 @@ export function getOrbitTrackSync({
 
 	const startS = (startTimeMS / 1000).toFixed();
 	const cacheKey = `${tleArr[0]}-${startS}-${stepMS}-${isLngLatFormat}`;
-	if (cachedOrbitTracks[cacheKey]) {
-		return cachedOrbitTracks[cacheKey];
+	const cachedCoords = orbitTracksCache.get(cacheKey);
+	if (cachedCoords) {
+		return cachedCoords;
 	}
 
 	let isDone = false;
 	let coords = [];
 	let lastLng;
 	let curTimeMS = startTimeMS;
+	const satrec = _getSatrec(tleArr);
 	while (!isDone) {
-		const curLngLat = getLngLat(tleArr, curTimeMS);
+		const curLngLat = _getLngLatFromSatrec(satrec, curTimeMS);
 		const [curLng, curLat] = curLngLat;
 
 		const doesCrossAntemeridian = _crossesAntemeridian(lastLng, curLng);
@@ -484,9 +771,7 @@ export function getOrbitTrackSync({
 		curTimeMS += stepMS;
 	}
 
-	cachedOrbitTracks[cacheKey] = coords;
-
-	return coords;
+	return orbitTracksCache.set(cacheKey, coords);
 }
 
 /**
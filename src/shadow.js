@@ -0,0 +1,103 @@
+import { _EARTH_RADIUS_KM, _SUN_RADIUS_KM } from "./constants";
+
+/**
+ * Earth shadow geometry, using a conical shadow model: the Earth and the Sun are treated as disks
+ * overlapping in the satellite's sky.
+ */
+
+export const _ECLIPSE_STATES = {
+	_SUNLIT: "sunlit",
+	_PENUMBRA: "penumbra",
+	_UMBRA: "umbra"
+};
+
+const getMagnitude = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+
+/**
+ * Determines the apparent angular radii (radians) of the Sun and the Earth as seen from a
+ * satellite, and the angular separation between their centers.
+ *
+ * @param {Object} satPosition Satellite ECI position (km).
+ * @param {Object} sunPosition Sun ECI position (km).
+ */
+export function _getShadowGeometry(satPosition, sunPosition) {
+	const toSun = {
+		x: sunPosition.x - satPosition.x,
+		y: sunPosition.y - satPosition.y,
+		z: sunPosition.z - satPosition.z
+	};
+	const sunDistance = getMagnitude(toSun);
+	const earthDistance = getMagnitude(satPosition);
+
+	// The direction to the Earth's center is the opposite of the satellite position.
+	const cosSeparation =
+		-(
+			satPosition.x * toSun.x +
+			satPosition.y * toSun.y +
+			satPosition.z * toSun.z
+		) /
+		(earthDistance * sunDistance);
+
+	return {
+		sunRadius: Math.asin(_SUN_RADIUS_KM / sunDistance),
+		earthRadius: Math.asin(Math.min(1, _EARTH_RADIUS_KM / earthDistance)),
+		separation: Math.acos(Math.max(-1, Math.min(1, cosSeparation)))
+	};
+}
+
+/**
+ * Determines the eclipse state and the fraction of the Sun's disk hidden by the Earth, using a
+ * conical shadow model (the Earth and Sun are treated as disks overlapping in the sky).
+ *
+ * @param {Object} geometry From `_getShadowGeometry()`.
+ */
+export function _getEclipseStateFromGeometry({
+	sunRadius,
+	earthRadius,
+	separation
+}) {
+	if (separation >= sunRadius + earthRadius) {
+		return { state: _ECLIPSE_STATES._SUNLIT, shadowFraction: 0 };
+	}
+
+	if (separation <= earthRadius - sunRadius) {
+		return { state: _ECLIPSE_STATES._UMBRA, shadowFraction: 1 };
+	}
+
+	// Annular: the whole Earth is in front of the Sun, which is only possible far from Earth.
+	if (separation <= sunRadius - earthRadius) {
+		return {
+			state: _ECLIPSE_STATES._PENUMBRA,
+			shadowFraction: (earthRadius * earthRadius) / (sunRadius * sunRadius)
+		};
+	}
+
+	// Area of the overlap between the two disks.
+	const x =
+		(separation * separation +
+			sunRadius * sunRadius -
+			earthRadius * earthRadius) /
+		(2 * separation);
+	const y = Math.sqrt(Math.max(0, sunRadius * sunRadius - x * x));
+	const overlapArea =
+		sunRadius * sunRadius * Math.acos(x / sunRadius) +
+		earthRadius * earthRadius * Math.acos((separation - x) / earthRadius) -
+		separation * y;
+
+	return {
+		state: _ECLIPSE_STATES._PENUMBRA,
+		shadowFraction: Math.min(
+			1,
+			Math.max(0, overlapArea / (Math.PI * sunRadius * sunRadius))
+		)
+	};
+}
+
+/**
+ * Determines how far (radians) a satellite is from the Earth's umbra.  Positive when at least
+ * part of the Sun's disk is visible from the satellite.
+ *
+ * @param {Object} geometry From `_getShadowGeometry()`.
+ */
+export const _getUmbraMargin = ({ sunRadius, earthRadius, separation }) =>
+	separation - (earthRadius - sunRadius);
@@ -1,5 +1,18 @@
-import { _MS_IN_A_DAY, _MS_IN_A_MINUTE, _MS_IN_A_SECOND } from "./constants";
-import { _dayOfYearToTimeStamp, _getFullYear } from "./utils";
+import {
+	_EARTH_J2,
+	_EARTH_MU_KM3_S2,
+	_EARTH_RADIUS_KM,
+	_MS_IN_A_DAY,
+	_MS_IN_A_MINUTE,
+	_MS_IN_A_SECOND,
+	_ORBIT_REGIMES
+} from "./constants";
+import {
+	_dayOfYearToTimeStamp,
+	_degreesToRadians,
+	_getFullYear,
+	_radiansToDegrees
+} from "./utils";
 import {
 	getEpochDay,
 	getEpochYear,
@@ -7,7 +20,11 @@ import {
 	getIntDesignatorPieceOfLaunch,
 	getIntDesignatorYear
 } from "./line-1-getters";
-import { getMeanMotion } from "./line-2-getters";
+import {
+	getEccentricity,
+	getInclination,
+	getMeanMotion
+} from "./line-2-getters";
 import { parseTLE } from "./parsing";
 
 /**
@@ -79,3 +96,187 @@ export function getAverageOrbitTimeMins(tle) {
 export function getAverageOrbitTimeS(tle) {
 	return getAverageOrbitTimeMS(tle) / _MS_IN_A_SECOND;
 }
+
+// Altitude (km) below which orbits count as low Earth orbits.
+const _LEO_MAX_ALTITUDE_KM = 2000;
+
+// Nodal precession (degrees per day) of a Sun-synchronous orbit: one turn per tropical year.
+const _SSO_NODAL_PRECESSION_DEG_DAY = 360 / 365.2422;
+
+// Inclination (degrees) above which geosynchronous orbits no longer count as GEO, as in ESA's
+// space environment reports.  Geostationary satellites drift to a few degrees late in life.
+const _GEO_MAX_INCLINATION = 25;
+
+/**
+ * Recovers the semi-major axis (km) and mean motion (radians per second) SGP4 works with from a
+ * TLE's mean motion, which is a Kozai mean value.  Mirrors SGP4's own initialization.
+ */
+function getBrouwerElements(tle) {
+	const kozaiMeanMotion =
+		(getMeanMotion(tle) * 2 * Math.PI) / (_MS_IN_A_DAY / _MS_IN_A_SECOND);
+	const eccentricity = getEccentricity(tle);
+	const inclination = _degreesToRadians(getInclination(tle));
+
+	const cosInclination = Math.cos(inclination);
+	const j2Factor =
+		(0.75 * _EARTH_J2 * (3 * cosInclination * cosInclination - 1)) /
+		Math.pow(1 - eccentricity * eccentricity, 1.5);
+
+	const a1 = Math.cbrt(_EARTH_MU_KM3_S2 / (kozaiMeanMotion * kozaiMeanMotion));
+	const delta1 = j2Factor * Math.pow(_EARTH_RADIUS_KM / a1, 2);
+	const a0 =
+		a1 *
+		(1 -
+			delta1 * (1 / 3 + delta1 * (1 + (134 / 81) * delta1)));
+	const delta0 = j2Factor * Math.pow(_EARTH_RADIUS_KM / a0, 2);
+	const meanMotion = kozaiMeanMotion / (1 + delta0);
+
+	return {
+		meanMotion,
+		semiMajorAxis: Math.cbrt(_EARTH_MU_KM3_S2 / (meanMotion * meanMotion)),
+		eccentricity,
+		inclination
+	};
+}
+
+/**
+ * Determines the secular J2 drift factor shared by the nodal precession and perigee drift, in
+ * radians per day.
+ */
+function getJ2DriftRate(tle) {
+	const { meanMotion, semiMajorAxis, eccentricity } = getBrouwerElements(tle);
+	const semiLatusRectum = semiMajorAxis * (1 - eccentricity * eccentricity);
+	const meanMotionPerDay = meanMotion * (_MS_IN_A_DAY / _MS_IN_A_SECOND);
+
+	return (
+		meanMotionPerDay * _EARTH_J2 * Math.pow(_EARTH_RADIUS_KM / semiLatusRectum, 2)
+	);
+}
+
+/**
+ * Determines the semi-major axis (km), recovered ("un-Kozai'd") from the TLE's mean motion the
+ * same way SGP4 does.
+ *
+ * Example:
+ * getSemiMajorAxis(tleStr);
+ * -> 6783.045513036023
+ */
+export function getSemiMajorAxis(tle) {
+	return getBrouwerElements(tle).semiMajorAxis;
+}
+
+/**
+ * Determines the altitude of the apogee (highest point of the orbit) above the Earth's equatorial
+ * radius, in km.
+ *
+ * Example:
+ * getApogeeAltitude(tleStr);
+ * -> 409.19336288660816
+ */
+export function getApogeeAltitude(tle) {
+	return (
+		getSemiMajorAxis(tle) * (1 + getEccentricity(tle)) - _EARTH_RADIUS_KM
+	);
+}
+
+/**
+ * Determines the altitude of the perigee (lowest point of the orbit) above the Earth's equatorial
+ * radius, in km.
+ *
+ * Example:
+ * getPerigeeAltitude(tleStr);
+ * -> 400.623663185439
+ */
+export function getPerigeeAltitude(tle) {
+	return (
+		getSemiMajorAxis(tle) * (1 - getEccentricity(tle)) - _EARTH_RADIUS_KM
+	);
+}
+
+/**
+ * Determines the specific orbital energy (km²/s²), which is negative for all bound orbits.
+ *
+ * Example:
+ * getSpecificOrbitalEnergy(tleStr);
+ * -> -29.382118934182884
+ */
+export function getSpecificOrbitalEnergy(tle) {
+	return -_EARTH_MU_KM3_S2 / (2 * getSemiMajorAxis(tle));
+}
+
+/**
+ * Determines how fast the orbit's ascending node drifts because of the Earth's oblateness (J2), in
+ * degrees per day.  Negative (westward) for prograde orbits.
+ *
+ * Example:
+ * getNodalPrecessionRate(tleStr);
+ * -> -4.98528748508122
+ */
+export function getNodalPrecessionRate(tle) {
+	const inclination = _degreesToRadians(getInclination(tle));
+	return _radiansToDegrees(-1.5 * getJ2DriftRate(tle) * Math.cos(inclination));
+}
+
+/**
+ * Determines how fast the argument of perigee drifts because of the Earth's oblateness (J2), in
+ * degrees per day.  Zero at the critical inclinations (63.4 and 116.6 degrees).
+ *
+ * Example:
+ * getArgOfPerigeeDriftRate(tleStr);
+ * -> 3.7181769549671726
+ */
+export function getArgOfPerigeeDriftRate(tle) {
+	const cosInclination = Math.cos(_degreesToRadians(getInclination(tle)));
+	return _radiansToDegrees(
+		0.75 * getJ2DriftRate(tle) * (5 * cosInclination * cosInclination - 1)
+	);
+}
+
+/**
+ * Classifies an orbit into a regime, checked in this order:
+ *
+ * - "GEO": near-circular, geosynchronous (about one revolution per day) and inclined 25 degrees
+ *   or less.
+ * - "GSO": any other geosynchronous orbit with an eccentricity under 0.25, e.g. inclined
+ *   geosynchronous orbits (IGSO).
+ * - "Molniya": 12 hour, highly eccentric orbit near the critical inclination (63.4 degrees).
+ * - "HEO": any other highly eccentric orbit (eccentricity of 0.25 or more, e.g. transfer orbits),
+ *   or an orbit beyond geosynchronous altitude.
+ * - "SSO": Sun-synchronous low Earth orbit, whose node keeps pace with the Sun.
+ * - "LEO": apogee below 2000 km.
+ * - "MEO": anything else.
+ *
+ * Example:
+ * getOrbitRegime(tleStr);
+ * -> 'LEO'
+ */
+export function getOrbitRegime(tle) {
+	const meanMotion = getMeanMotion(tle);
+	const eccentricity = getEccentricity(tle);
+	const inclination = getInclination(tle);
+
+	const isGeosynchronous = meanMotion >= 0.9 && meanMotion <= 1.1;
+	if (isGeosynchronous && eccentricity < 0.01 && inclination <= _GEO_MAX_INCLINATION) {
+		return _ORBIT_REGIMES._GEO;
+	}
+
+	if (isGeosynchronous && eccentricity < 0.25) {
+		return _ORBIT_REGIMES._GSO;
+	}
+
+	if (eccentricity >= 0.25) {
+		const isMolniya =
+			meanMotion >= 1.9 &&
+			meanMotion <= 2.1 &&
+			Math.abs(inclination - 63.4) <= 5;
+		return isMolniya ? _ORBIT_REGIMES._MOLNIYA : _ORBIT_REGIMES._HEO;
+	}
+
+	if (getApogeeAltitude(tle) < _LEO_MAX_ALTITUDE_KM) {
+		const isSunSynchronous =
+			Math.abs(getNodalPrecessionRate(tle) - _SSO_NODAL_PRECESSION_DEG_DAY) < 0.05;
+		return isSunSynchronous ? _ORBIT_REGIMES._SSO : _ORBIT_REGIMES._LEO;
+	}
+
+	return meanMotion > 1.1 ? _ORBIT_REGIMES._MEO : _ORBIT_REGIMES._HEO;
+}
@@ -0,0 +1,121 @@
+import { ecfToLookAngles, eciToEcf, gstime } from "satellite.js";
+import {
+	_AU_KM,
+	_JULIAN_DATE_J2000,
+	_JULIAN_DATE_UNIX_EPOCH,
+	_MS_IN_A_DAY
+} from "./constants";
+import { _degreesToRadians, _radiansToDegrees } from "./utils";
+
+/**
+ * Determines the Sun's position in Earth-centered inertial coordinates (km).  Uses the low
+ * precision solar ephemeris from the Astronomical Almanac, which is accurate to about 0.01
+ * degrees between 1950 and 2050 and plenty for shadow and twilight calculations.
+ *
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function _getSunPositionECI(timeMS) {
+	const julianDate = timeMS / _MS_IN_A_DAY + _JULIAN_DATE_UNIX_EPOCH;
+	const centuries = (julianDate - _JULIAN_DATE_J2000) / 36525;
+
+	const meanLongitude = 280.460 + 36000.771 * centuries;
+	const meanAnomaly = _degreesToRadians(
+		357.5291092 + 35999.05034 * centuries
+	);
+	const eclipticLongitude = _degreesToRadians(
+		meanLongitude +
+			1.914666471 * Math.sin(meanAnomaly) +
+			0.019994643 * Math.sin(2 * meanAnomaly)
+	);
+	const obliquity = _degreesToRadians(23.439291 - 0.0130042 * centuries);
+	const distance =
+		(1.000140612 -
+			0.016708617 * Math.cos(meanAnomaly) -
+			0.000139589 * Math.cos(2 * meanAnomaly)) *
+		_AU_KM;
+
+	return {
+		x: distance * Math.cos(eclipticLongitude),
+		y: distance * Math.cos(obliquity) * Math.sin(eclipticLongitude),
+		z: distance * Math.sin(obliquity) * Math.sin(eclipticLongitude)
+	};
+}
+
+/**
+ * Determines the Sun's position at a time, as Earth-centered inertial coordinates (km) and as
+ * right ascension and declination (degrees).
+ *
+ * Example:
+ * getSunPosition(1501039265000);
+ * ->
+ * {
+ *   position: { x: -83534497.46, y: 116445648.97, z: 50479852.4 },
+ *   rightAscension: 125.65,
+ *   declination: 19.4,
+ *   distance: 151940175.49
+ * }
+ *
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ */
+export function getSunPosition(timeMS = Date.now()) {
+	const position = _getSunPositionECI(timeMS);
+	const { x, y, z } = position;
+	const distance = Math.sqrt(x * x + y * y + z * z);
+
+	let rightAscension = _radiansToDegrees(Math.atan2(y, x));
+	if (rightAscension < 0) {
+		rightAscension += 360;
+	}
+
+	return {
+		position,
+		rightAscension,
+		declination: _radiansToDegrees(Math.asin(z / distance)),
+		distance
+	};
+}
+
+// Sun elevations (degrees) below which each twilight ends and the sky is dark enough.
+export const _TWILIGHT_SUN_ELEVATIONS = {
+	civil: -6,
+	nautical: -12,
+	astronomical: -18
+};
+
+/**
+ * Resolves a twilight name ("civil", "nautical" or "astronomical") to the Sun elevation (degrees)
+ * below which it is dark enough to see satellites.  Numbers are used as Sun elevations directly.
+ *
+ * @param {String|Number} twilight
+ */
+export function _getTwilightSunElevation(twilight) {
+	if (typeof twilight === "number") return twilight;
+
+	if (!(twilight in _TWILIGHT_SUN_ELEVATIONS)) {
+		throw new Error(
+			`twilight must be one of ${Object.keys(_TWILIGHT_SUN_ELEVATIONS).join(
+				", "
+			)} or a Sun elevation in degrees, but got ${twilight}.`
+		);
+	}
+
+	return _TWILIGHT_SUN_ELEVATIONS[twilight];
+}
+
+/**
+ * Determines the Sun's elevation (degrees) for an observer.
+ *
+ * @param {Object} observerGd Observer geodetic position (radians and km).
+ * @param {Number} timeMS Unix timestamp in milliseconds.
+ * @param {Object} sunPosition Sun ECI position (km), if already known.
+ */
+export function _getSunElevation(
+	observerGd,
+	timeMS,
+	sunPosition = _getSunPositionECI(timeMS)
+) {
+	const sunPositionEcf = eciToEcf(sunPosition, gstime(new Date(timeMS)));
+	return _radiansToDegrees(
+		ecfToLookAngles(observerGd, sunPositionEcf).elevation
+	);
+}
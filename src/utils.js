@@ -1,4 +1,10 @@
-import { _MS_IN_A_DAY, _TLE_DATA_TYPES, _DATA_TYPES } from "./constants";
+import {
+	_ALPHA5_LETTERS,
+	_DATA_TYPES,
+	_MAX_ALPHA5_CATALOG_NUMBER,
+	_MS_IN_A_DAY,
+	_TLE_DATA_TYPES
+} from "./constants";
 
 /**
  * General helper that provides more useful info than JavaScript's built-in "typeof" operator.
@@ -96,12 +102,22 @@ export const _radiansToDegrees = radians => radians * (180 / Math.PI);
  */
 export const _degreesToRadians = degrees => degrees * (Math.PI / 180);
 
+/**
+ * Throws for sampling steps that wouldn't advance time, so sampling loops always end.
+ */
+export function _validateStepMS(stepMS) {
+	if (!(stepMS > 0)) {
+		throw new RangeError(`stepMS must be greater than 0, but got ${stepMS}.`);
+	}
+}
+
 /**
  * Determines if a pair of longitude points crosses over the antemeridian, which is a
  * pain point for mapping software.
  */
 export const _crossesAntemeridian = (longitude1, longitude2) => {
-	if (!longitude1 || !longitude2) return false;
+	// 0 is a valid longitude, so only bail out on missing values.
+	if (longitude1 === undefined || longitude2 === undefined) return false;
 
 	const isLong1Positive = _isPositive(longitude1);
 	const isLong2Positive = _isPositive(longitude2);
@@ -116,6 +132,61 @@ export const _crossesAntemeridian = (longitude1, longitude2) => {
 	return isNearAntemeridian;
 };
 
+/**
+ * Converts a 5-character TLE catalog number to a number, including the Alpha-5 scheme used for
+ * catalog numbers above 99999, where the first digit is replaced with a letter (A = 10, B = 11,
+ * skipping I and O).
+ * See https://www.space-track.org/documentation#tle-alpha5
+ *
+ * Example:
+ * decodeAlpha5('A0001');
+ * -> 100001
+ *
+ * @param {String} catalogNumberStr Catalog number as it appears in a TLE.
+ */
+export function decodeAlpha5(catalogNumberStr) {
+	const str = catalogNumberStr.trim();
+	const letterIndex = _ALPHA5_LETTERS.indexOf(str[0]);
+
+	if (letterIndex === -1) {
+		return parseInt(str, 10);
+	}
+
+	return (letterIndex + 10) * 10000 + parseInt(str.substr(1), 10);
+}
+
+/**
+ * Converts a catalog number to the 5-character TLE representation, using the Alpha-5 scheme for
+ * catalog numbers above 99999.  Throws for catalog numbers that can't be represented in a TLE
+ * (above 339999), which are only available in OMM format.
+ *
+ * Example:
+ * encodeAlpha5(100001);
+ * -> 'A0001'
+ *
+ * @param {Number} catalogNumber
+ */
+export function encodeAlpha5(catalogNumber) {
+	const num = parseInt(catalogNumber, 10);
+	const isOutOfRange =
+		!Number.isInteger(num) || num < 0 || num > _MAX_ALPHA5_CATALOG_NUMBER;
+
+	if (isOutOfRange) {
+		throw new Error(
+			`Catalog number ${catalogNumber} can't be represented in a TLE (0 to ${_MAX_ALPHA5_CATALOG_NUMBER}).`
+		);
+	}
+
+	if (num < 100000) {
+		return num.toString().padStart(5, "0");
+	}
+
+	const letter = _ALPHA5_LETTERS[Math.floor(num / 10000) - 10];
+	const digits = (num % 10000).toString().padStart(4, "0");
+
+	return `${letter}${digits}`;
+}
+
 /**
  * Note: TLEs have a year 2000 style problem in 2057, because they only represent years in 2
  * characters.  This function doesn't account for that problem.
@@ -168,6 +239,10 @@ export function getFromTLE(parsedTLE, lineNumber, definition) {
 			output = _decimalAssumedEToFloat(val);
 			break;
 
+		case _TLE_DATA_TYPES._ALPHA5:
+			output = decodeAlpha5(val);
+			break;
+
 		case _TLE_DATA_TYPES._CHAR:
 		default:
 			output = val.trim();
@@ -183,3 +258,103 @@ export function getFromTLE(parsedTLE, lineNumber, definition) {
  * @param {Object} obj
  */
 export const _getObjLength = obj => Object.keys(obj).length;
+
+/**
+ * Finds the point between `lo` and `hi` where `fn` changes sign, using bisection.  `fn(lo)` and
+ * `fn(hi)` are expected to have opposite signs.
+ *
+ * @param {Function} fn Continuous function of one variable.
+ * @param {Number} lo Lower bound of the bracket.
+ * @param {Number} hi Upper bound of the bracket.
+ * @param {Number} tolerance Stops once the bracket is narrower than this.
+ */
+export function _bisect(fn, lo, hi, tolerance = 1) {
+	let a = lo;
+	let b = hi;
+	const isRising = fn(a) < 0;
+
+	while (b - a > tolerance) {
+		const mid = (a + b) / 2;
+		const isBelow = fn(mid) < 0;
+
+		if (isBelow === isRising) {
+			a = mid;
+		} else {
+			b = mid;
+		}
+	}
+
+	return (a + b) / 2;
+}
+
+/**
+ * Finds the location of the maximum of a unimodal function between `lo` and `hi` using a
+ * golden-section search.
+ *
+ * @param {Function} fn Function of one variable with a single peak in the interval.
+ * @param {Number} lo Lower bound of the interval.
+ * @param {Number} hi Upper bound of the interval.
+ * @param {Number} tolerance Stops once the interval is narrower than this.
+ */
+export function _goldenSectionMax(fn, lo, hi, tolerance = 1) {
+	const invPhi = (Math.sqrt(5) - 1) / 2;
+
+	let a = lo;
+	let b = hi;
+	let c = b - (b - a) * invPhi;
+	let d = a + (b - a) * invPhi;
+	let fc = fn(c);
+	let fd = fn(d);
+
+	while (b - a > tolerance) {
+		if (fc > fd) {
+			b = d;
+			d = c;
+			fd = fc;
+			c = b - (b - a) * invPhi;
+			fc = fn(c);
+		} else {
+			a = c;
+			c = d;
+			fc = fd;
+			d = a + (b - a) * invPhi;
+			fd = fn(d);
+		}
+	}
+
+	return (a + b) / 2;
+}
+
+/**
+ * Determines the checksum for a single line of a TLE.
+ *
+ * Checksum = modulo 10 of sum of all numbers (including line number) + 1 for each negative
+ * sign (-).  Everything else is ignored.
+ */
+export function computeChecksum(tleLineStr) {
+	const charArr = tleLineStr.split("");
+
+	// Remove trailing checksum.
+	charArr.splice(charArr.length - 1, 1);
+
+	if (charArr.length === 0) {
+		throw new Error("Character array empty!", tleLineStr);
+	}
+
+	const checksum = charArr.reduce((sum, val) => {
+		const parsedVal = parseInt(val, 10);
+		const parsedSum = parseInt(sum, 10);
+
+		if (Number.isInteger(parsedVal)) {
+			return parsedSum + parsedVal;
+		}
+
+		if (val === "-") {
+			return parsedSum + 1;
+		}
+
+		return parsedSum;
+	}, 0);
+
+	return checksum % 10;
+}
@@ -0,0 +1,437 @@
+import { _MS_IN_A_DAY } from "./constants";
+import * as line1Definitions from "./line-1-definitions";
+import * as line2Definitions from "./line-2-definitions";
+import { parseTLE } from "./parsing";
+import {
+	_dayOfYearToTimeStamp,
+	_getFullYear,
+	computeChecksum,
+	getFromTLE
+} from "./utils";
+
+/**
+ * Detailed TLE validation.  Unlike `isValidTLE()`, every problem found is reported, along with
+ * where it is in the TLE and what was expected.
+ */
+
+export const _SEVERITY = {
+	_ERROR: "error",
+	_WARNING: "warning"
+};
+
+export const _ISSUE_CODES = {
+	_PARSE: "PARSE",
+	_LINE_COUNT: "LINE_COUNT",
+	_LINE_LENGTH: "LINE_LENGTH",
+	_LINE_NUMBER: "LINE_NUMBER",
+	_CHECKSUM: "CHECKSUM",
+	_CATALOG_NUMBER_MISMATCH: "CATALOG_NUMBER_MISMATCH",
+	_ILLEGAL_CHARACTER: "ILLEGAL_CHARACTER",
+	_OUT_OF_RANGE: "OUT_OF_RANGE",
+	_EPOCH: "EPOCH"
+};
+
+const _TLE_LINE_LENGTH = 69;
+
+// Sputnik 1's launch, the earliest possible TLE epoch.
+const _FIRST_LAUNCH_MS = Date.UTC(1957, 9, 4);
+
+// How far in the future an epoch can be before it's suspicious.
+const _MAX_EPOCH_LEAD_MS = _MS_IN_A_DAY;
+
+// Allowed characters for each field, as [pattern, human readable description].
+const _FIELD_FORMATS = {
+	catalogNumber1: [/^[ 0-9A-HJ-NP-Z][ \d]{3}\d$/, "5 digits or an Alpha-5 number"],
+	classification: [/^[UCS]$/, "U, C or S"],
+	intDesignatorYear: [/^(\d{2}| {2})$/, "2 digits or blank"],
+	intDesignatorLaunchNumber: [/^(\d{3}| {3})$/, "3 digits or blank"],
+	intDesignatorPieceOfLaunch: [/^([A-Z]{1,3} *| {3})$/, "1 to 3 letters or blank"],
+	epochYear: [/^\d{2}$/, "2 digits"],
+	epochDay: [/^[ \d]{2}\d\.\d{8}$/, "DDD.DDDDDDDD"],
+	firstTimeDerivative: [/^[ +-]\.\d{8} $/, "±.DDDDDDDD"],
+	secondTimeDerivative: [/^[ +-]\d{5}[+-]\d$/, "±DDDDD±D"],
+	bstarDrag: [/^[ +-]\d{5}[+-]\d$/, "±DDDDD±D"],
+	orbitModel: [/^\d$/, "1 digit"],
+	tleSetNumber: [/^[ \d]{3}\d$/, "up to 4 digits"],
+	checksum1: [/^\d$/, "1 digit"],
+	catalogNumber2: [/^[ 0-9A-HJ-NP-Z][ \d]{3}\d$/, "5 digits or an Alpha-5 number"],
+	inclination: [/^[ \d]{2}\d\.\d{4}$/, "DDD.DDDD"],
+	rightAscension: [/^[ \d]{2}\d\.\d{4}$/, "DDD.DDDD"],
+	eccentricity: [/^\d{7}$/, "7 digits"],
+	perigee: [/^[ \d]{2}\d\.\d{4}$/, "DDD.DDDD"],
+	meanAnomaly: [/^[ \d]{2}\d\.\d{4}$/, "DDD.DDDD"],
+	meanMotion: [/^[ \d]\d\.\d{8}$/, "DD.DDDDDDDD"],
+	revNumberAtEpoch: [/^[ \d]{4}\d$/, "up to 5 digits"],
+	checksum2: [/^\d$/, "1 digit"]
+};
+
+// Columns (0-based) between fields, which must be blank.
+const _SEPARATOR_COLUMNS = {
+	1: [1, 8, 17, 32, 52, 61, 63],
+	2: [1, 7, 16, 25, 33, 42, 51]
+};
+
+// Valid ranges for values, as [min, max (exclusive), human readable description].
+const _VALUE_RANGES = {
+	inclination: [0, 180.00001, "0 to 180"],
+	rightAscension: [0, 360, "0 to 359.9999"],
+	eccentricity: [0, 1, "0 to 0.9999999"],
+	perigee: [0, 360, "0 to 359.9999"],
+	meanAnomaly: [0, 360, "0 to 359.9999"],
+	meanMotion: [0.00000001, 100, "more than 0"]
+};
+
+const getLineDefinitions = lineNumber =>
+	lineNumber === 1 ? line1Definitions : line2Definitions;
+
+const formatColumns = (start, length) =>
+	length === 1
+		? `column ${start + 1}`
+		: `columns ${start + 1}-${start + length}`;
+
+const getFieldLineNumber = field => (field in line1Definitions ? 1 : 2);
+
+/**
+ * Builds an issue.  Columns are 1-based and inclusive, as in TLE format documentation.
+ */
+function createIssue({
+	code,
+	severity = _SEVERITY._ERROR,
+	line = null,
+	field = null,
+	start = null,
+	length = 1,
+	expected,
+	actual,
+	message
+}) {
+	return {
+		code,
+		severity,
+		line,
+		field,
+		columns: start === null ? null : [start + 1, start + length],
+		expected,
+		actual,
+		message
+	};
+}
+
+function getLineIssues(tle) {
+	const issues = [];
+
+	[1, 2].forEach(lineNumber => {
+		const line = tle[lineNumber - 1];
+
+		if (line.length !== _TLE_LINE_LENGTH) {
+			issues.push(
+				createIssue({
+					code: _ISSUE_CODES._LINE_LENGTH,
+					line: lineNumber,
+					expected: _TLE_LINE_LENGTH,
+					actual: line.length,
+					message: `Line ${lineNumber} must be ${_TLE_LINE_LENGTH} characters long, but is ${line.length}.`
+				})
+			);
+		}
+
+		if (line[0] !== String(lineNumber)) {
+			issues.push(
+				createIssue({
+					code: _ISSUE_CODES._LINE_NUMBER,
+					line: lineNumber,
+					field: `lineNumber${lineNumber}`,
+					start: 0,
+					expected: String(lineNumber),
+					actual: line[0],
+					message: `Line ${lineNumber} must start with "${lineNumber}", but starts with "${line[0]}".`
+				})
+			);
+		}
+
+		_SEPARATOR_COLUMNS[lineNumber]
+			.filter(column => column < line.length && line[column] !== " ")
+			.forEach(column =>
+				issues.push(
+					createIssue({
+						code: _ISSUE_CODES._ILLEGAL_CHARACTER,
+						line: lineNumber,
+						start: column,
+						expected: " ",
+						actual: line[column],
+						message: `Line ${lineNumber} column ${column + 1} must be blank, but is "${line[column]}".`
+					})
+				)
+			);
+
+		// Checksum is only meaningful when the checksum column exists.
+		const checksumField = `checksum${lineNumber}`;
+		const { start } = getLineDefinitions(lineNumber)[checksumField];
+		const checksumInTLE = line[start];
+		const computedChecksum = String(computeChecksum(line));
+		if (
+			line.length === _TLE_LINE_LENGTH &&
+			/\d/.test(checksumInTLE) &&
+			checksumInTLE !== computedChecksum
+		) {
+			issues.push(
+				createIssue({
+					code: _ISSUE_CODES._CHECKSUM,
+					line: lineNumber,
+					field: checksumField,
+					start,
+					expected: computedChecksum,
+					actual: checksumInTLE,
+					message: `Line ${lineNumber} checksum should be ${computedChecksum}, but is ${checksumInTLE}.`
+				})
+			);
+		}
+	});
+
+	return issues;
+}
+
+/**
+ * Checks the characters in each field.  Returns the issues found, and the names of the fields
+ * that are well-formed (and therefore safe to read values from).
+ */
+function getFieldFormatIssues(tle) {
+	const issues = [];
+	const validFields = [];
+
+	Object.keys(_FIELD_FORMATS).forEach(field => {
+		const lineNumber = getFieldLineNumber(field);
+		const { start, length } = getLineDefinitions(lineNumber)[field];
+		const [pattern, description] = _FIELD_FORMATS[field];
+		const val = tle[lineNumber - 1].substr(start, length);
+
+		// Fields cut off by a short line are already covered by the line length issue.
+		if (val.length < length) return;
+
+		if (pattern.test(val)) {
+			validFields.push(field);
+			return;
+		}
+
+		issues.push(
+			createIssue({
+				code: _ISSUE_CODES._ILLEGAL_CHARACTER,
+				line: lineNumber,
+				field,
+				start,
+				length,
+				expected: description,
+				actual: val,
+				message: `${field} (line ${lineNumber}, ${formatColumns(start, length)}) must be ${description}, but is "${val}".`
+			})
+		);
+	});
+
+	return { issues, validFields };
+}
+
+function getValueIssues(parsedTLE, validFields, timeMS, maxEpochAgeDays) {
+	const issues = [];
+	const getValue = field => {
+		const lineNumber = getFieldLineNumber(field);
+		return getFromTLE(
+			parsedTLE,
+			lineNumber,
+			getLineDefinitions(lineNumber)[field]
+		);
+	};
+	const getFieldIssue = (field, props) => {
+		const lineNumber = getFieldLineNumber(field);
+		const { start, length } = getLineDefinitions(lineNumber)[field];
+		return createIssue({ line: lineNumber, field, start, length, ...props });
+	};
+	const isValidField = field => validFields.includes(field);
+
+	if (isValidField("catalogNumber1") && isValidField("catalogNumber2")) {
+		const catalogNumber1 = getValue("catalogNumber1");
+		const catalogNumber2 = getValue("catalogNumber2");
+		if (catalogNumber1 !== catalogNumber2) {
+			issues.push(
+				getFieldIssue("catalogNumber2", {
+					code: _ISSUE_CODES._CATALOG_NUMBER_MISMATCH,
+					expected: catalogNumber1,
+					actual: catalogNumber2,
+					message: `Catalog number on line 2 (${catalogNumber2}) doesn't match line 1 (${catalogNumber1}).`
+				})
+			);
+		}
+	}
+
+	Object.keys(_VALUE_RANGES)
+		.filter(isValidField)
+		.forEach(field => {
+			const [min, max, description] = _VALUE_RANGES[field];
+			const val = getValue(field);
+			if (val >= min && val < max) return;
+
+			issues.push(
+				getFieldIssue(field, {
+					code: _ISSUE_CODES._OUT_OF_RANGE,
+					expected: description,
+					actual: val,
+					message: `${field} must be ${description}, but is ${val}.`
+				})
+			);
+		});
+
+	if (!isValidField("epochYear") || !isValidField("epochDay")) {
+		return issues;
+	}
+
+	const epochYear = _getFullYear(getValue("epochYear"));
+	const epochDay = getValue("epochDay");
+	const daysInYear =
+		(Date.UTC(epochYear + 1, 0, 1) - Date.UTC(epochYear, 0, 1)) / _MS_IN_A_DAY;
+	if (epochDay < 1 || epochDay >= daysInYear + 1) {
+		issues.push(
+			getFieldIssue("epochDay", {
+				code: _ISSUE_CODES._OUT_OF_RANGE,
+				expected: `1 to ${daysInYear}.99999999`,
+				actual: epochDay,
+				message: `epochDay must be 1 to ${daysInYear}.99999999 in ${epochYear}, but is ${epochDay}.`
+			})
+		);
+		return issues;
+	}
+
+	const epochMS = _dayOfYearToTimeStamp(epochDay, epochYear);
+	const epochISO = new Date(epochMS).toISOString();
+	const epochIssue = props =>
+		issues.push(
+			createIssue({
+				code: _ISSUE_CODES._EPOCH,
+				line: 1,
+				field: "epochDay",
+				start: line1Definitions.epochYear.start,
+				length:
+					line1Definitions.epochYear.length + line1Definitions.epochDay.length,
+				actual: epochISO,
+				...props
+			})
+		);
+
+	if (epochMS < _FIRST_LAUNCH_MS) {
+		epochIssue({
+			expected: "after 1957-10-04",
+			message: `Epoch (${epochISO}) is before the first satellite launch.`
+		});
+	} else if (epochMS - timeMS > _MAX_EPOCH_LEAD_MS) {
+		epochIssue({
+			severity: _SEVERITY._WARNING,
+			expected: `before ${new Date(timeMS + _MAX_EPOCH_LEAD_MS).toISOString()}`,
+			message: `Epoch (${epochISO}) is in the future.`
+		});
+	} else if (timeMS - epochMS > maxEpochAgeDays * _MS_IN_A_DAY) {
+		epochIssue({
+			severity: _SEVERITY._WARNING,
+			expected: `within ${maxEpochAgeDays} days`,
+			message: `Epoch (${epochISO}) is more than ${maxEpochAgeDays} days old, so predictions may be inaccurate.`
+		});
+	}
+
+	return issues;
+}
+
+/**
+ * Validates a TLE and reports every issue found, instead of a simple true/false like
+ * `isValidTLE()`.  Each issue has a `code`, a `severity` ("error" or "warning"), the `line` and
+ * `field` (as named in `line-1-definitions.js` and `line-2-definitions.js`) it was found in, its
+ * `columns` (1-based and inclusive), the `expected` and `actual` values, and a readable `message`.
+ *
+ * Checked: line count and length, line numbers, checksums, blank separator columns, illegal
+ * characters in each field, catalog number mismatch between lines, element ranges and epoch
+ * sanity.  The TLE is valid when there are no errors; warnings (e.g. an old epoch) don't count.
+ *
+ * Example:
+ * validateTLE([
+ *   "1 25544U 98067A   17206.18396726  .00001961  00000-0  36771-4 0  9993",
+ *   "2 25545  51.6400 208.9163 0006317  69.9862  25.2906 15.54225995 67660"
+ * ], { timeMS: 1501039265000 });
+ * ->
+ * {
+ *   isValid: false,
+ *   issues: [
+ *     {
+ *       code: 'CHECKSUM',
+ *       severity: 'error',
+ *       line: 2,
+ *       field: 'checksum2',
+ *       columns: [69, 69],
+ *       expected: '1',
+ *       actual: '0',
+ *       message: 'Line 2 checksum should be 1, but is 0.'
+ *     },
+ *     {
+ *       code: 'CATALOG_NUMBER_MISMATCH',
+ *       severity: 'error',
+ *       line: 2,
+ *       field: 'catalogNumber2',
+ *       columns: [3, 7],
+ *       expected: 25544,
+ *       actual: 25545,
+ *       message: "Catalog number on line 2 (25545) doesn't match line 1 (25544)."
+ *     }
+ *   ]
+ * }
+ *
+ * @param {String|Array|Object} rawTLE Input TLE.
+ * @param {Number} options.timeMS Reference time for epoch checks.  Defaults to now.
+ * @param {Number} options.maxEpochAgeDays Epochs older than this many days (relative to timeMS)
+ * get a warning.  Defaults to 30.
+ */
+export function validateTLE(
+	rawTLE,
+	{ timeMS = Date.now(), maxEpochAgeDays = 30 } = {}
+) {
+	let parsedTLE;
+	try {
+		parsedTLE = parseTLE(rawTLE);
+	} catch (e) {
+		return {
+			isValid: false,
+			issues: [
+				createIssue({
+					code: _ISSUE_CODES._PARSE,
+					expected: "TLE",
+					actual: null,
+					message: e.message
+				})
+			]
+		};
+	}
+
+	const { tle } = parsedTLE;
+	let issues;
+	if (tle.length !== 2) {
+		issues = [
+			createIssue({
+				code: _ISSUE_CODES._LINE_COUNT,
+				expected: 2,
+				actual: tle.length,
+				message: `TLE must have 2 lines (plus an optional name line), but has ${tle.length}.`
+			})
+		];
+	} else {
+		const formatResult = getFieldFormatIssues(tle);
+		issues = [
+			...getLineIssues(tle),
+			...formatResult.issues,
+			...getValueIssues(
+				parsedTLE,
+				formatResult.validFields,
+				timeMS,
+				maxEpochAgeDays
+			)
+		];
+	}
+
+	return {
+		isValid: !issues.some(({ severity }) => severity === _SEVERITY._ERROR),
+		issues
+	};
+}
@@ -0,0 +1,140 @@
+import { _MS_IN_A_DAY } from "./constants";
+import { TLEPropagationError } from "./errors";
+import { _getFootprintAngle } from "./footprint";
+import { getInclination } from "./line-2-getters";
+import { getPasses } from "./passes";
+import { _getSatrec, _parseTLEToPropagate } from "./sgp4";
+import { getApogeeAltitude } from "./sugar-getters";
+import { _radiansToDegrees } from "./utils";
+
+// Allowance (degrees) for the difference between geodetic and geocentric latitudes and for
+// perturbations of the orbit.
+const _REACH_LATITUDE_MARGIN = 1;
+
+/**
+ * Determines if a satellite can ever rise above `minElevation` for an observer, which it can't
+ * from latitudes further from the equator than its inclination plus the reach of its footprint.
+ */
+function isWithinReach(parsedTLE, observerLat, minElevation) {
+	const inclination = getInclination(parsedTLE);
+	const maxSatelliteLat = inclination <= 90 ? inclination : 180 - inclination;
+	const footprintAngle = _radiansToDegrees(
+		_getFootprintAngle(getApogeeAltitude(parsedTLE), minElevation)
+	);
+
+	return Math.abs(observerLat) <= maxSatelliteLat + footprintAngle + _REACH_LATITUDE_MARGIN;
+}
+
+/**
+ * Finds every satellite that rises above `minElevation` for an observer over a time window, with
+ * its passes (see `getPasses()`), e.g. to plan an observation session.  Satellites whose orbits
+ * never come within reach of the observer's latitude are ruled out without being propagated.
+ *
+ * Satellites are sorted by the start (AOS) of their first pass, and their passes chronologically.
+ * To merge every pass into a single timeline, flatten them and sort by `aos.timeMS` (see the
+ * example).  With `optical` enabled, only passes with `visibleSegments` are kept.
+ *
+ * Satellites that can't be propagated (e.g. decayed) are left out, or listed in `skipped` with
+ * `includeSkipped`, as in `getVisibleSatellites()`.
+ *
+ * Example:
+ * const visible = getVisibleSatellitesBetween({
+ *   observer: { lat: 34.243889, lng: -116.911389, height: 0 },
+ *   tles: [tleStr],
+ *   startTimeMS: 1501038665000,
+ *   endTimeMS: 1501061665000
+ * });
+ * ->
+ * [
+ *   {
+ *     tleArr: tleStr,
+ *     passes: [
+ *       {
+ *         aos: { timeMS: 1501038950191, azimuth: 227.53, elevation: 0, range: 2297.43 },
+ *         tca: { timeMS: 1501039268049, azimuth: 316.93, elevation: 82.27, range: 406.4 },
+ *         los: { timeMS: 1501039587506, azimuth: 46.49, elevation: 0, range: 2308.19 },
+ *         maxElevation: 82.27,
+ *         durationMS: 637315,
+ *         isPartial: false
+ *       },
+ *       ...
+ *     ]
+ *   }
+ * ]
+ *
+ * const timeline = visible
+ *   .flatMap(({ tleArr, passes }) => passes.map(pass => ({ tleArr, ...pass })))
+ *   .sort((a, b) => a.aos.timeMS - b.aos.timeMS);
+ *
+ * @param {Object} options.observer Observer `lat`, `lng` (degrees), `height` (km) and optional
+ * `horizonMask` (see `getPasses()`).
+ * @param {Array} options.tles
+ * @param {Number} options.startTimeMS Unix timestamp in milliseconds.
+ * @param {Number} options.endTimeMS Unix timestamp in milliseconds.  Defaults to one day after
+ * startTimeMS.
+ * @param {Number} options.minElevation Elevation (degrees) above which a satellite is in view.
+ * @param {Number} options.stepMS Coarse sampling resolution (see `getPasses()`).
+ * @param {Boolean} options.optical Only keeps passes that can be seen with the naked eye.
+ * @param {String|Number} options.twilight How dark the observer's sky must be for optical
+ * visibility (see `getPasses()`).
+ * @param {Boolean|Object} options.refraction Corrects elevations for atmospheric refraction (see
+ * `getPasses()`).
+ * @param {Boolean} options.includeSkipped Returns `{ visible, skipped }` instead.
+ */
+export function getVisibleSatellitesBetween({
+	observer,
+	tles = [],
+	startTimeMS = Date.now(),
+	endTimeMS,
+	minElevation = 0,
+	stepMS,
+	optical = false,
+	twilight = "civil",
+	refraction = false,
+	includeSkipped = false
+}) {
+	const windowEndMS = endTimeMS || startTimeMS + _MS_IN_A_DAY;
+	const visible = [];
+	const skipped = [];
+
+	tles.forEach(tleArr => {
+		let passes;
+		try {
+			const parsedTLE = _parseTLEToPropagate(tleArr);
+			_getSatrec(parsedTLE.tle);
+			if (!isWithinReach(parsedTLE, observer.lat, minElevation)) {
+				return;
+			}
+
+			passes = getPasses({
+				tle: parsedTLE,
+				observer,
+				startTimeMS,
+				endTimeMS: windowEndMS,
+				minElevation,
+				stepMS,
+				optical,
+				twilight,
+				refraction
+			});
+		} catch (e) {
+			if (!(e instanceof TLEPropagationError)) {
+				throw e;
+			}
+
+			skipped.push({ tleArr, code: e.code, reason: e.message });
+			return;
+		}
+
+		if (optical) {
+			passes = passes.filter(({ visibleSegments }) => visibleSegments.length);
+		}
+		if (passes.length) {
+			visible.push({ tleArr, passes });
+		}
+	});
+
+	visible.sort((a, b) => a.passes[0].aos.timeMS - b.passes[0].aos.timeMS);
+
+	return includeSkipped ? { visible, skipped } : visible;
+}
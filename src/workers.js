@@ -0,0 +1,295 @@
+import { _toTimesArray, propagateCatalog } from "./batch";
+import { TLEPropagationError } from "./errors";
+import { getGroundTrackGeoJSON } from "./geojson";
+import { getPasses } from "./passes";
+
+/**
+ * Jobs a worker can run.  Each one gets its share of the TLEs and returns its result along with
+ * the buffers to transfer back instead of copying.
+ */
+const _WORKER_JOBS = {
+	propagateCatalog: ({ tles, timesMS, fields }) => {
+		const result = propagateCatalog(tles, timesMS, { fields });
+		const arrays = ["position", "velocity", "lngLatAlt", "errorCodes"]
+			.map(field => result[field])
+			.filter(Boolean);
+		return { result, transfer: arrays.map(array => array.buffer) };
+	},
+	getGroundTrackGeoJSON: options => ({
+		result: getGroundTrackGeoJSON(options).features,
+		transfer: []
+	}),
+	getPasses: ({ tles, ...options }) => ({
+		result: tles.map(tle => getPasses({ ...options, tle })),
+		transfer: []
+	})
+};
+
+/**
+ * Listens to messages from a Web Worker, a `worker_threads` Worker or either end of a
+ * MessagePort, passing the message data to `handler`.
+ */
+function onMessage(target, handler) {
+	if (typeof target.on === "function") {
+		target.on("message", handler);
+	} else {
+		target.addEventListener("message", event => handler(event.data));
+	}
+}
+
+/**
+ * Listens to errors and exits of a Web Worker or a `worker_threads` Worker (Web Workers don't
+ * report exits), passing an Error to `handler`.
+ */
+function onFailure(target, handler) {
+	if (typeof target.on === "function") {
+		target.on("error", handler);
+		target.on("exit", code => handler(new Error(`Worker stopped with exit code ${code}.`)));
+	} else {
+		target.addEventListener("error", handler);
+	}
+}
+
+/**
+ * Splits an array into `count` contiguous chunks of nearly equal size, skipping empty chunks.
+ */
+function toChunks(arr, count) {
+	const chunkSize = Math.ceil(arr.length / count);
+	const chunks = [];
+	for (let i = 0; i < arr.length; i += chunkSize) {
+		chunks.push(arr.slice(i, i + chunkSize));
+	}
+	return chunks;
+}
+
+/**
+ * Merges propagateCatalog() results computed for consecutive chunks of a catalog, keeping the
+ * time-then-satellite ordering of the arrays.
+ */
+function mergeCatalogs(catalogs, timesMS, fields) {
+	if (!catalogs.length) {
+		return propagateCatalog([], timesMS, { fields });
+	}
+
+	const { timeCount } = catalogs[0];
+	const satelliteCount = catalogs.reduce((sum, catalog) => sum + catalog.satelliteCount, 0);
+	const output = { satelliteCount, timeCount, timesMS: _toTimesArray(timesMS) };
+
+	const mergeField = (field, ArrayType, components) => {
+		const merged = new ArrayType(satelliteCount * timeCount * components);
+		let firstSatIndex = 0;
+		catalogs.forEach(catalog => {
+			const blockLength = catalog.satelliteCount * components;
+			for (let timeIndex = 0; timeIndex < timeCount; timeIndex++) {
+				merged.set(
+					catalog[field].subarray(timeIndex * blockLength, (timeIndex + 1) * blockLength),
+					(timeIndex * satelliteCount + firstSatIndex) * components
+				);
+			}
+			firstSatIndex += catalog.satelliteCount;
+		});
+		return merged;
+	};
+
+	["position", "velocity", "lngLatAlt"]
+		.filter(field => catalogs[0][field])
+		.forEach(field => {
+			output[field] = mergeField(field, Float64Array, 3);
+		});
+	output.errorCodes = mergeField("errorCodes", Int8Array, 1);
+
+	return output;
+}
+
+/**
+ * Copies the parts of an error that survive postMessage(), so the pool can rebuild it.
+ */
+function serializeError({ name, message, code, tle }) {
+	return { name, message, code, tle };
+}
+
+/**
+ * Rebuilds an error sent by `exposeWorker()`, keeping TLEPropagationErrors' class and details.
+ */
+function deserializeError({ name, message, code, tle }) {
+	if (name === "TLEPropagationError") {
+		return new TLEPropagationError(message, { code, tle });
+	}
+
+	const error = new Error(message);
+	error.name = name;
+	return error;
+}
+
+/**
+ * Runs tle.js jobs sent by a worker pool (see `createWorkerPool()`).  Call it from the worker's
+ * script with the worker's global scope (`self`) in browsers, or with `parentPort` from
+ * `worker_threads` in Node.
+ *
+ * Example (worker script):
+ * import { exposeWorker } from "tle.js";
+ * exposeWorker(self);
+ *
+ * @param {Object} port Web Worker global scope or MessagePort.
+ */
+export function exposeWorker(port) {
+	onMessage(port, ({ id, job, payload }) => {
+		try {
+			if (!_WORKER_JOBS[job]) {
+				throw new Error(`Unknown worker job: ${job}.`);
+			}
+			const { result, transfer } = _WORKER_JOBS[job](payload);
+			port.postMessage({ id, result }, transfer);
+		} catch (e) {
+			port.postMessage({ id, error: serializeError(e) });
+		}
+	});
+}
+
+/**
+ * Creates a pool of workers (browser Web Workers or Node `worker_threads`) that splits catalog-wide
+ * computations across CPU cores, keeping the main thread responsive.  Each worker's script must
+ * call `exposeWorker()`.  Typed arrays are transferred back from the workers rather than copied.
+ *
+ * The pool's methods mirror the single-threaded functions, return Promises and take every TLE at
+ * once:
+ * - `propagateCatalog(tles, timesMS, options)`: same output as `propagateCatalog()`.
+ * - `getGroundTrackGeoJSON(options)`: same output as `getGroundTrackGeoJSON()`.
+ * - `getPasses({ tles, ...options })`: an array with the `getPasses()` output of each TLE.
+ * - `terminate()`: stops the workers, rejecting the jobs still running.
+ *
+ * Jobs that throw in a worker are rejected with the error's message, and TLEPropagationErrors keep
+ * their class, `code` and `tle`.  Workers that crash or exit are replaced for the next jobs, and the
+ * jobs they were running are rejected.
+ *
+ * Example:
+ * // Browser
+ * const pool = createWorkerPool({
+ *   createWorker: () => new Worker(new URL("./tle-worker.js", import.meta.url), { type: "module" })
+ * });
+ *
+ * // Node
+ * import { Worker } from "worker_threads";
+ * const pool = createWorkerPool({ createWorker: () => new Worker("./tle-worker.js") });
+ *
+ * const { lngLatAlt } = await pool.propagateCatalog(tles, [Date.now()], { fields: ["lngLatAlt"] });
+ * pool.terminate();
+ *
+ * @param {Function} options.createWorker Creates a worker running a script that calls
+ * `exposeWorker()`.
+ * @param {Number} options.size Number of workers.  Defaults to `navigator.hardwareConcurrency` (the
+ * number of CPU cores in browsers and Node 21+), or 4 where it's unavailable.  In older Node
+ * versions, pass `os.availableParallelism()` or `os.cpus().length` instead.
+ */
+export function createWorkerPool({
+	createWorker,
+	size = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 4
+}) {
+	if (typeof createWorker !== "function") {
+		throw new Error("createWorkerPool() needs a createWorker function.");
+	}
+
+	const pendingJobs = {};
+	let lastJobId = 0;
+	let isTerminated = false;
+
+	const rejectJobs = (isRejected, error) => {
+		Object.keys(pendingJobs)
+			.filter(id => isRejected(pendingJobs[id]))
+			.forEach(id => {
+				pendingJobs[id].reject(error);
+				delete pendingJobs[id];
+			});
+	};
+
+	// Workers by slot.  Slots of crashed workers are emptied, and refilled by the next job.
+	const workers = [];
+
+	const startWorker = index => {
+		const worker = createWorker();
+		onMessage(worker, ({ id, result, error }) => {
+			// Jobs of crashed workers are already rejected.
+			const pendingJob = pendingJobs[id];
+			if (!pendingJob) {
+				return;
+			}
+
+			delete pendingJobs[id];
+			if (error) {
+				pendingJob.reject(deserializeError(error));
+			} else {
+				pendingJob.resolve(result);
+			}
+		});
+		// A crashed worker won't answer, so fail its jobs.  Node reports both an error and an exit.
+		onFailure(worker, error => {
+			if (workers[index] !== worker) {
+				return;
+			}
+
+			workers[index] = null;
+			worker.terminate();
+			rejectJobs(
+				pendingJob => pendingJob.worker === worker,
+				new Error(error.message || "Worker failed.")
+			);
+		});
+		workers[index] = worker;
+		return worker;
+	};
+
+	for (let i = 0; i < size; i++) {
+		startWorker(i);
+	}
+
+	const runJob = (index, job, payload) =>
+		new Promise((resolve, reject) => {
+			if (isTerminated) {
+				reject(new Error("The worker pool was terminated."));
+				return;
+			}
+
+			const worker = workers[index] || startWorker(index);
+			lastJobId++;
+			pendingJobs[lastJobId] = { resolve, reject, worker };
+			worker.postMessage({ id: lastJobId, job, payload });
+		});
+
+	// Runs a job on every worker, each with its share of the TLEs.
+	const runOnChunks = (job, tles, payload) =>
+		Promise.all(
+			toChunks(tles, size).map((chunk, i) => runJob(i, job, { ...payload, tles: chunk }))
+		);
+
+	return {
+		size,
+
+		async propagateCatalog(tles, timesMS, { fields } = {}) {
+			const catalogs = await runOnChunks("propagateCatalog", tles, { timesMS, fields });
+			return mergeCatalogs(catalogs, timesMS, fields);
+		},
+
+		async getGroundTrackGeoJSON({ tles = [], startTimeMS = Date.now(), ...options }) {
+			const featureChunks = await runOnChunks("getGroundTrackGeoJSON", tles, {
+				...options,
+				startTimeMS
+			});
+			return {
+				type: "FeatureCollection",
+				features: [].concat(...featureChunks)
+			};
+		},
+
+		async getPasses({ tles = [], startTimeMS = Date.now(), ...options }) {
+			const passChunks = await runOnChunks("getPasses", tles, { ...options, startTimeMS });
+			return [].concat(...passChunks);
+		},
+
+		terminate() {
+			isTerminated = true;
+			workers.filter(Boolean).forEach(worker => worker.terminate());
+			workers.length = 0;
+			rejectJobs(() => true, new Error("The worker pool was terminated."));
+		}
+	};
+}